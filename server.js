@@ -14,10 +14,35 @@ app.use(express.json());
 
 // Import DXF processor
 const DxfProcessor = require('./src/dxf-processor');
+const AIRoomDetector = require('./src/ai-room-detector');
+const { LayerProfileStore } = require('./src/layer-profiles');
+const { ImportSourceStore } = require('./src/import-source-store');
+
+const { DwgConverter } = require('./src/dwg-converter');
+
+// Layer mapping profiles (custom profiles are persisted as JSON)
+const layerProfiles = new LayerProfileStore({
+    storagePath: process.env.LAYER_PROFILES_PATH || path.join(__dirname, 'data', 'layer-profiles.json')
+});
+
+// Imported source drawings for round-trip export, keyed by import id
+const importSources = new ImportSourceStore();
+
+// Local DWG-to-DXF converter for offline DWG import (see src/dwg-converter.js).
+// Built on first use, so a bad DWG_CONVERTER_* setting only fails DWG requests.
+let dwgConverter = null;
+
+function getDwgConverter() {
+    if (!dwgConverter) {
+        dwgConverter = DwgConverter.fromEnv();
+    }
+    return dwgConverter;
+}
 
 // Import placement engines
 const IlotPlacementEngine = require('./src/ilot-placement-engine');
 const CorridorGenerator = require('./src/corridor-generator');
+const SeededRandom = require('./src/seeded-random');
 
 // --- CONFIGURATION & VALIDATION ---
 // Debug: Check all environment variables
@@ -266,25 +291,26 @@ app.post('/api/detect-elements', async (req, res) => {
 });
 
 app.post('/api/analyze', async (req, res) => {
-    const { urn } = req.body;
+    const { urn, seed } = req.body;
+    const random = new SeededRandom(seed);
     console.log(`🔍 Running floor analysis for URN: ${urn?.substring(0, 20)}...`);
 
     try {
         // Simulate real analysis with random realistic data
         const roomTypes = ['Office', 'Meeting Room', 'Kitchen', 'Bathroom', 'Storage', 'Reception', 'Conference Room'];
-        const roomCount = Math.floor(Math.random() * 8) + 4;
+        const roomCount = Math.floor(random.next() * 8) + 4;
         const rooms = [];
         let totalArea = 0;
 
         for (let i = 0; i < roomCount; i++) {
-            const area = Math.round((Math.random() * 40 + 10) * 10) / 10;
+            const area = Math.round((random.next() * 40 + 10) * 10) / 10;
             totalArea += area;
             rooms.push({
                 name: `${roomTypes[i % roomTypes.length]} ${Math.floor(i / roomTypes.length) + 1}`,
                 area: area,
                 type: roomTypes[i % roomTypes.length].toLowerCase().replace(' ', '_'),
-                position: { x: Math.random() * 20, y: Math.random() * 20, z: 0 },
-                center: { x: Math.random() * 20, y: Math.random() * 20, z: 0 }
+                position: { x: random.next() * 20, y: random.next() * 20, z: 0 },
+                center: { x: random.next() * 20, y: random.next() * 20, z: 0 }
             });
         }
 
@@ -292,7 +318,7 @@ app.post('/api/analyze', async (req, res) => {
             rooms: rooms,
             totalArea: Math.round(totalArea * 10) / 10,
             roomCount: roomCount,
-            accuracy: Math.floor(Math.random() * 15) + 85,
+            accuracy: Math.floor(random.next() * 15) + 85,
             corridors: [
                 { name: 'Main Corridor', width: 2.5, length: 15.0 },
                 { name: 'Side Passage', width: 1.8, length: 8.0 }
@@ -301,7 +327,8 @@ app.post('/api/analyze', async (req, res) => {
             doors: [],
             windows: [],
             restrictedAreas: [],
-            bounds: { minX: 0, minY: 0, maxX: 20, maxY: 15 }
+            bounds: { minX: 0, minY: 0, maxX: 20, maxY: 15 },
+            seed: random.seed
         };
 
         console.log(`✅ Analysis complete: ${roomCount} rooms, ${totalArea}m² total area`);
@@ -315,17 +342,18 @@ app.post('/api/analyze', async (req, res) => {
 
 // *** CRITICAL MISSING ENDPOINT - ADDED ***
 app.post('/api/generate-ilots', async (req, res) => {
-    const { urn, coverage = 0.25, minDistance = 1, ilotWidth = 3, ilotHeight = 2, maxAttempts = 1000, wallBuffer = 0.5, entranceBuffer = 1 } = req.body;
+    const { urn, coverage = 0.25, minDistance = 1, ilotWidth = 3, ilotHeight = 2, maxAttempts = 1000, wallBuffer = 0.5, entranceBuffer = 1, sizeDistribution, allowRotation, alignToWalls, existingIlots, adjacencyRules, diagnostics } = req.body;
+    const seed = req.body.seed ?? SeededRandom.generateSeed();
 
     console.log(`🏗️ API: FIXED Îlot generation requested for URN: ${urn?.substring(0, 20)}...`);
-    console.log(`🏗️ API: Options:`, { coverage, minDistance, ilotWidth, ilotHeight, maxAttempts, wallBuffer, entranceBuffer });
+    console.log(`🏗️ API: Options:`, { coverage, minDistance, ilotWidth, ilotHeight, maxAttempts, wallBuffer, entranceBuffer, seed });
 
     try {
         // First get floor analysis
         console.log('🔍 API: Getting floor analysis...');
         let floorPlan;
         try {
-            const analysisResponse = await axios.post(`http://localhost:${process.env.PORT || 5000}/api/analyze`, { urn });
+            const analysisResponse = await axios.post(`http://localhost:${process.env.PORT || 5000}/api/analyze`, { urn, seed });
             floorPlan = analysisResponse.data;
             console.log(`✅ API: Analysis retrieved: ${floorPlan.roomCount} rooms, ${floorPlan.totalArea}m² total area`);
         } catch (analysisError) {
@@ -351,6 +379,7 @@ app.post('/api/generate-ilots', async (req, res) => {
             defaultIlotSize: { width: ilotWidth, height: ilotHeight },
             maxIterations: maxAttempts,
             coverage: coverage,
+            seed: seed,
             debugMode: true,
             strictValidation: false
         });
@@ -368,7 +397,13 @@ app.post('/api/generate-ilots', async (req, res) => {
                 ilotHeight,
                 maxAttempts,
                 wallBuffer,
-                entranceBuffer
+                entranceBuffer,
+                sizeDistribution,
+                allowRotation,
+                alignToWalls,
+                existingIlots,
+                adjacencyRules,
+                diagnostics
             });
 
             statistics = placementEngine.getStatistics();
@@ -401,7 +436,12 @@ app.post('/api/generate-ilots', async (req, res) => {
             isValid: ilot.isValid !== undefined ? ilot.isValid : true,
             clearance: ilot.clearance || minDistance,
             accessibility: ilot.accessibility || 0.8,
-            score: ilot.score || 0.8
+            score: ilot.score || 0.8,
+            rotation: ilot.rotation || 0,
+            dimensions: ilot.dimensions,
+            polygon: ilot.polygon,
+            sizeBand: ilot.sizeBand || null,
+            locked: Boolean(ilot.locked)
         }));
 
         // Calculate statistics
@@ -419,16 +459,22 @@ app.post('/api/generate-ilots', async (req, res) => {
                 totalCapacity,
                 averageScore: Math.round(averageScore * 100) / 100,
                 coverage: coverage,
-                actualCoverage: (formattedIlots.length * ilotWidth * ilotHeight) / floorPlan.totalArea,
+                actualCoverage: formattedIlots.reduce((sum, i) => sum + (i.dimensions ? i.dimensions.width * i.dimensions.height : i.width * i.height), 0) / floorPlan.totalArea,
                 floorArea: floorPlan.totalArea,
                 efficiency: statistics.spatialEfficiency || 0.8,
-                method: statistics.method || 'advanced-placement'
+                method: statistics.method || 'advanced-placement',
+                sizeDistribution: statistics.sizeDistribution || null,
+                optimization: statistics.optimization || null,
+                adjacency: statistics.adjacency || null
             },
+            // Per-cell rejection reasons, when requested with diagnostics: true
+            diagnostics: statistics.diagnostics || null,
             metadata: {
                 engine: 'fixed-ilot-placement-engine',
                 version: '3.0.0',
                 processedAt: new Date().toISOString(),
                 urn: urn,
+                seed: seed,
                 processingTime: Date.now()
             }
         };
@@ -466,6 +512,7 @@ app.post('/api/generate-ilots', async (req, res) => {
                 version: '1.0.0',
                 processedAt: new Date().toISOString(),
                 urn: urn,
+                seed: seed,
                 error: error.message
             }
         });
@@ -521,7 +568,8 @@ function generateEmergencyIlots(floorPlan, options) {
 }
 
 app.post('/api/ilots', async (req, res) => {
-    const { urn, density, minDistance } = req.body;
+    const { urn, density, minDistance, seed } = req.body;
+    const random = new SeededRandom(seed);
     console.log(`🏗️ Generating ilots with density: ${density}, minDistance: ${minDistance}`);
 
     try {
@@ -531,21 +579,21 @@ app.post('/api/ilots', async (req, res) => {
 
         for (let i = 0; i < ilotsCount; i++) {
             const type = ilotTypes[i % ilotTypes.length];
-            const capacity = type === 'Meeting' ? Math.floor(Math.random() * 8) + 6 : Math.floor(Math.random() * 6) + 2;
+            const capacity = type === 'Meeting' ? Math.floor(random.next() * 8) + 6 : Math.floor(random.next() * 6) + 2;
 
             ilots.push({
                 id: i + 1,
                 type: type,
                 capacity: capacity,
-                x: Math.random() * 300 + 50,
-                y: Math.random() * 200 + 50,
-                width: Math.random() * 40 + 60,
-                height: Math.random() * 30 + 40
+                x: random.next() * 300 + 50,
+                y: random.next() * 200 + 50,
+                width: random.next() * 40 + 60,
+                height: random.next() * 30 + 40
             });
         }
 
         console.log(`✅ Generated ${ilotsCount} ilots`);
-        res.json({ ilots });
+        res.json({ ilots, metadata: { seed: random.seed } });
 
     } catch (error) {
         console.error('❌ Ilot generation failed:', error.message);
@@ -556,6 +604,7 @@ app.post('/api/ilots', async (req, res) => {
 // --- ADVANCED PLACEMENT ENDPOINTS ---
 app.post('/api/advanced-placement', async (req, res) => {
     const { floorPlan, options = {} } = req.body;
+    const seed = options.seed ?? SeededRandom.generateSeed();
 
     console.log(`🏗️ Starting advanced îlot placement with options:`, options);
     console.log(`📐 FloorPlan data:`, floorPlan ? Object.keys(floorPlan) : 'missing');
@@ -594,7 +643,9 @@ app.post('/api/advanced-placement', async (req, res) => {
             ilotHeight: options.ilotHeight || 2.0,
             maxAttempts: options.maxAttempts || 1000,
             coverage: options.coverage || 0.3,
+            columnClearance: options.columnClearance,
             placementStrategy: 'optimized',
+            seed: seed,
             debugMode: true // Enable debug for troubleshooting
         });
 
@@ -604,7 +655,7 @@ app.post('/api/advanced-placement', async (req, res) => {
 
         try {
             console.log('🏗️ Attempting advanced placement...');
-            placedIlots = await placementEngine.generateOptimizedPlacement(validFloorPlan, options);
+            placedIlots = await placementEngine.generateOptimizedPlacement(validFloorPlan, { ...options, seed });
             stats = placementEngine.getStatistics();
             console.log('✅ Advanced placement succeeded:', placedIlots.length, 'îlots');
         } catch (placementError) {
@@ -624,20 +675,7 @@ app.post('/api/advanced-placement', async (req, res) => {
         }
 
         // Format results for frontend
-        const formattedIlots = placedIlots.map(ilot => ({
-            id: ilot.id,
-            x: ilot.x || (ilot.position ? ilot.position.x - (ilot.dimensions ? ilot.dimensions.width / 2 : 1.5) : 0),
-            y: ilot.y || (ilot.position ? ilot.position.y - (ilot.dimensions ? ilot.dimensions.height / 2 : 1) : 0),
-            width: ilot.width || (ilot.dimensions ? ilot.dimensions.width : 3.0),
-            height: ilot.height || (ilot.dimensions ? ilot.dimensions.height : 2.0),
-            type: ilot.type || 'workspace',
-            capacity: ilot.capacity || (ilot.properties ? ilot.properties.capacity : 4),
-            equipment: ilot.equipment || (ilot.properties ? ilot.properties.equipment : ['desks', 'chairs']),
-            isValid: ilot.isValid !== undefined ? ilot.isValid : (ilot.validation ? ilot.validation.isValid : true),
-            clearance: ilot.clearance || (ilot.validation ? ilot.validation.clearance : 1.0),
-            accessibility: ilot.accessibility || (ilot.validation ? ilot.validation.accessibility : 0.8),
-            score: ilot.score || (ilot.metadata ? ilot.metadata.placementScore : 0.8)
-        }));
+        const formattedIlots = placedIlots.map(formatPlacedIlot);
 
         console.log(`✅ Advanced placement completed: ${formattedIlots.length} îlots placed`);
 
@@ -651,13 +689,18 @@ app.post('/api/advanced-placement', async (req, res) => {
                 coverage: options.coverage || 0.3,
                 totalAttempts: stats.totalAttempts,
                 successRate: stats.successfulPlacements / Math.max(stats.totalAttempts, 1),
-                collisionDetections: stats.collisionDetections
+                collisionDetections: stats.collisionDetections,
+                sizeDistribution: stats.sizeDistribution || null,
+                optimization: stats.optimization || null,
+                adjacency: stats.adjacency || null
             },
+            diagnostics: stats.diagnostics || null,
             metadata: {
                 engine: 'advanced-placement-engine',
                 version: '2.0.0',
                 processedAt: new Date().toISOString(),
-                placementMethod: 'spatial-optimization'
+                placementMethod: 'spatial-optimization',
+                seed: seed
             }
         });
 
@@ -672,6 +715,82 @@ app.post('/api/advanced-placement', async (req, res) => {
     }
 });
 
+// Ranked alternative layouts (dense, balanced, comfortable, ...) in one call
+app.post('/api/advanced-placement/alternatives', async (req, res) => {
+    const { floorPlan, options = {} } = req.body;
+    const seed = options.seed ?? SeededRandom.generateSeed();
+
+    if (!floorPlan || typeof floorPlan !== 'object') {
+        return res.status(400).json({ success: false, error: 'floorPlan is required' });
+    }
+
+    console.log(`🏗️ Generating alternative îlot layouts (seed ${seed})`);
+
+    try {
+        const placementEngine = new IlotPlacementEngine({
+            minWallDistance: options.wallBuffer || 0.5,
+            minIlotDistance: options.minDistance || 2.0,
+            ilotWidth: options.ilotWidth || 3.0,
+            ilotHeight: options.ilotHeight || 2.0,
+            maxAttempts: options.maxAttempts || 1000,
+            coverage: options.coverage || 0.3,
+            columnClearance: options.columnClearance,
+            placementStrategy: 'optimized',
+            seed: seed
+        });
+
+        const result = await placementEngine.generateAlternativeLayouts(floorPlan, { ...options, seed });
+
+        console.log(`✅ ${result.layouts.length} alternative layouts (${result.duplicatesRemoved} near-duplicates removed)`);
+
+        res.json({
+            success: true,
+            layouts: result.layouts.map(layout => ({
+                ...layout,
+                ilots: layout.ilots.map(formatPlacedIlot)
+            })),
+            metadata: {
+                engine: 'advanced-placement-engine',
+                version: '2.0.0',
+                processedAt: new Date().toISOString(),
+                duplicatesRemoved: result.duplicatesRemoved,
+                seed: result.seed
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Alternative layout generation failed:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Alternative layout generation failed',
+            details: error.message
+        });
+    }
+});
+
+// Format a placement engine îlot for the frontend
+function formatPlacedIlot(ilot) {
+    return {
+        id: ilot.id,
+        x: ilot.x || (ilot.position ? ilot.position.x - (ilot.dimensions ? ilot.dimensions.width / 2 : 1.5) : 0),
+        y: ilot.y || (ilot.position ? ilot.position.y - (ilot.dimensions ? ilot.dimensions.height / 2 : 1) : 0),
+        width: ilot.width || (ilot.dimensions ? ilot.dimensions.width : 3.0),
+        height: ilot.height || (ilot.dimensions ? ilot.dimensions.height : 2.0),
+        type: ilot.type || 'workspace',
+        capacity: ilot.capacity || (ilot.properties ? ilot.properties.capacity : 4),
+        equipment: ilot.equipment || (ilot.properties ? ilot.properties.equipment : ['desks', 'chairs']),
+        isValid: ilot.isValid !== undefined ? ilot.isValid : (ilot.validation ? ilot.validation.isValid : true),
+        clearance: ilot.clearance || (ilot.validation ? ilot.validation.clearance : 1.0),
+        accessibility: ilot.accessibility || (ilot.validation ? ilot.validation.accessibility : 0.8),
+        score: ilot.score || (ilot.metadata ? ilot.metadata.placementScore : 0.8),
+        rotation: ilot.rotation || 0,
+        dimensions: ilot.dimensions,
+        polygon: ilot.polygon,
+        sizeBand: ilot.sizeBand || null,
+        locked: Boolean(ilot.locked)
+    };
+}
+
 // Enhanced fallback function for simple grid placement
 function generateSimpleGridPlacement(floorPlan, options) {
     console.log('🔧 Generating fallback grid placement with options:', options);
@@ -759,11 +878,17 @@ app.post('/api/corridor-generation', async (req, res) => {
         // Initialize corridor generator
         const corridorGenerator = new CorridorGenerator({
             defaultWidth: options.corridorWidth || 1.8,
-            minWidth: options.minWidth || 1.5,
+            // A narrower requested width lowers the default minimum with it
+            minWidth: options.minWidth || Math.min(1.5, options.corridorWidth || 1.8),
             maxWidth: options.maxWidth || 3.0,
             gridResolution: options.pathfindingResolution || 0.5,
             smoothingIterations: 3,
             connectAllEntrances: options.connectAllEntrances !== false,
+            columnClearance: options.columnClearance ?? 0.5,
+            layoutMode: options.layoutMode || 'network',
+            requireRedundantPaths: Boolean(options.requireRedundantPaths),
+            maxDeadEndLength: options.maxDeadEndLength ?? 10,
+            hierarchicalWidths: options.hierarchicalWidths !== false,
             debugMode: process.env.NODE_ENV === 'development'
         });
 
@@ -786,6 +911,10 @@ app.post('/api/corridor-generation', async (req, res) => {
         // Convert îlots to destinations
         const destinations = ilots.map(ilot => ({
             position: [ilot.x + ilot.width / 2, ilot.y + ilot.height / 2],
+            width: ilot.width,
+            height: ilot.height,
+            polygon: ilot.polygon,
+            capacity: ilot.capacity,
             type: 'ilot',
             id: ilot.id
         }));
@@ -812,7 +941,8 @@ app.post('/api/corridor-generation', async (req, res) => {
         // Format results for frontend
         const formattedCorridors = corridors.map(corridor => ({
             id: corridor.id,
-            type: corridor.metadata?.from && corridor.metadata?.to ? 'connecting' : 'main',
+            // Hierarchy role: main, secondary or access
+            type: corridor.role || 'secondary',
             width: corridor.width,
             polygon: corridor.polygon,
             centerline: corridor.centerline,
@@ -823,6 +953,10 @@ app.post('/api/corridor-generation', async (req, res) => {
             metadata: {
                 created: corridor.metadata?.created || new Date().toISOString(),
                 algorithm: 'a-star-pathfinding',
+                kind: corridor.metadata?.kind,
+                rows: corridor.metadata?.rows,
+                traffic: corridor.metadata?.traffic ?? 0,
+                ilotsServed: corridor.metadata?.ilotsServed ?? 0,
                 pathId: corridor.pathId
             }
         }));
@@ -835,12 +969,25 @@ app.post('/api/corridor-generation', async (req, res) => {
             statistics: {
                 totalCorridors: formattedCorridors.length,
                 totalLength: corridors.reduce((sum, c) => sum + (c.length || 0), 0),
-                totalArea: corridors.reduce((sum, c) => sum + (c.area || 0), 0),
+                // Merged network area: junctions and shared stretches count once
+                totalArea: stats.networkArea ?? corridors.reduce((sum, c) => sum + (c.area || 0), 0),
                 averageWidth: corridors.reduce((sum, c) => sum + c.width, 0) / corridors.length,
                 pathfindingNodes: stats.gridSize || 0,
                 pathCount: stats.pathCount || 0,
+                longestDeadEnd: stats.longestDeadEnd || 0,
+                corridorsByRole: stats.corridorsByRole || {},
                 coverage: stats.coverage || 0
             },
+            // Union of all corridor outlines as [[outer, hole, ...], ...]
+            network: {
+                polygons: stats.networkRegion || [],
+                area: stats.networkArea ?? null
+            },
+            // Junction/endpoint nodes and centerline edges (length, width) for client-side analyses
+            graph: corridorGenerator.networkGraph,
+            connectivity: stats.connectivity || null,
+            // Every dead end with its length; exceedsLimit marks those over maxDeadEndLength
+            deadEnds: stats.deadEnds || [],
             metadata: {
                 engine: 'advanced-corridor-generator',
                 version: '2.0.0',
@@ -861,7 +1008,8 @@ app.post('/api/corridor-generation', async (req, res) => {
 });
 
 app.post('/api/corridors', async (req, res) => {
-    const { urn } = req.body;
+    const { urn, seed } = req.body;
+    const random = new SeededRandom(seed);
     console.log(`🛤️ Generating corridor paths for URN: ${urn?.substring(0, 20)}...`);
 
     try {
@@ -871,7 +1019,7 @@ app.post('/api/corridors', async (req, res) => {
         }
 
         // Simulate more realistic corridor detection
-        const corridorCount = Math.floor(Math.random() * 4) + 2;
+        const corridorCount = Math.floor(random.next() * 4) + 2;
         const corridors = [];
 
         // Generate main corridor (always present)
@@ -879,9 +1027,9 @@ app.post('/api/corridors', async (req, res) => {
             id: 1,
             name: 'Main Corridor',
             x: 50,
-            y: Math.random() * 100 + 150,
-            width: Math.random() * 150 + 350,
-            height: Math.random() * 8 + 20,
+            y: random.next() * 100 + 150,
+            width: random.next() * 150 + 350,
+            height: random.next() * 8 + 20,
             type: 'main',
             accessibility: true,
             width_meters: 2.5
@@ -892,13 +1040,13 @@ app.post('/api/corridors', async (req, res) => {
             corridors.push({
                 id: i + 1,
                 name: `Corridor ${i + 1}`,
-                x: Math.random() * 200 + 100,
-                y: Math.random() * 150 + 80,
-                width: Math.random() * 80 + 120,
-                height: Math.random() * 6 + 12,
+                x: random.next() * 200 + 100,
+                y: random.next() * 150 + 80,
+                width: random.next() * 80 + 120,
+                height: random.next() * 6 + 12,
                 type: 'secondary',
-                accessibility: Math.random() > 0.3,
-                width_meters: Math.random() * 0.8 + 1.8
+                accessibility: random.next() > 0.3,
+                width_meters: random.next() * 0.8 + 1.8
             });
         }
 
@@ -910,7 +1058,8 @@ app.post('/api/corridors', async (req, res) => {
                 total_corridors: corridorCount,
                 main_corridors: 1,
                 secondary_corridors: corridorCount - 1,
-                accessibility_compliant: corridors.filter(c => c.accessibility).length
+                accessibility_compliant: corridors.filter(c => c.accessibility).length,
+                seed: random.seed
             }
         });
 
@@ -925,19 +1074,72 @@ app.post('/api/corridors', async (req, res) => {
 });
 
 // --- DXF IMPORT/EXPORT ENDPOINTS ---
+function getDxfImportOptions(req) {
+    // Optional unit override for drawings with missing or wrong $INSUNITS
+    const units = req.body.units || req.query.units || null;
+
+    if (units && !DxfProcessor.resolveUnits(units)) {
+        return { error: `Unsupported units: ${units}` };
+    }
+
+    // Layer mapping profile; the active profile is used when none is named
+    const profileName = req.body.layerProfile || req.query.layerProfile || null;
+    const layerProfile = layerProfiles.get(profileName);
+
+    if (!layerProfile) {
+        return { error: `Unknown layer profile: ${profileName}` };
+    }
+
+    return { units, layerProfile };
+}
+
+// Classify rooms reconstructed from the wall network (office, meeting_room, ...)
+async function classifyImportedRooms(floorPlan) {
+    if (!floorPlan.rooms?.length) {
+        return;
+    }
+
+    try {
+        const classified = await new AIRoomDetector(null).detectRoomsFromFloorPlan(floorPlan);
+        const byId = new Map(classified.map(room => [room.dbId, room]));
+
+        floorPlan.rooms = floorPlan.rooms.map(room => {
+            const match = byId.get(room.id);
+            return match ? {
+                ...room,
+                type: match.type,
+                function: match.function,
+                capacity: match.capacity,
+                confidence: match.confidence
+            } : room;
+        });
+    } catch (error) {
+        console.error('Room classification failed:', error.message);
+    }
+}
+
 app.post('/api/dxf/import', upload.single('file'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No DXF file uploaded' });
     }
 
-    console.log(`📐 Processing DXF import: ${req.file.originalname}`);
+    const { units, layerProfile, error: optionsError } = getDxfImportOptions(req);
+
+    if (optionsError) {
+        await fs.promises.unlink(req.file.path).catch(() => {});
+        return res.status(400).json({ error: optionsError });
+    }
+
+    console.log(`📐 Processing DXF import: ${req.file.originalname}${units ? ` (units: ${units})` : ''}`);
 
     try {
         // Initialize DXF processor
         const dxfProcessor = new DxfProcessor({
             debugMode: process.env.NODE_ENV === 'development',
             validateGeometry: true,
-            strictMode: false
+            strictMode: false,
+            units,
+            layerProfile
         });
 
         // Read uploaded file
@@ -945,16 +1147,22 @@ app.post('/api/dxf/import', upload.single('file'), async (req, res) => {
 
         // Parse DXF file
         const result = await dxfProcessor.parseDxfFile(fileContent);
+        await classifyImportedRooms(result.floorPlan);
+
+        // The source drawing stays on the server; the floor plan carries its id
+        result.floorPlan.importId = importSources.add(result.source);
 
         // Clean up uploaded file
         await fs.promises.unlink(req.file.path);
 
-        console.log(`✅ DXF import completed: ${result.floorPlan.walls?.length || 0} walls, ${result.floorPlan.redZones?.length || 0} red zones, ${result.floorPlan.blueZones?.length || 0} blue zones`);
+        console.log(`✅ DXF import completed: ${result.floorPlan.walls?.length || 0} walls, ${result.floorPlan.redZones?.length || 0} red zones, ${result.floorPlan.blueZones?.length || 0} blue zones, ${result.floorPlan.rooms?.length || 0} rooms`);
 
         res.json({
             success: true,
             floorPlan: result.floorPlan,
+            importId: result.floorPlan.importId,
             metadata: result.metadata,
+            layerProfile: layerProfile.name,
             statistics: result.statistics,
             errors: result.errors,
             warnings: result.warnings
@@ -978,6 +1186,80 @@ app.post('/api/dxf/import', upload.single('file'), async (req, res) => {
     }
 });
 
+app.post('/api/convert-dwg', upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No DWG file uploaded' });
+    }
+
+    let dwgConverter;
+    try {
+        dwgConverter = getDwgConverter();
+    } catch (error) {
+        console.error('❌ DWG converter configuration invalid:', error.message);
+        await fs.promises.unlink(req.file.path).catch(() => {});
+        return res.status(500).json({
+            error: 'DWG converter is misconfigured',
+            details: error.message
+        });
+    }
+
+    if (!dwgConverter.isConfigured()) {
+        await fs.promises.unlink(req.file.path).catch(() => {});
+        return res.status(501).json({
+            error: 'DWG conversion is not configured',
+            details: 'Set DWG_CONVERTER_PATH to a local DWG-to-DXF converter, or upload through /api/jobs'
+        });
+    }
+
+    const { units, layerProfile, error: optionsError } = getDxfImportOptions(req);
+
+    if (optionsError) {
+        await fs.promises.unlink(req.file.path).catch(() => {});
+        return res.status(400).json({ error: optionsError });
+    }
+
+    console.log(`📐 Converting DWG: ${req.file.originalname}`);
+
+    try {
+        const dxfContent = await dwgConverter.convert(req.file.path, req.file.originalname);
+
+        const dxfProcessor = new DxfProcessor({
+            debugMode: process.env.NODE_ENV === 'development',
+            validateGeometry: true,
+            strictMode: false,
+            units,
+            layerProfile
+        });
+
+        const result = await dxfProcessor.parseDxfFile(dxfContent);
+        await classifyImportedRooms(result.floorPlan);
+        result.floorPlan.importId = importSources.add(result.source);
+
+        console.log(`✅ DWG import completed: ${result.floorPlan.walls?.length || 0} walls, ${result.floorPlan.rooms?.length || 0} rooms`);
+
+        res.json({
+            success: true,
+            floorPlan: result.floorPlan,
+            importId: result.floorPlan.importId,
+            metadata: { ...result.metadata, sourceFormat: 'dwg' },
+            layerProfile: layerProfile.name,
+            statistics: result.statistics,
+            errors: result.errors,
+            warnings: result.warnings
+        });
+
+    } catch (error) {
+        console.error('❌ DWG import failed:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'DWG import failed',
+            details: error.message
+        });
+    } finally {
+        await fs.promises.unlink(req.file.path).catch(() => {});
+    }
+});
+
 app.post('/api/dxf/export', async (req, res) => {
     const { floorPlan, options = {} } = req.body;
 
@@ -994,8 +1276,16 @@ app.post('/api/dxf/export', async (req, res) => {
             ...options
         });
 
+        // Re-emit the imported drawing when its source is still held
+        const importId = floorPlan.importId || options.importId;
+        const source = importId ? importSources.get(importId) : null;
+
+        if (importId && !source) {
+            console.warn(`⚠️ Source drawing for import ${importId} expired; exporting generated layers only`);
+        }
+
         // Generate DXF content
-        const dxfContent = await dxfProcessor.generateDxfFile(floorPlan, options);
+        const dxfContent = await dxfProcessor.generateDxfFile(floorPlan, { ...options, source });
 
         // Set appropriate headers for file download
         const filename = options.filename || `floorplan_${Date.now()}.dxf`;
@@ -1027,7 +1317,8 @@ app.get('/api/dxf/layers', (req, res) => {
             success: true,
             layers: Object.keys(layerMappings),
             mappings: layerMappings,
-            supportedTypes: ['WALLS', 'RED_ZONE', 'BLUE_ZONE', 'ILOTS', 'CORRIDORS', 'ANNOTATIONS', 'DIMENSIONS']
+            supportedTypes: ['WALLS', 'RED_ZONE', 'BLUE_ZONE', 'ILOTS', 'CORRIDORS', 'ANNOTATIONS', 'DIMENSIONS', 'TITLE_BLOCK'],
+            activeProfile: layerProfiles.get()
         });
 
     } catch (error) {
@@ -1039,6 +1330,45 @@ app.get('/api/dxf/layers', (req, res) => {
     }
 });
 
+app.get('/api/dxf/layer-profiles', (req, res) => {
+    res.json({
+        success: true,
+        activeProfile: layerProfiles.activeProfile,
+        profiles: layerProfiles.list()
+    });
+});
+
+app.post('/api/dxf/layer-profiles', async (req, res) => {
+    try {
+        const profile = await layerProfiles.set(req.body);
+        console.log(`📐 Layer profile saved: ${profile.name}`);
+        res.json({ success: true, profile });
+    } catch (error) {
+        res.status(400).json({ success: false, error: 'Invalid layer profile', details: error.message });
+    }
+});
+
+app.put('/api/dxf/layer-profiles/active', async (req, res) => {
+    try {
+        const profile = await layerProfiles.setActive(req.body.name);
+        res.json({ success: true, activeProfile: profile });
+    } catch (error) {
+        res.status(400).json({ success: false, error: 'Failed to select layer profile', details: error.message });
+    }
+});
+
+app.delete('/api/dxf/layer-profiles/:name', async (req, res) => {
+    try {
+        const deleted = await layerProfiles.delete(req.params.name);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: `Unknown layer profile: ${req.params.name}` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ success: false, error: 'Failed to delete layer profile', details: error.message });
+    }
+});
+
 app.post('/api/navigation', async (req, res) => {
     const { urn, from, to } = req.body;
     try {
@@ -1103,10 +1433,15 @@ io.on('connection', (socket) => {
 const PORT = process.env.PORT || 5000;
 const HOST = '0.0.0.0';
 
-server.listen(PORT, HOST, () => {
-    console.log(`\nFloorPlan Pro Backend running on http://${HOST}:${PORT}`);
-    console.log(`🔗 WebSocket server ready for real-time collaboration`);
-    if (!fs.existsSync('uploads')) {
-        fs.mkdirSync('uploads');
-    }
-});
+// Only listen when started directly; tests mount the app with supertest
+if (require.main === module) {
+    server.listen(PORT, HOST, () => {
+        console.log(`\nFloorPlan Pro Backend running on http://${HOST}:${PORT}`);
+        console.log(`🔗 WebSocket server ready for real-time collaboration`);
+        if (!fs.existsSync('uploads')) {
+            fs.mkdirSync('uploads');
+        }
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,271 @@
+/**
+ * Adjacency and Grouping Rules between Îlot Types
+ *
+ * Declarative relationships from a space brief, evaluated on a layout. Every
+ * rule names a subject îlot type and one of four relations:
+ *
+ * - near:     each subject îlot within `distance` of a target
+ * - far:      each subject îlot at least `distance` away from every target
+ * - adjacent: each subject îlot has `count` target îlots within `distance`
+ * - cluster:  subject îlots form groups of at least `groupSize` (default: all
+ *             of them in one group); îlots within `distance` are grouped
+ *
+ * Targets are îlot types or floor plan features (entrance, window, wall).
+ * Distances are edge-to-edge in meters. Rule fields:
+ *
+ *   { id, type, subject, target, distance, count, groupSize, weight }
+ *
+ * Each rule scores 0-1 (partial credit for îlots that are close to satisfying
+ * it) and is satisfied when every subject îlot satisfies it. Rules without
+ * subject îlots or targets in the layout are reported as not applicable.
+ * Rules keep their id, or rule_<position> from their place in the input; an
+ * invalid rule is not enforced but reported as invalid with its error.
+ *
+ * @author FloorPlan Pro Team
+ * @version 1.0.0
+ */
+
+const RULE_TYPES = ['near', 'far', 'adjacent', 'cluster'];
+const FEATURE_TARGETS = ['entrance', 'window', 'wall'];
+const DEFAULT_DISTANCE = { near: 5, far: 5 };
+
+class AdjacencyRules {
+    constructor(rules = [], options = {}) {
+        this.rules = [];
+        this.rejected = [];
+        this.geometryEngine = options.geometryEngine;
+
+        rules.forEach((rule, index) => {
+            try {
+                this.rules.push(AdjacencyRules.validateRule(rule, index));
+            } catch (error) {
+                this.rejected.push({ id: AdjacencyRules.ruleId(rule, index), rule, error: error.message });
+            }
+        });
+    }
+
+    /**
+     * Id of a rule: its own, or one from its position in the rule set
+     * @param {Object} rule - Rule definition
+     * @param {number} index - Position in the rule set
+     * @returns {string} Rule id
+     */
+    static ruleId(rule, index) {
+        return (rule && rule.id) || `rule_${index + 1}`;
+    }
+
+    /**
+     * Validate a rule definition
+     * @param {Object} rule - Rule definition
+     * @param {number} index - Position in the rule set (for ids and messages)
+     * @returns {Object} Normalized rule
+     */
+    static validateRule(rule, index) {
+        const id = AdjacencyRules.ruleId(rule, index);
+
+        if (!rule || !RULE_TYPES.includes(rule.type)) {
+            throw new Error(`Rule ${id}: type must be one of ${RULE_TYPES.join(', ')}`);
+        }
+        if (typeof rule.subject !== 'string' || rule.subject.length === 0) {
+            throw new Error(`Rule ${id}: subject must be an îlot type`);
+        }
+
+        const target = rule.type === 'cluster' ? rule.subject : (rule.target || rule.subject);
+        if (rule.type === 'adjacent' && FEATURE_TARGETS.includes(target)) {
+            throw new Error(`Rule ${id}: adjacent rules need an îlot type as target`);
+        }
+
+        for (const field of ['distance', 'count', 'groupSize', 'weight']) {
+            if (rule[field] !== undefined && !(Number(rule[field]) > 0)) {
+                throw new Error(`Rule ${id}: ${field} must be a positive number`);
+            }
+        }
+
+        return {
+            id,
+            type: rule.type,
+            subject: rule.subject,
+            target,
+            // Adjacent and cluster distances default to the îlot spacing (see evaluate)
+            distance: rule.distance !== undefined ? Number(rule.distance) : (DEFAULT_DISTANCE[rule.type] ?? null),
+            count: Math.round(Number(rule.count) || 1),
+            groupSize: rule.groupSize !== undefined ? Math.round(Number(rule.groupSize)) : null,
+            weight: rule.weight !== undefined ? Number(rule.weight) : 1
+        };
+    }
+
+    /**
+     * Evaluate all rules on a layout
+     * @param {Array} ilots - Placed îlots (type, id, polygon)
+     * @param {Object} features - Feature segments by target name ({ entrance: [[a, b], ...], ... })
+     * @param {Object} options - { adjacencyDistance } default distance for adjacent/cluster rules
+     * @returns {Object} { score, satisfied, violated, invalid, rules: [...] }
+     */
+    evaluate(ilots, features = {}, options = {}) {
+        const results = this.rules.map(rule => this.evaluateRule(rule, ilots, features, options));
+        const applicable = results.filter(result => result.status !== 'not_applicable');
+        const totalWeight = applicable.reduce((sum, result) => sum + result.weight, 0);
+
+        return {
+            score: totalWeight > 0
+                ? applicable.reduce((sum, result) => sum + result.weight * result.score, 0) / totalWeight
+                : 1,
+            satisfied: applicable.filter(result => result.status === 'satisfied').length,
+            violated: applicable.filter(result => result.status === 'violated').length,
+            invalid: this.rejected.length,
+            rules: [...results, ...this.rejected.map(rejected => ({
+                id: rejected.id,
+                type: rejected.rule?.type ?? null,
+                subject: rejected.rule?.subject ?? null,
+                target: rejected.rule?.target ?? null,
+                score: null,
+                status: 'invalid',
+                error: rejected.error,
+                violations: []
+            }))]
+        };
+    }
+
+    /**
+     * Evaluate one rule
+     * @param {Object} rule - Normalized rule
+     * @param {Array} ilots - Placed îlots
+     * @param {Object} features - Feature segments by target name
+     * @param {Object} options - Evaluation options
+     * @returns {Object} Rule result with score, status and violating îlot ids
+     */
+    evaluateRule(rule, ilots, features, options) {
+        const distance = rule.distance ?? options.adjacencyDistance ?? 1;
+        const subjects = ilots.filter(ilot => ilot.type === rule.subject);
+        const isFeature = FEATURE_TARGETS.includes(rule.target);
+        const targets = isFeature
+            ? (features[rule.target] || [])
+            : ilots.filter(ilot => ilot.type === rule.target);
+
+        const result = {
+            id: rule.id,
+            type: rule.type,
+            subject: rule.subject,
+            target: rule.target,
+            distance,
+            weight: rule.weight,
+            subjects: subjects.length,
+            score: 1,
+            status: 'not_applicable',
+            violations: []
+        };
+
+        const needsTargets = rule.type !== 'cluster';
+        if (subjects.length === 0 || (needsTargets && targets.length === 0)) {
+            return result;
+        }
+
+        let scores;
+        if (rule.type === 'cluster') {
+            scores = this.scoreClusters(subjects, distance, rule.groupSize);
+        } else if (rule.type === 'adjacent') {
+            scores = subjects.map(ilot => {
+                const neighbours = targets.filter(other =>
+                    other !== ilot && this.ilotDistance(ilot, other, distance) <= distance
+                ).length;
+                return Math.min(neighbours / rule.count, 1);
+            });
+        } else {
+            scores = subjects.map(ilot => {
+                const nearest = Math.min(...targets
+                    .filter(target => target !== ilot)
+                    .map(target => isFeature ? this.segmentDistance(ilot.polygon, target) : this.ilotDistance(ilot, target)));
+
+                if (rule.type === 'near') {
+                    return nearest <= distance ? 1 : distance / nearest;
+                }
+                return nearest >= distance ? 1 : nearest / distance;
+            });
+        }
+
+        result.score = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+        result.violations = subjects.filter((ilot, index) => scores[index] < 1).map(ilot => ilot.id);
+        result.status = result.violations.length === 0 ? 'satisfied' : 'violated';
+        return result;
+    }
+
+    /**
+     * Share of credit per subject îlot from the size of its group
+     * @param {Array} subjects - Subject îlots
+     * @param {number} distance - Grouping distance
+     * @param {number|null} groupSize - Required group size (null: all subjects)
+     * @returns {Array} Score per subject
+     */
+    scoreClusters(subjects, distance, groupSize) {
+        const required = Math.min(groupSize || subjects.length, subjects.length);
+        const group = subjects.map((ilot, index) => index);
+        const find = index => (group[index] === index ? index : (group[index] = find(group[index])));
+
+        for (let i = 0; i < subjects.length; i++) {
+            for (let j = i + 1; j < subjects.length; j++) {
+                if (this.ilotDistance(subjects[i], subjects[j], distance) <= distance) {
+                    group[find(i)] = find(j);
+                }
+            }
+        }
+
+        const sizes = new Map();
+        subjects.forEach((ilot, index) => sizes.set(find(index), (sizes.get(find(index)) || 0) + 1));
+        return subjects.map((ilot, index) => Math.min(sizes.get(find(index)) / required, 1));
+    }
+
+    /**
+     * Edge-to-edge distance between two îlots
+     * @param {Object} a - Îlot
+     * @param {Object} b - Îlot
+     * @param {number} cutoff - Skip the exact test when the bounding boxes are further apart
+     * @returns {number} Distance
+     */
+    ilotDistance(a, b, cutoff = Infinity) {
+        const boxA = AdjacencyRules.bounds(a.polygon);
+        const boxB = AdjacencyRules.bounds(b.polygon);
+        const gap = Math.hypot(
+            Math.max(boxA.minX - boxB.maxX, boxB.minX - boxA.maxX, 0),
+            Math.max(boxA.minY - boxB.maxY, boxB.minY - boxA.maxY, 0)
+        );
+
+        if (gap > cutoff) {
+            return gap;
+        }
+        return this.geometryEngine.polygonDistance(a.polygon, b.polygon);
+    }
+
+    /**
+     * Distance from a polygon to a segment (a point is a zero-length segment)
+     * @param {Array} polygon - Polygon
+     * @param {Array} segment - [start, end]
+     * @returns {number} Distance
+     */
+    segmentDistance(polygon, [start, end]) {
+        let distance = Infinity;
+
+        for (let i = 0; i < polygon.length; i++) {
+            const next = polygon[(i + 1) % polygon.length];
+            distance = Math.min(
+                distance,
+                this.geometryEngine.pointToSegmentDistance(polygon[i], start, end),
+                this.geometryEngine.pointToSegmentDistance(start, polygon[i], next),
+                this.geometryEngine.pointToSegmentDistance(end, polygon[i], next)
+            );
+        }
+        return distance;
+    }
+
+    /**
+     * Bounding box of a polygon
+     * @param {Array} polygon - Polygon
+     * @returns {Object} { minX, minY, maxX, maxY }
+     */
+    static bounds(polygon) {
+        const xs = polygon.map(point => point[0]);
+        const ys = polygon.map(point => point[1]);
+        return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+    }
+}
+
+module.exports = { AdjacencyRules, RULE_TYPES, FEATURE_TARGETS };
@@ -19,6 +19,9 @@
  * @version 3.0.0 - PRODUCTION
  */
 
+const LayoutAnnealer = require('./layout-annealer');
+const SeededRandom = require('./seeded-random');
+
 class AdvancedIlotsManager {
     constructor(viewer, roomDetector, options = {}) {
         this.viewer = viewer;
@@ -79,6 +82,9 @@ class AdvancedIlotsManager {
             },
 
             optimization: options.optimization || 'balanced', // 'density', 'comfort', 'efficiency', 'balanced'
+            optimizationIterations: options.optimizationIterations || 500,
+            timeoutMs: options.timeoutMs || 5000, // Safety cutoff of the layout improvement phase
+            seed: options.seed, // Runs with the same seed are reproducible
 
             // Architectural compliance settings
             architectural: {
@@ -102,6 +108,8 @@ class AdvancedIlotsManager {
 
         // State management
         this.ilots = [];
+        this.rooms = [];
+        this.random = new SeededRandom(this.configurations.seed);
         this.visualizationObjects = [];
         this.optimizationHistory = [];
         this.statistics = {};
@@ -136,6 +144,7 @@ class AdvancedIlotsManager {
 
             // Update configuration
             this.configurations = this.mergeConfigurations(this.configurations, config);
+            this.random = new SeededRandom(this.configurations.seed);
 
             // Clear existing ilots
             this.clearExistingIlots();
@@ -145,6 +154,7 @@ class AdvancedIlotsManager {
             if (!rooms || rooms.length === 0) {
                 throw new Error('No rooms detected or provided');
             }
+            this.rooms = rooms;
 
             // Step 2: Generate îlots for each suitable room
             this.ilots = [];
@@ -556,6 +566,9 @@ class AdvancedIlotsManager {
         try {
             let optimizedIlots = [...ilots];
 
+            // Improve positions under the strategy objective, then apply the strategy pass
+            const improvement = await this.improveLayout(optimizedIlots);
+
             switch (this.configurations.optimization) {
                 case 'density':
                     optimizedIlots = this.optimizeForDensity(optimizedIlots);
@@ -578,7 +591,10 @@ class AdvancedIlotsManager {
                 strategy: this.configurations.optimization,
                 inputCount: ilots.length,
                 outputCount: optimizedIlots.length,
-                improvementScore: this.calculateOptimizationImprovement(ilots, optimizedIlots)
+                improvementScore: this.calculateOptimizationImprovement(ilots, optimizedIlots),
+                initialObjective: improvement ? improvement.initialObjective : null,
+                finalObjective: improvement ? improvement.finalObjective : null,
+                objectiveTrace: improvement ? improvement.trace : []
             });
 
             return optimizedIlots;
@@ -589,6 +605,148 @@ class AdvancedIlotsManager {
         }
     }
 
+    /**
+     * Move, swap and reinsert îlots inside their rooms by simulated annealing
+     * @param {Array} ilots - Îlots (modified in place)
+     * @returns {Promise<Object|null>} Annealing result with objective trace
+     */
+    async improveLayout(ilots) {
+        if (ilots.length === 0) {
+            return null;
+        }
+
+        const annealer = new LayoutAnnealer({
+            maxIterations: this.configurations.optimizationIterations,
+            timeLimitMs: this.configurations.timeoutMs,
+            random: () => this.random.next()
+        });
+
+        return annealer.run({
+            evaluate: () => this.evaluateLayoutObjective(ilots),
+            propose: progress => this.proposeLayoutMove(ilots, progress),
+            snapshot: () => ilots.map(ilot => [ilot, ilot.position]),
+            restore: snapshot => snapshot.forEach(([ilot, position]) => this.placeIlot(ilot, position))
+        });
+    }
+
+    /**
+     * Objective of the configured optimization strategy, higher is better
+     * @param {Array} ilots - Îlots
+     * @returns {number} Objective
+     */
+    evaluateLayoutObjective(ilots) {
+        const mean = score => ilots.reduce((sum, ilot) => sum + score(ilot), 0) / ilots.length;
+
+        switch (this.configurations.optimization) {
+            case 'density': {
+                // Compact clusters: îlots close to their nearest neighbour, on efficient spots
+                const spacing = mean(ilot => Math.min(this.getNearestIlotDistance(ilot, ilots) / this.configurations.maxDistance, 1));
+                return 0.5 * (1 - spacing) + 0.5 * mean(ilot => ilot.efficiency);
+            }
+            case 'comfort': {
+                // Generous spacing and comfortable spots
+                const spacing = mean(ilot => Math.min(this.getNearestIlotDistance(ilot, ilots) / this.configurations.maxDistance, 1));
+                return 0.5 * spacing + 0.5 * mean(ilot => this.calculateComfortScore(ilot));
+            }
+            case 'efficiency':
+                return mean(ilot => this.calculateEnhancedEfficiency(ilot));
+            case 'balanced':
+            default:
+                return mean(ilot => this.calculateOverallScore(ilot));
+        }
+    }
+
+    /**
+     * Apply one random move (shift, swap with another îlot of the room, or
+     * reinsert anywhere in the room)
+     * @param {Array} ilots - Îlots
+     * @param {number} progress - Optimization progress from 0 to 1
+     * @returns {Object|null} Move with undo(), or null if the move was invalid
+     */
+    proposeLayoutMove(ilots, progress) {
+        const ilot = ilots[Math.floor(this.random.next() * ilots.length)];
+        const room = this.rooms.find(candidate => candidate.id === ilot.roomId);
+        if (!room) {
+            return null;
+        }
+
+        const roll = this.random.next();
+        let changes;
+
+        if (roll < 0.6) {
+            const step = Math.max(ilot.dimensions.width, ilot.dimensions.height) * (1 - progress) + 0.1;
+            changes = [[ilot, {
+                ...ilot.position,
+                x: ilot.position.x + (this.random.next() * 2 - 1) * step,
+                y: ilot.position.y + (this.random.next() * 2 - 1) * step
+            }]];
+        } else if (roll < 0.8) {
+            const roomIlots = ilots.filter(other => other.roomId === ilot.roomId && other.type !== ilot.type);
+            const other = roomIlots[Math.floor(this.random.next() * roomIlots.length)];
+            if (!other) {
+                return null;
+            }
+            changes = [[ilot, other.position], [other, ilot.position]];
+        } else {
+            changes = [[ilot, {
+                ...ilot.position,
+                x: room.bbox.minX + this.random.next() * (room.bbox.maxX - room.bbox.minX),
+                y: room.bbox.minY + this.random.next() * (room.bbox.maxY - room.bbox.minY)
+            }]];
+        }
+
+        const previous = changes.map(([item]) => [item, item.position]);
+        changes.forEach(([item, position]) => this.placeIlot(item, position));
+
+        const valid = changes.every(([item]) =>
+            this.isValidIlotPosition(item.position, room, item.type) && !this.hasIlotConflict(item, ilots)
+        );
+        if (!valid) {
+            previous.forEach(([item, position]) => this.placeIlot(item, position));
+            return null;
+        }
+
+        return {
+            undo: () => previous.forEach(([item, position]) => this.placeIlot(item, position))
+        };
+    }
+
+    /**
+     * Move an îlot and refresh its geometry and position-dependent metrics
+     */
+    placeIlot(ilot, position) {
+        const room = this.rooms.find(candidate => candidate.id === ilot.roomId);
+
+        ilot.position = { ...position };
+        ilot.polygon = this.geometryEngine
+            ? this.geometryEngine.createRectangle(position.x, position.y, ilot.dimensions.width, ilot.dimensions.height)
+            : this.createSimpleRectangle(position, ilot.dimensions);
+        ilot.bbox = this.calculateIlotBounds(ilot.polygon);
+
+        if (room) {
+            ilot.accessibility = this.assessIlotAccessibility(position, room);
+            ilot.efficiency = this.calculateEfficiencyScore(position, room);
+        }
+    }
+
+    /**
+     * Whether an îlot is closer than the minimum clearance to another îlot
+     */
+    hasIlotConflict(ilot, ilots) {
+        const clearance = this.configurations.architectural.minClearance;
+
+        return ilots.some(other => other !== ilot &&
+            ilot.bbox.minX < other.bbox.maxX + clearance && other.bbox.minX < ilot.bbox.maxX + clearance &&
+            ilot.bbox.minY < other.bbox.maxY + clearance && other.bbox.minY < ilot.bbox.maxY + clearance
+        );
+    }
+
+    getNearestIlotDistance(ilot, ilots) {
+        return ilots.reduce((nearest, other) => other === ilot
+            ? nearest
+            : Math.min(nearest, this.calculateDistance(ilot.position, other.position)), this.configurations.maxDistance);
+    }
+
     optimizeForDensity(ilots) {
         // Remove îlots that conflict with minimum distance requirements
         const validIlots = [];
@@ -609,7 +767,6 @@ class AdvancedIlotsManager {
     optimizeForComfort(ilots) {
         return ilots.map(ilot => ({
             ...ilot,
-            position: this.adjustPositionForComfort(ilot.position, ilot.roomId),
             comfortScore: this.calculateComfortScore(ilot)
         })).sort((a, b) => b.comfortScore - a.comfortScore);
     }
@@ -983,7 +1140,7 @@ class AdvancedIlotsManager {
 
     calculateDistanceToNearestExit(ilot) {
         // Simplified exit distance calculation
-        return Math.random() * 25 + 5; // 5-30 meters
+        return this.random.next() * 25 + 5; // 5-30 meters
     }
 
     assessIlotAccessibility(position, room) {
@@ -1067,15 +1224,6 @@ class AdvancedIlotsManager {
         return optimizedAvgScore - originalAvgScore;
     }
 
-    adjustPositionForComfort(position, roomId) {
-        // Small random adjustment for comfort optimization
-        return {
-            ...position,
-            x: position.x + (Math.random() - 0.5) * 0.3,
-            y: position.y + (Math.random() - 0.5) * 0.3
-        };
-    }
-
     /**
      * STATISTICS AND EXPORT
      */
@@ -1087,6 +1235,7 @@ class AdvancedIlotsManager {
         this.statistics = {
             generation: {
                 timestamp: new Date().toISOString(),
+                seed: this.random.seed,
                 totalIlots: this.ilots.length,
                 validIlots: validIlots.length,
                 invalidIlots: invalidIlots.length,
@@ -28,6 +28,57 @@ class AIRoomDetector {
         return this.rooms;
     }
 
+    // Detect rooms from polygons reconstructed during DXF import
+    async detectRoomsFromFloorPlan(floorPlan) {
+        const spatialData = this.extractFloorPlanFeatures(floorPlan);
+        const detectedRooms = await this.classifySpaces(spatialData);
+
+        this.rooms = await this.validateAndRefine(detectedRooms);
+
+        console.log(`✅ Classified ${this.rooms.length} of ${spatialData.length} reconstructed rooms`);
+        return this.rooms;
+    }
+
+    // Extract spatial features from reconstructed room polygons
+    extractFloorPlanFeatures(floorPlan) {
+        const entrances = floorPlan.entrances || [];
+
+        return (floorPlan.rooms || []).map((room, index) => {
+            const width = room.bbox.maxX - room.bbox.minX;
+            const height = room.bbox.maxY - room.bbox.minY;
+            const bbox = {
+                ...room.bbox,
+                size: () => ({ x: width, y: height, z: 0 }),
+                center: () => ({ x: room.centroid[0], y: room.centroid[1], z: 0 })
+            };
+
+            // Doors sit in the wall line, so count entrances on or near the room outline
+            const doorCount = entrances.filter(entrance => {
+                const [x, y] = entrance.position;
+                return x >= room.bbox.minX - 0.5 && x <= room.bbox.maxX + 0.5 &&
+                    y >= room.bbox.minY - 0.5 && y <= room.bbox.maxY + 0.5;
+            }).length;
+
+            return {
+                dbId: room.id,
+                name: room.name || `Room ${index + 1}`,
+                area: room.area,
+                width,
+                height,
+                aspectRatio: Math.max(width, height) / Math.min(width, height),
+                center: bbox.center(),
+                bbox,
+                polygon: room.polygon,
+                holes: room.holes,
+                perimeter: room.perimeter,
+                doorCount,
+                windowCount: this.estimateWindowCount(bbox),
+                wallDensity: room.perimeter / room.area,
+                connectivity: doorCount
+            };
+        });
+    }
+
     // Extract spatial features for AI analysis
     async extractSpatialFeatures(instanceTree) {
         const features = [];
@@ -10,6 +10,12 @@
  * - Path smoothing and optimization
  * - Corridor width maintenance and geometry generation
  * - Integration with forbidden zones and îlot placement
+ * - Columns and other structural obstacles kept clear of corridors
+ * - Row mode: straight corridors between facing rows of îlots
+ * - Buffered corridor outlines unioned into one network with clean junctions
+ * - Network graph (junctions, endpoints, corridor edges) with connectivity analysis
+ * - Dead-end measurement, closed by secondary connections when required
+ * - Width hierarchy (main, secondary, access) from the traffic each corridor carries
  * 
  * Dependencies:
  * - GeometryEngine for spatial operations
@@ -34,6 +40,17 @@ class CorridorGenerator {
             minWidth: options.minWidth || 1.5,
             maxWidth: options.maxWidth || 3.0,
 
+            // Width hierarchy relative to the default width: secondary corridors
+            // keep it, main corridors (carrying at least mainTrafficShare of all
+            // îlot capacity) widen by up to mainWidthRatio, access paths to a
+            // single îlot narrow to accessWidthRatio. Widths stay within
+            // [minWidth, maxWidth] unless that would invert the hierarchy
+            hierarchicalWidths: options.hierarchicalWidths !== false,
+            mainTrafficShare: options.mainTrafficShare || 0.5,
+            mainWidthRatio: options.mainWidthRatio || 1.5,
+            accessWidthRatio: options.accessWidthRatio || 0.8,
+            accessMaxLength: options.accessMaxLength || 6, // meters
+
             // Pathfinding parameters
             gridResolution: options.gridResolution || 0.5, // Grid cell size in meters
             diagonalMovement: options.diagonalMovement !== false,
@@ -44,9 +61,23 @@ class CorridorGenerator {
             maxTurnAngle: options.maxTurnAngle || 135, // degrees
             cornerRadius: options.cornerRadius || 0.3,
 
+            // Corridor outline: joins at bends ('miter' | 'round' | 'square') and
+            // ends ('round' caps close the gap where paths meet at an angle)
+            joinType: options.joinType || 'miter',
+            endType: options.endType || 'round',
+            miterLimit: options.miterLimit || 2,
+
+            // Free space kept between corridors and columns/obstacles
+            columnClearance: options.columnClearance ?? 0.5,
+
+            // 'network': A* paths between key points; 'rows': straight corridors
+            // between facing îlot rows, connected to the entrances
+            layoutMode: options.layoutMode || 'network',
+
             // Connection requirements
             connectAllEntrances: options.connectAllEntrances !== false,
             requireRedundantPaths: options.requireRedundantPaths || false,
+            maxDeadEndLength: options.maxDeadEndLength || 10, // meters, enforced with requireRedundantPaths
             maxPathLength: options.maxPathLength || 100, // meters
 
             // Performance limits
@@ -59,8 +90,13 @@ class CorridorGenerator {
         // State variables
         this.floorPlan = null;
         this.allowedSpace = null;
+        this.obstacles = [];
         this.navigationGrid = null;
         this.corridors = [];
+        this.networkRegion = [];
+        this.networkGraph = { nodes: [], edges: [] };
+        this.deadEnds = [];
+        this.destinations = [];
         this.pathNetwork = new Map();
 
         this.log('CorridorGenerator initialized', this.config);
@@ -84,17 +120,34 @@ class CorridorGenerator {
             // Initialize state
             this.floorPlan = floorPlan;
             this.allowedSpace = allowedSpace;
+            this.obstacles = this.collectObstacles();
             this.corridors = [];
+            this.networkRegion = [];
+            this.networkGraph = { nodes: [], edges: [] };
+            this.deadEnds = [];
+            this.destinations = destinations;
             this.pathNetwork.clear();
 
+            // Row corridors run along îlots, so connections must route around them
+            const ilotBoxes = this.config.layoutMode === 'rows' ? this.getIlotBoxes(destinations) : [];
+            for (const box of ilotBoxes) {
+                this.obstacles.push({ polygon: box.polygon, bbox: box, ilotId: box.id });
+            }
+
             // Step 1: Create navigation grid
             await this.createNavigationGrid();
 
-            // Step 2: Identify key points to connect
-            const keyPoints = this.identifyKeyPoints(destinations);
-
-            // Step 3: Generate path network
-            await this.generatePathNetwork(keyPoints);
+            // Step 2 and 3: Identify key points and generate path network
+            const rowCorridors = this.config.layoutMode === 'rows' ? this.generateRowCorridors(ilotBoxes) : [];
+            if (rowCorridors.length > 0) {
+                await this.connectRowCorridors(rowCorridors, this.identifyEntrances(destinations));
+            } else {
+                if (this.config.layoutMode === 'rows') {
+                    this.log('No facing îlot rows found, falling back to network mode');
+                }
+                const keyPoints = this.identifyKeyPoints(destinations);
+                await this.generatePathNetwork(keyPoints);
+            }
 
             // Step 4: Optimize path network
             await this.optimizePathNetwork();
@@ -102,7 +155,19 @@ class CorridorGenerator {
             // Step 5: Generate corridor geometry
             await this.generateCorridorGeometry();
 
-            // Step 6: Validate corridor network
+            // Step 6: Build the network graph from the corridor centerlines
+            this.networkGraph = this.buildNetworkGraph();
+
+            // Step 7: Close long dead ends with secondary connections
+            if (this.config.requireRedundantPaths) {
+                await this.addRedundantPaths();
+            }
+            this.deadEnds = this.findDeadEnds();
+
+            // Step 8: Classify corridors by traffic and size them accordingly
+            await this.assignCorridorHierarchy();
+
+            // Step 9: Validate corridor network
             const validation = await this.validateCorridorNetwork();
 
             if (!validation.isValid) {
@@ -174,6 +239,8 @@ class CorridorGenerator {
                 }
             }
 
+            this.blockObstacleCells();
+
             const walkableCells = this.navigationGrid.cells.filter(cell => cell === 1).length;
             this.log('Navigation grid created', { 
                 totalCells: this.navigationGrid.cells.length,
@@ -187,6 +254,75 @@ class CorridorGenerator {
         }
     }
 
+    /**
+     * Columns and obstacles of the floor plan, grown by the column clearance
+     * @returns {Array} Obstacle polygons with bounding boxes
+     */
+    collectObstacles() {
+        const obstacles = [];
+
+        for (const column of [...(this.floorPlan?.columns || []), ...(this.floorPlan?.obstacles || [])]) {
+            let polygon = column?.polygon || column;
+            if (!this.geometryEngine.validatePolygon(polygon)) {
+                const center = column?.center || column?.position;
+                if (!this.geometryEngine.validatePoint(center) || !(column.radius > 0)) continue;
+                polygon = this.geometryEngine.createCircle(center[0], center[1], column.radius);
+            }
+
+            const buffered = this.config.columnClearance > 0
+                ? this.geometryEngine.bufferPolygon(polygon, this.config.columnClearance)
+                : [polygon];
+
+            for (const outline of buffered) {
+                obstacles.push({ polygon: outline, bbox: this.geometryEngine.calculateBoundingBox(outline) });
+            }
+        }
+
+        return obstacles;
+    }
+
+    /**
+     * Mark grid cells whose corridor would overlap an obstacle as blocked
+     */
+    blockObstacleCells() {
+        const { bbox, resolution } = this.navigationGrid;
+        const radius = this.config.defaultWidth / 2;
+
+        for (const obstacle of this.obstacles) {
+            // Only cells within half a corridor width of the obstacle's box can be affected
+            const from = this.worldToGrid([obstacle.bbox.minX - radius, obstacle.bbox.minY - radius]);
+            const to = this.worldToGrid([obstacle.bbox.maxX + radius, obstacle.bbox.maxY + radius]);
+
+            for (let y = Math.max(from.y, 0); y <= Math.min(to.y, this.navigationGrid.height - 1); y++) {
+                for (let x = Math.max(from.x, 0); x <= Math.min(to.x, this.navigationGrid.width - 1); x++) {
+                    const point = [bbox.minX + (x + 0.5) * resolution, bbox.minY + (y + 0.5) * resolution];
+                    if (this.isNearObstacle(point, radius, [obstacle])) {
+                        this.setGridCell(x, y, 0);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Check if a point lies within a distance of an obstacle
+     * @param {Array} point - Point to check
+     * @param {number} distance - Required free distance
+     * @param {Array} obstacles - Obstacles to test (default: all)
+     * @returns {boolean} True if too close
+     */
+    isNearObstacle(point, distance, obstacles = this.obstacles) {
+        return obstacles.some(({ polygon }) => {
+            if (this.geometryEngine.pointInPolygon(point, polygon)) return true;
+
+            for (let i = 0; i < polygon.length; i++) {
+                const next = polygon[(i + 1) % polygon.length];
+                if (this.geometryEngine.pointToSegmentDistance(point, polygon[i], next) < distance) return true;
+            }
+            return false;
+        });
+    }
+
     /**
      * Check if point has enough clearance for corridor
      * @param {Array} point - Point to check
@@ -221,12 +357,12 @@ class CorridorGenerator {
         try {
             const startTime = Date.now();
 
-            // Convert world coordinates to grid coordinates
-            const startGrid = this.worldToGrid(start);
-            const endGrid = this.worldToGrid(end);
+            // Convert world coordinates to grid coordinates; points in blocked
+            // cells (e.g. next to a column) start from the nearest walkable cell
+            const startGrid = this.findNearestWalkableCell(this.worldToGrid(start));
+            const endGrid = this.findNearestWalkableCell(this.worldToGrid(end));
 
-            if (!this.isValidGridCell(startGrid.x, startGrid.y) || 
-                !this.isValidGridCell(endGrid.x, endGrid.y)) {
+            if (!startGrid || !endGrid) {
                 return null;
             }
 
@@ -421,11 +557,6 @@ class CorridorGenerator {
                 }
             }
 
-            // Add redundant paths if required
-            if (this.config.requireRedundantPaths) {
-                await this.addRedundantPaths(keyPoints);
-            }
-
             this.log('Path network generated', { 
                 paths: this.pathNetwork.size,
                 totalNodes: keyPoints.length
@@ -440,9 +571,10 @@ class CorridorGenerator {
     /**
      * Create minimum spanning tree for key points
      * @param {Array} keyPoints - Points to connect
+     * @param {Function} getDistance - Edge weight between two key points (default: straight distance)
      * @returns {Array} MST edges
      */
-    async createMinimumSpanningTree(keyPoints) {
+    async createMinimumSpanningTree(keyPoints, getDistance = null) {
         const edges = [];
 
         // Calculate all possible edges
@@ -450,7 +582,9 @@ class CorridorGenerator {
             for (let j = i + 1; j < keyPoints.length; j++) {
                 const point1 = keyPoints[i];
                 const point2 = keyPoints[j];
-                const distance = this.geometryEngine.calculateDistance(point1.position, point2.position);
+                const distance = getDistance
+                    ? getDistance(point1, point2)
+                    : this.geometryEngine.calculateDistance(point1.position, point2.position);
 
                 edges.push({
                     from: point1,
@@ -506,8 +640,9 @@ class CorridorGenerator {
      * @param {string} toId - End point ID
      * @param {Array} path - Path points
      * @param {number} weight - Path weight
+     * @param {Object} properties - Additional path data (kind, width)
      */
-    addPathToNetwork(fromId, toId, path, weight) {
+    addPathToNetwork(fromId, toId, path, weight, properties = {}) {
         const pathId = `${fromId}_${toId}`;
         this.pathNetwork.set(pathId, {
             id: pathId,
@@ -515,10 +650,309 @@ class CorridorGenerator {
             to: toId,
             path,
             weight,
-            length: this.calculatePathDistance(path)
+            length: this.calculatePathDistance(path),
+            ...properties
         });
     }
 
+    /**
+     * ROW-BASED CORRIDOR LAYOUT
+     */
+
+    /**
+     * Bounding boxes of the îlots among the destinations
+     * @param {Array} destinations - Destinations (îlots carry a polygon or width/height)
+     * @returns {Array} Boxes { id, minX, minY, maxX, maxY, polygon }
+     */
+    getIlotBoxes(destinations) {
+        const boxes = [];
+
+        for (const destination of destinations) {
+            if (destination.type !== 'ilot') continue;
+
+            const footprint = this.getFootprint(destination);
+            if (footprint) {
+                const bbox = this.geometryEngine.calculateBoundingBox(footprint);
+                boxes.push({
+                    id: destination.id,
+                    ...bbox,
+                    polygon: [[bbox.minX, bbox.minY], [bbox.maxX, bbox.minY], [bbox.maxX, bbox.maxY], [bbox.minX, bbox.maxY]]
+                });
+            }
+        }
+
+        return boxes;
+    }
+
+    /**
+     * Footprint of a destination: its polygon, or a rectangle from its size
+     * @param {Object} destination - Destination
+     * @returns {Array|null} Polygon
+     */
+    getFootprint(destination) {
+        if (this.geometryEngine.validatePolygon(destination.polygon)) {
+            return destination.polygon;
+        }
+        if (this.geometryEngine.validatePoint(destination.position) && destination.width > 0 && destination.height > 0) {
+            const [x, y] = destination.position;
+            const [halfWidth, halfHeight] = [destination.width / 2, destination.height / 2];
+            return [[x - halfWidth, y - halfHeight], [x + halfWidth, y - halfHeight], [x + halfWidth, y + halfHeight], [x - halfWidth, y + halfHeight]];
+        }
+        return null;
+    }
+
+    /**
+     * Group îlot boxes into rows: boxes whose centers fall within a row's
+     * cross extent belong to that row
+     * @param {Array} boxes - Îlot boxes
+     * @param {string} axis - 'x' for rows running along x (stacked in y), 'y' for columns
+     * @returns {Array} Rows { min, max, start, end, boxes } sorted across the axis
+     */
+    clusterIlotRows(boxes, axis) {
+        const [crossMin, crossMax, alongMin, alongMax] = axis === 'x'
+            ? ['minY', 'maxY', 'minX', 'maxX']
+            : ['minX', 'maxX', 'minY', 'maxY'];
+        const center = box => (box[crossMin] + box[crossMax]) / 2;
+        const rows = [];
+
+        for (const box of [...boxes].sort((a, b) => center(a) - center(b))) {
+            const row = rows[rows.length - 1];
+            if (row && center(box) <= row.max) {
+                row.min = Math.min(row.min, box[crossMin]);
+                row.max = Math.max(row.max, box[crossMax]);
+                row.start = Math.min(row.start, box[alongMin]);
+                row.end = Math.max(row.end, box[alongMax]);
+                row.boxes.push(box);
+            } else {
+                rows.push({ min: box[crossMin], max: box[crossMax], start: box[alongMin], end: box[alongMax], boxes: [box] });
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Straight corridors along the gaps between facing îlot rows
+     * Rows are taken along whichever axis groups the îlots into fewer, longer
+     * rows. Each corridor is centered in the gap, runs the combined length of
+     * both rows and fills the gap up to the maximum width, so both rows open
+     * onto it; gaps below the minimum width get no corridor. The corridor is
+     * cut where walls, blue zones or obstacles cross it, and îlots that do not
+     * reach it (gaps wider than the maximum width, îlots set back from their
+     * row) get an access stub from the corridor to their facing side.
+     * @param {Array} boxes - Îlot boxes
+     * @returns {Array} Row corridors { id, from, to, path, width, gap, rows, stubs }
+     */
+    generateRowCorridors(boxes) {
+        if (boxes.length < 2) return [];
+
+        const byX = this.clusterIlotRows(boxes, 'x');
+        const byY = this.clusterIlotRows(boxes, 'y');
+        const axis = byY.length < byX.length ? 'y' : 'x';
+        const rows = axis === 'x' ? byX : byY;
+        const barriers = this.collectRowBarriers();
+        const toWorld = (along, cross) => (axis === 'x' ? [along, cross] : [cross, along]);
+        const [crossMin, crossMax, alongMin, alongMax] = axis === 'x'
+            ? ['minY', 'maxY', 'minX', 'maxX']
+            : ['minX', 'maxX', 'minY', 'maxY'];
+        const corridors = [];
+
+        for (let i = 0; i < rows.length - 1; i++) {
+            const [near, far] = [rows[i], rows[i + 1]];
+            const gap = far.min - near.max;
+            const overlap = Math.min(near.end, far.end) - Math.max(near.start, far.start);
+
+            // Only rows that face each other across a walkable gap
+            if (overlap <= 0 || gap < this.config.minWidth) {
+                this.log('Row gap skipped', { rows: [i, i + 1], gap, overlap });
+                continue;
+            }
+
+            const cross = (near.max + far.min) / 2;
+            const width = Math.min(gap, this.config.maxWidth);
+            const pieces = this.clipRowCorridor(
+                Math.min(near.start, far.start), Math.max(near.end, far.end), width, barriers,
+                along => toWorld(along, cross), toWorld(0, 1));
+
+            pieces.forEach(([start, end], index) => {
+                const suffix = pieces.length > 1 ? `_part_${index + 1}` : '';
+
+                // Îlots facing this stretch whose side stays clear of the corridor
+                const stubs = [];
+                for (const [box, face] of [...near.boxes.map(box => [box, box[crossMax]]), ...far.boxes.map(box => [box, box[crossMin]])]) {
+                    const along = (box[alongMin] + box[alongMax]) / 2;
+                    const reach = Math.abs(face - cross) - width / 2;
+                    if (along < start || along > end || reach <= this.config.gridResolution / 2) continue;
+
+                    // Stop half an access width short so the round cap does not enter the îlot
+                    const stop = face - Math.sign(face - cross) * this.config.minWidth / 2;
+                    stubs.push({ ilotId: box.id, path: [toWorld(along, cross), toWorld(along, stop)] });
+                }
+
+                corridors.push({
+                    id: `rows_${i + 1}_${i + 2}${suffix}`,
+                    from: `row_${i + 1}`,
+                    to: `row_${i + 2}${suffix}`,
+                    path: [toWorld(start, cross), toWorld(end, cross)],
+                    width,
+                    gap,
+                    rows: [near.boxes.map(box => box.id), far.boxes.map(box => box.id)],
+                    stubs
+                });
+            });
+        }
+
+        this.log('Row corridors generated', { axis, rows: rows.length, corridors: corridors.length });
+        return corridors;
+    }
+
+    /**
+     * Walls, blue zones and obstacles (without the îlots) that row corridors
+     * may not cross; walls count as two-point outlines
+     * @returns {Array} Barriers { polygon }
+     */
+    collectRowBarriers() {
+        const barriers = this.obstacles.filter(obstacle => !obstacle.ilotId);
+
+        for (const wall of this.floorPlan?.walls || []) {
+            const [start, end] = wall?.start ? [wall.start, wall.end] : [[wall?.x1, wall?.y1], [wall?.x2, wall?.y2]];
+            if (this.geometryEngine.validatePoint(start) && this.geometryEngine.validatePoint(end)) {
+                barriers.push({ polygon: [start, end] });
+            }
+        }
+
+        for (const zone of this.floorPlan?.blueZones || []) {
+            const polygon = zone?.polygon || zone;
+            if (this.geometryEngine.validatePolygon(polygon)) {
+                barriers.push({ polygon });
+            }
+        }
+
+        return barriers;
+    }
+
+    /**
+     * Free stretches of a straight row corridor
+     * The centerline is sampled every half grid cell; a sample is free when
+     * the corridor's cross section there lies in the allowed space and keeps
+     * half the corridor width from every barrier
+     * @param {number} start - Start along the row axis
+     * @param {number} end - End along the row axis
+     * @param {number} width - Corridor width
+     * @param {Array} barriers - Barriers from collectRowBarriers
+     * @param {Function} pointAt - Centerline point at a position along the axis
+     * @param {Array} normal - Unit vector across the corridor
+     * @returns {Array} Stretches [start, end] at least the minimum width long
+     */
+    clipRowCorridor(start, end, width, barriers, pointAt, normal) {
+        const step = this.config.gridResolution / 2;
+        const side = width / 2 - this.geometryEngine.tolerance;
+        const isFree = along => {
+            const point = pointAt(along);
+            return [-side, 0, side].every(offset =>
+                this.geometryEngine.pointInPolygon([point[0] + normal[0] * offset, point[1] + normal[1] * offset], this.allowedSpace)) &&
+                !this.isNearObstacle(point, width / 2, barriers);
+        };
+
+        const pieces = [];
+        let piece = null;
+        const count = Math.max(Math.ceil((end - start) / step), 1);
+
+        for (let i = 0; i <= count; i++) {
+            const along = start + (end - start) * i / count;
+            if (isFree(along)) {
+                piece = piece ? [piece[0], along] : [along, along];
+            } else if (piece) {
+                pieces.push(piece);
+                piece = null;
+            }
+        }
+        if (piece) pieces.push(piece);
+
+        const kept = pieces.filter(([from, to]) => to - from >= this.config.minWidth);
+        if (kept.length !== 1 || kept[0][0] !== start || kept[0][1] !== end) {
+            this.log('Row corridor clipped', { start, end, pieces: kept.length });
+        }
+        return kept;
+    }
+
+    /**
+     * Entrances among the floor plan and the destinations
+     * @param {Array} destinations - Destinations
+     * @returns {Array} Entrance key points
+     */
+    identifyEntrances(destinations) {
+        const entrances = [];
+
+        for (const point of this.identifyKeyPoints(destinations.filter(destination => destination.type === 'entrance'))) {
+            // Entrances may be listed both in the floor plan and as destinations
+            const duplicate = entrances.some(entrance =>
+                this.geometryEngine.calculateDistance(entrance.position, point.position) < this.config.gridResolution);
+            if (point.type !== 'circulation' && !duplicate) {
+                entrances.push({ ...point, type: 'entrance' });
+            }
+        }
+
+        return entrances;
+    }
+
+    /**
+     * Add row corridors to the network and link them to each other and to the
+     * entrances through a minimum spanning tree of A* connections between
+     * corridor ends and entrances
+     * @param {Array} rowCorridors - Row corridors
+     * @param {Array} entrances - Entrance key points
+     */
+    async connectRowCorridors(rowCorridors, entrances) {
+        for (const corridor of rowCorridors) {
+            const [start, end] = corridor.path;
+            this.addPathToNetwork(corridor.from, corridor.to, corridor.path,
+                this.geometryEngine.calculateDistance(start, end),
+                { kind: 'row', width: corridor.width, rows: corridor.rows });
+
+            for (const stub of corridor.stubs || []) {
+                this.addPathToNetwork(corridor.id, stub.ilotId, stub.path,
+                    this.geometryEngine.calculateDistance(stub.path[0], stub.path[1]), { kind: 'stub' });
+            }
+        }
+
+        const nodes = [
+            ...entrances.map(entrance => ({ id: entrance.id, points: [entrance.position] })),
+            ...rowCorridors.map(corridor => ({ id: corridor.id, points: corridor.path }))
+        ];
+
+        // Closest pair of connection points between two nodes
+        const closestPair = (a, b) => {
+            let best = null;
+            for (const from of a.points) {
+                for (const to of b.points) {
+                    const distance = this.geometryEngine.calculateDistance(from, to);
+                    if (!best || distance < best.distance) best = { from, to, distance };
+                }
+            }
+            return best;
+        };
+
+        const mst = await this.createMinimumSpanningTree(nodes, (a, b) => closestPair(a, b).distance);
+
+        for (const edge of mst) {
+            const { from, to, distance } = closestPair(edge.from, edge.to);
+            const path = await this.findPath(from, to);
+            if (path) {
+                // Exact end points only where the path did not have to detour to a walkable cell
+                const reaches = (point, cell) => this.geometryEngine.calculateDistance(point, cell) <= this.config.gridResolution;
+                const connector = [
+                    ...(reaches(from, path[0]) ? [from] : []),
+                    ...path,
+                    ...(reaches(to, path[path.length - 1]) ? [to] : [])
+                ];
+                this.addPathToNetwork(edge.from.id, edge.to.id, connector, distance, { kind: 'connector' });
+            } else {
+                this.log('Row corridor connection not found', { from: edge.from.id, to: edge.to.id });
+            }
+        }
+    }
+
     /**
      * PATH OPTIMIZATION
      */
@@ -574,8 +1008,9 @@ class CorridorGenerator {
                     (prev[1] + 2 * current[1] + next[1]) / 4
                 ];
 
-                // Check if smoothed point is still in allowed space
-                if (this.geometryEngine.pointInPolygon(smoothed, this.allowedSpace)) {
+                // Check if smoothed point is still in allowed space and clear of obstacles
+                if (this.geometryEngine.pointInPolygon(smoothed, this.allowedSpace) &&
+                    !this.isNearObstacle(smoothed, this.config.defaultWidth / 2)) {
                     newPath.push(smoothed);
                 } else {
                     newPath.push(current);
@@ -627,25 +1062,34 @@ class CorridorGenerator {
      */
     async createCorridorFromPath(pathData) {
         try {
-            const width = this.config.defaultWidth;
+            const width = pathData.width || this.config.defaultWidth;
             const path = pathData.path;
 
             if (path.length < 2) return null;
 
-            const corridorPolygon = this.generateCorridorPolygon(path, width);
+            const region = this.generateCorridorRegion(path, width);
+            const corridorPolygon = region
+                .map(([outer]) => outer)
+                .reduce((largest, outer) => this.geometryEngine.calculatePolygonArea(outer) > this.geometryEngine.calculatePolygonArea(largest) ? outer : largest);
 
             return {
                 id: `corridor_${pathData.id}`,
                 pathId: pathData.id,
                 polygon: corridorPolygon,
+                region,
                 bbox: this.geometryEngine.calculateBoundingBox(corridorPolygon),
                 width,
+                role: pathData.role || 'secondary',
                 length: pathData.length,
-                area: this.geometryEngine.calculatePolygonArea(corridorPolygon),
+                area: this.geometryEngine.calculateRegionArea(region),
                 centerline: path,
                 metadata: {
                     from: pathData.from,
                     to: pathData.to,
+                    kind: pathData.kind || 'path',
+                    rows: pathData.rows,
+                    traffic: pathData.traffic ?? 0,
+                    ilotsServed: pathData.ilotsServed ?? 0,
                     created: new Date().toISOString()
                 }
             };
@@ -656,6 +1100,24 @@ class CorridorGenerator {
         }
     }
 
+    /**
+     * Buffer a centerline into the corridor outline
+     * Self-overlapping paths yield holes; the averaged outline of
+     * generateCorridorPolygon is used when buffering fails
+     * @param {Array} path - Centerline path
+     * @param {number} width - Corridor width
+     * @returns {Array} Region [[outer, hole, ...], ...]
+     */
+    generateCorridorRegion(path, width) {
+        const region = this.geometryEngine.bufferPolyline(path, width / 2, {
+            joinType: this.config.joinType,
+            endType: this.config.endType,
+            miterLimit: this.config.miterLimit
+        });
+
+        return region.length > 0 ? region : [[this.generateCorridorPolygon(path, width)]];
+    }
+
     /**
      * Generate corridor polygon from centerline path
      * @param {Array} path - Centerline path
@@ -766,6 +1228,38 @@ class CorridorGenerator {
         return this.getGridCell(x, y) === 1;
     }
 
+    /**
+     * Find the walkable cell closest to a grid cell
+     * @param {Object} cell - Grid coordinates
+     * @param {number} maxRadius - Search radius in cells
+     * @returns {Object|null} Walkable grid coordinates
+     */
+    findNearestWalkableCell(cell, maxRadius = 10) {
+        if (this.isValidGridCell(cell.x, cell.y)) {
+            return cell;
+        }
+
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (let radius = 1; radius <= maxRadius && !best; radius++) {
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    // Only the ring at this radius; inner cells were checked before
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+
+                    const distance = dx * dx + dy * dy;
+                    if (distance < bestDistance && this.isValidGridCell(cell.x + dx, cell.y + dy)) {
+                        best = { x: cell.x + dx, y: cell.y + dy };
+                        bestDistance = distance;
+                    }
+                }
+            }
+        }
+
+        return best;
+    }
+
     /**
      * Get grid cell value
      * @param {number} x - Grid x coordinate
@@ -876,27 +1370,569 @@ class CorridorGenerator {
 
     /**
      * Optimize intersections
+     * Path ends that stop short of (or overshoot) another path within a
+     * corridor width are extended to that path's centerline, so branches
+     * form T junctions instead of leaving notches in the merged outline
      */
     optimizeIntersections() {
-        // Implementation placeholder
-        // Could smooth corridor intersections and create proper junction geometry
+        const paths = [...this.pathNetwork.values()];
+        const reach = this.config.defaultWidth;
+
+        for (const pathData of paths) {
+            // Row corridors end at their rows and stubs at their îlot on purpose
+            if (pathData.kind === 'row' || pathData.kind === 'stub') continue;
+
+            for (const atStart of [true, false]) {
+                const path = pathData.path;
+                const end = atStart ? path[0] : path[path.length - 1];
+                let best = null;
+
+                for (const other of paths) {
+                    if (other === pathData) continue;
+
+                    for (let i = 1; i < other.path.length; i++) {
+                        const point = this.projectOntoSegment(end, other.path[i - 1], other.path[i]);
+                        const distance = this.geometryEngine.calculateDistance(end, point);
+                        if (distance <= reach && (!best || distance < best.distance)) {
+                            best = { point, distance };
+                        }
+                    }
+                }
+
+                if (best && best.distance > this.geometryEngine.tolerance) {
+                    pathData.path = atStart ? [best.point, ...path] : [...path, best.point];
+                    pathData.length = this.calculatePathDistance(pathData.path);
+                }
+            }
+        }
     }
 
     /**
-     * Add redundant paths for connectivity
-     * @param {Array} keyPoints - Key points
+     * Closest point on a segment
+     * @param {Array} point - Point
+     * @param {Array} start - Segment start
+     * @param {Array} end - Segment end
+     * @returns {Array} Closest point
      */
-    async addRedundantPaths(keyPoints) {
-        // Implementation placeholder
-        // Could add secondary paths for redundancy
+    projectOntoSegment(point, start, end) {
+        const dx = end[0] - start[0];
+        const dy = end[1] - start[1];
+        const lengthSquared = dx * dx + dy * dy;
+        if (lengthSquared === 0) return [start[0], start[1]];
+
+        const t = Math.max(0, Math.min(1, ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared));
+        return [start[0] + t * dx, start[1] + t * dy];
+    }
+
+    /**
+     * Add secondary connections until no dead end exceeds maxDeadEndLength
+     * The longest dead end is handled first: its tip is linked to the nearest
+     * network node that is much closer in a straight line than along the
+     * network, turning the dead end into a loop. Dead ends that cannot be
+     * closed this way are left in place and reported by findDeadEnds.
+     */
+    async addRedundantPaths() {
+        const failed = new Set();
+        const key = point => `${point[0].toFixed(2)},${point[1].toFixed(2)}`;
+        const maxConnections = this.findDeadEnds().length * 2;
+        let added = 0;
+
+        while (added < maxConnections) {
+            const deadEnd = this.findDeadEnds()
+                .filter(candidate => candidate.length > this.config.maxDeadEndLength && !failed.has(key(candidate.position)))
+                .sort((a, b) => b.length - a.length)[0];
+            if (!deadEnd) break;
+
+            const pathId = await this.connectDeadEnd(deadEnd, `loop_${added + 1}`);
+            if (pathId) {
+                await this.rebuildCorridorNetwork();
+
+                // Keep the connection only if it actually shortened this dead end
+                const remaining = this.findDeadEnds().find(candidate => key(candidate.position) === key(deadEnd.position));
+                if (!remaining || remaining.length < deadEnd.length - this.geometryEngine.tolerance) {
+                    added++;
+                    continue;
+                }
+
+                this.pathNetwork.delete(pathId);
+                await this.rebuildCorridorNetwork();
+            }
+            failed.add(key(deadEnd.position));
+        }
+
+        this.log('Redundant paths added', { added, unresolved: failed.size });
+    }
+
+    /**
+     * Link the tip of a dead end to another part of the network
+     * @param {Object} deadEnd - Dead end (see findDeadEnds)
+     * @param {string} fromId - Id for the new connection
+     * @returns {Promise<string|null>} Path id of the connection, or null if none was found
+     */
+    async connectDeadEnd(deadEnd, fromId) {
+        const along = this.graphDistances(deadEnd.endpoint);
+
+        // A connection only removes the dead end when it is a real shortcut,
+        // not a second corridor running beside the first. Nodes of the dead
+        // end itself qualify too, so a chain-shaped network can close a loop.
+        const candidates = this.networkGraph.nodes
+            .filter(node => node.id !== deadEnd.endpoint)
+            .map(node => ({
+                node,
+                straight: this.geometryEngine.calculateDistance(deadEnd.position, node.position),
+                along: along.get(node.id) ?? Infinity
+            }))
+            .filter(candidate => candidate.straight <= this.config.maxPathLength && candidate.along >= candidate.straight * 2)
+            .sort((a, b) => a.straight - b.straight)
+            .slice(0, 5);
+
+        for (const { node, along: networkDistance } of candidates) {
+            const path = await this.findPath(deadEnd.position, node.position);
+            if (!path || this.calculatePathDistance(path) >= networkDistance) continue;
+
+            const reaches = (point, cell) => this.geometryEngine.calculateDistance(point, cell) <= this.config.gridResolution;
+            const connection = this.smoothPath([
+                ...(reaches(deadEnd.position, path[0]) ? [deadEnd.position] : []),
+                ...path,
+                ...(reaches(node.position, path[path.length - 1]) ? [node.position] : [])
+            ]);
+
+            this.addPathToNetwork(fromId, node.id, connection, this.calculatePathDistance(connection), { kind: 'redundant' });
+            return `${fromId}_${node.id}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Regenerate corridor geometry and graph after the path network changed
+     */
+    async rebuildCorridorNetwork() {
+        this.optimizeIntersections();
+        await this.generateCorridorGeometry();
+        this.networkGraph = this.buildNetworkGraph();
     }
 
     /**
      * Merge overlapping corridors
+     * Corridors keep their own outlines; their union is the network region,
+     * whose area counts junctions and shared stretches once
      */
     mergeOverlappingCorridors() {
-        // Implementation placeholder
-        // Could merge corridors that overlap significantly
+        this.networkRegion = this.geometryEngine.unionRegions(
+            this.corridors.map(corridor => corridor.region || [[corridor.polygon]])
+        );
+    }
+
+    /**
+     * Area of the merged corridor network
+     * @returns {number} Area
+     */
+    calculateNetworkArea() {
+        if (this.networkRegion.length === 0) {
+            return this.corridors.reduce((total, corridor) => total + corridor.area, 0);
+        }
+        return this.geometryEngine.calculateRegionArea(this.networkRegion);
+    }
+
+    /**
+     * NETWORK GRAPH
+     */
+
+    /**
+     * Build the corridor network graph
+     * Nodes sit at centerline ends and wherever centerlines cross, touch or
+     * start to overlap; edges are the centerline stretches between them
+     * @returns {Object} { nodes: [{ id, position, degree, type }], edges: [{ id, from, to, length, width, corridorId, points }] }
+     */
+    buildNetworkGraph() {
+        const snap = this.config.gridResolution / 2;
+        const nodes = [];
+        const edges = [];
+
+        const nodeAt = point => {
+            let node = nodes.find(existing => this.geometryEngine.calculateDistance(existing.position, point) <= snap);
+            if (!node) {
+                node = { id: `node_${nodes.length + 1}`, position: [point[0], point[1]], degree: 0, type: 'endpoint' };
+                nodes.push(node);
+            }
+            return node;
+        };
+
+        const lines = this.corridors.filter(corridor => corridor.centerline?.length >= 2);
+
+        // Split positions along each centerline as (segment index + fraction)
+        const splits = lines.map(corridor => [
+            { at: 0, point: corridor.centerline[0] },
+            { at: corridor.centerline.length - 1, point: corridor.centerline[corridor.centerline.length - 1] }
+        ]);
+
+        for (let a = 0; a < lines.length; a++) {
+            for (let b = a + 1; b < lines.length; b++) {
+                for (const contact of this.findCenterlineContacts(lines[a].centerline, lines[b].centerline, snap)) {
+                    splits[a].push({ at: contact.atA, point: contact.point });
+                    splits[b].push({ at: contact.atB, point: contact.point });
+                }
+            }
+        }
+
+        lines.forEach((corridor, index) => {
+            const line = corridor.centerline;
+            const stops = splits[index]
+                .sort((p, q) => p.at - q.at)
+                .map(stop => ({ ...stop, node: nodeAt(stop.point) }));
+
+            for (let i = 1; i < stops.length; i++) {
+                const [from, to] = [stops[i - 1], stops[i]];
+                if (from.node === to.node) continue;
+
+                // Centerline vertices strictly between the two stops
+                const inner = line.slice(Math.floor(from.at) + 1, Math.ceil(to.at));
+                const points = [from.node.position, ...inner, to.node.position];
+
+                from.node.degree++;
+                to.node.degree++;
+                edges.push({
+                    id: `edge_${edges.length + 1}`,
+                    from: from.node.id,
+                    to: to.node.id,
+                    length: this.calculatePathDistance(points),
+                    width: corridor.width,
+                    corridorId: corridor.id,
+                    points
+                });
+            }
+        });
+
+        for (const node of nodes) {
+            node.type = node.degree >= 3 ? 'junction' : (node.degree === 2 ? 'connection' : 'endpoint');
+        }
+
+        this.log('Network graph built', { nodes: nodes.length, edges: edges.length });
+        return { nodes, edges };
+    }
+
+    /**
+     * Points where two centerlines cross or come within the snap distance
+     * (T junctions, shared end points and the ends of overlapping stretches)
+     * @param {Array} lineA - First centerline
+     * @param {Array} lineB - Second centerline
+     * @param {number} snap - Contact distance
+     * @returns {Array} Contacts { point, atA, atB } with positions along each line
+     */
+    findCenterlineContacts(lineA, lineB, snap) {
+        const contacts = [];
+        const along = (line, index, point) => {
+            const length = this.geometryEngine.calculateDistance(line[index], line[index + 1]);
+            return index + (length > 0 ? this.geometryEngine.calculateDistance(line[index], point) / length : 0);
+        };
+
+        for (let i = 0; i < lineA.length - 1; i++) {
+            const [a1, a2] = [lineA[i], lineA[i + 1]];
+
+            for (let j = 0; j < lineB.length - 1; j++) {
+                const [b1, b2] = [lineB[j], lineB[j + 1]];
+
+                if (Math.max(a1[0], a2[0]) + snap < Math.min(b1[0], b2[0]) || Math.max(b1[0], b2[0]) + snap < Math.min(a1[0], a2[0]) ||
+                    Math.max(a1[1], a2[1]) + snap < Math.min(b1[1], b2[1]) || Math.max(b1[1], b2[1]) + snap < Math.min(a1[1], a2[1])) {
+                    continue;
+                }
+
+                const crossing = this.segmentIntersection(a1, a2, b1, b2);
+                if (crossing) {
+                    contacts.push({ point: crossing, atA: along(lineA, i, crossing), atB: along(lineB, j, crossing) });
+                    continue;
+                }
+
+                // Segment ends touching the other segment
+                for (const [point, onA] of [[a1, true], [a2, true], [b1, false], [b2, false]]) {
+                    const [start, end] = onA ? [b1, b2] : [a1, a2];
+                    const projected = this.projectOntoSegment(point, start, end);
+                    if (this.geometryEngine.calculateDistance(point, projected) <= snap) {
+                        contacts.push(onA
+                            ? { point, atA: along(lineA, i, point), atB: along(lineB, j, projected) }
+                            : { point, atA: along(lineA, i, projected), atB: along(lineB, j, point) });
+                    }
+                }
+            }
+        }
+
+        return contacts;
+    }
+
+    /**
+     * Proper intersection point of two segments
+     * @returns {Array|null} Intersection point
+     */
+    segmentIntersection(a1, a2, b1, b2) {
+        const denominator = (a2[0] - a1[0]) * (b2[1] - b1[1]) - (a2[1] - a1[1]) * (b2[0] - b1[0]);
+        if (Math.abs(denominator) < 1e-12) return null;
+
+        const t = ((b1[0] - a1[0]) * (b2[1] - b1[1]) - (b1[1] - a1[1]) * (b2[0] - b1[0])) / denominator;
+        const u = ((b1[0] - a1[0]) * (a2[1] - a1[1]) - (b1[1] - a1[1]) * (a2[0] - a1[0])) / denominator;
+        if (t <= 0 || t >= 1 || u <= 0 || u >= 1) return null;
+
+        return [a1[0] + t * (a2[0] - a1[0]), a1[1] + t * (a2[1] - a1[1])];
+    }
+
+    /**
+     * Shortest distances along the network from one or more nodes (Dijkstra)
+     * @param {string|Array} sources - Start node id(s)
+     * @param {Map} parents - Filled with the edge each node is reached by (optional)
+     * @returns {Map} Distance per reachable node id
+     */
+    graphDistances(sources, parents = null) {
+        const adjacency = this.getGraphAdjacency();
+        const distances = new Map();
+        const queue = new PriorityQueue();
+        const done = new Set();
+        for (const sourceId of [].concat(sources)) {
+            distances.set(sourceId, 0);
+            queue.enqueue(sourceId, 0);
+        }
+
+        while (!queue.isEmpty()) {
+            const id = queue.dequeue();
+            if (done.has(id)) continue;
+            done.add(id);
+
+            for (const { edge, other } of adjacency.get(id) || []) {
+                const distance = distances.get(id) + edge.length;
+                if (distance < (distances.get(other) ?? Infinity)) {
+                    distances.set(other, distance);
+                    parents?.set(other, { edge, node: id });
+                    queue.enqueue(other, distance);
+                }
+            }
+        }
+
+        return distances;
+    }
+
+    /**
+     * Edges leaving each node of the network graph
+     * @returns {Map} Node id -> [{ edge, other }]
+     */
+    getGraphAdjacency() {
+        const adjacency = new Map(this.networkGraph.nodes.map(node => [node.id, []]));
+        for (const edge of this.networkGraph.edges) {
+            adjacency.get(edge.from).push({ edge, other: edge.to });
+            adjacency.get(edge.to).push({ edge, other: edge.from });
+        }
+        return adjacency;
+    }
+
+    /**
+     * Dead ends of the network: from every endpoint that is not at an
+     * entrance, the stretch back to the first junction or entrance
+     * @returns {Array} Dead ends { id, endpoint, position, junction, length, nodes }
+     */
+    findDeadEnds() {
+        const adjacency = this.getGraphAdjacency();
+        const entrances = this.identifyEntrances(this.destinations || []);
+        const isExit = node => entrances.some(entrance =>
+            this.geometryEngine.calculateDistance(entrance.position, node.position) <= this.config.defaultWidth);
+        const nodesById = new Map(this.networkGraph.nodes.map(node => [node.id, node]));
+        const deadEnds = [];
+
+        for (const start of this.networkGraph.nodes) {
+            if (start.degree !== 1 || isExit(start)) continue;
+
+            let current = start;
+            let edge = adjacency.get(start.id)[0].edge;
+            let length = 0;
+            const nodes = [start.id];
+
+            // Follow the corridor while it neither branches nor reaches an exit
+            while (edge) {
+                length += edge.length;
+                current = nodesById.get(edge.from === current.id ? edge.to : edge.from);
+                nodes.push(current.id);
+
+                if (current.degree !== 2 || isExit(current) || current === start) break;
+                const previous = edge;
+                edge = adjacency.get(current.id).find(link => link.edge !== previous)?.edge;
+            }
+
+            deadEnds.push({
+                id: `dead_end_${deadEnds.length + 1}`,
+                endpoint: start.id,
+                position: start.position,
+                junction: current.degree >= 3 || isExit(current) ? current.id : null,
+                length,
+                nodes
+            });
+        }
+
+        return deadEnds;
+    }
+
+    /**
+     * Farthest a destination may be from an edge's centerline to use it:
+     * the default width, or the edge of a wider corridor
+     * @param {Object} edge - Graph edge
+     * @returns {number} Distance
+     */
+    attachDistance(edge) {
+        return Math.max(this.config.defaultWidth, edge.width / 2 + this.config.gridResolution / 2);
+    }
+
+    /**
+     * Distance from a destination (footprint or position) to a graph edge
+     * @param {Object} destination - Entrance or îlot
+     * @param {Object} edge - Graph edge
+     * @returns {number} Distance
+     */
+    distanceToEdge(destination, edge) {
+        const outline = this.getFootprint(destination) || [destination.position];
+        let distance = Infinity;
+
+        for (let i = 1; i < edge.points.length; i++) {
+            for (const point of outline) {
+                distance = Math.min(distance, this.geometryEngine.pointToSegmentDistance(point, edge.points[i - 1], edge.points[i]));
+            }
+            // An edge ending in front of a footprint side (access stubs)
+            for (let j = 0; outline.length >= 2 && j < outline.length; j++) {
+                const [start, end] = [outline[j], outline[(j + 1) % outline.length]];
+                distance = Math.min(distance,
+                    this.geometryEngine.pointToSegmentDistance(edge.points[i - 1], start, end),
+                    this.geometryEngine.pointToSegmentDistance(edge.points[i], start, end));
+            }
+            // A footprint straddling the centerline
+            if (outline.length >= 3 && this.geometryEngine.pointInPolygon(edge.points[i], outline)) {
+                return 0;
+            }
+        }
+        return distance;
+    }
+
+    /**
+     * CORRIDOR HIERARCHY
+     */
+
+    /**
+     * Classify corridors as main, secondary or access from the traffic they
+     * carry and, with hierarchicalWidths, regenerate them at matching widths
+     * Traffic is the îlot capacity (1 per îlot without capacity) routed over a
+     * corridor on the shortest way to the nearest entrance.
+     */
+    async assignCorridorHierarchy() {
+        const flows = this.calculateCorridorTraffic();
+        const total = flows.total;
+        const widths = this.getHierarchyWidths();
+
+        for (const pathData of this.pathNetwork.values()) {
+            const flow = flows.byCorridor.get(`corridor_${pathData.id}`) || { traffic: 0, ilots: 0 };
+            const share = total > 0 ? flow.traffic / total : 0;
+
+            let role = 'secondary';
+            if (flow.ilots === 1 && pathData.length <= this.config.accessMaxLength) {
+                role = 'access';
+            } else if (total > 0 && share >= this.config.mainTrafficShare) {
+                role = 'main';
+            }
+
+            pathData.role = role;
+            pathData.traffic = flow.traffic;
+            pathData.ilotsServed = flow.ilots;
+
+            // Row corridors keep filling the gap between their rows
+            if (this.config.hierarchicalWidths && pathData.kind !== 'row') {
+                pathData.width = role === 'access' ? widths.access
+                    : role === 'main' ? widths.secondary + (widths.main - widths.secondary) * Math.min(share, 1)
+                    : widths.secondary;
+            }
+        }
+
+        if (this.config.hierarchicalWidths) {
+            await this.generateCorridorGeometry();
+            this.networkGraph = this.buildNetworkGraph();
+        }
+    }
+
+    /**
+     * Corridor widths per hierarchy role
+     * Derived from the default width and clamped to [minWidth, maxWidth];
+     * access never gets wider than secondary, nor main narrower
+     * @returns {Object} { access, secondary, main } widths in meters
+     */
+    getHierarchyWidths() {
+        const { minWidth, defaultWidth, maxWidth, mainWidthRatio, accessWidthRatio } = this.config;
+        const clamp = width => Math.min(Math.max(width, minWidth), maxWidth);
+        const secondary = defaultWidth;
+
+        return {
+            access: Math.min(clamp(defaultWidth * accessWidthRatio), secondary),
+            secondary,
+            main: Math.max(clamp(defaultWidth * mainWidthRatio), secondary)
+        };
+    }
+
+    /**
+     * Traffic per corridor over the shortest-path tree from the entrances
+     * Each îlot joins the network at the far end (from the entrances) of its
+     * closest edge, so the traffic passes along that edge
+     * @returns {Object} { total, byCorridor: Map corridor id -> { traffic, ilots } }
+     */
+    calculateCorridorTraffic() {
+        const { nodes, edges } = this.networkGraph;
+        const byCorridor = new Map();
+        const nearestNode = position => nodes.reduce((best, node) =>
+            (!best || this.geometryEngine.calculateDistance(node.position, position) < this.geometryEngine.calculateDistance(best.position, position) ? node : best), null);
+
+        const roots = this.identifyEntrances(this.destinations || [])
+            .map(entrance => nearestNode(entrance.position))
+            .filter(node => node);
+        if (roots.length === 0) return { total: 0, byCorridor };
+
+        const parents = new Map();
+        const distances = this.graphDistances([...new Set(roots.map(node => node.id))], parents);
+
+        // Demand entering the network per node
+        const traffic = new Map();
+        const ilots = new Map();
+        let total = 0;
+
+        for (const destination of this.destinations || []) {
+            if (destination.type === 'entrance' || !this.geometryEngine.validatePoint(destination.position)) continue;
+
+            let closest = null;
+            for (const edge of edges) {
+                const distance = this.distanceToEdge(destination, edge);
+                if (distance <= this.attachDistance(edge) && (!closest || distance < closest.distance)) {
+                    closest = { distance, edge };
+                }
+            }
+            if (!closest) continue;
+
+            const [from, to] = [closest.edge.from, closest.edge.to];
+            const node = (distances.get(from) ?? -1) > (distances.get(to) ?? -1) ? from : to;
+            if (!distances.has(node)) continue;
+
+            const weight = destination.capacity > 0 ? destination.capacity : 1;
+            traffic.set(node, (traffic.get(node) || 0) + weight);
+            ilots.set(node, (ilots.get(node) || 0) + 1);
+            total += weight;
+        }
+
+        // Push demand towards the entrances, farthest nodes first
+        const order = [...distances.keys()].sort((a, b) => distances.get(b) - distances.get(a));
+        for (const id of order) {
+            const parent = parents.get(id);
+            if (!parent) continue;
+
+            const flow = { traffic: traffic.get(id) || 0, ilots: ilots.get(id) || 0 };
+            traffic.set(parent.node, (traffic.get(parent.node) || 0) + flow.traffic);
+            ilots.set(parent.node, (ilots.get(parent.node) || 0) + flow.ilots);
+
+            // A corridor carries the most loaded of its edges
+            const current = byCorridor.get(parent.edge.corridorId);
+            if (!current || flow.traffic > current.traffic) {
+                byCorridor.set(parent.edge.corridorId, flow);
+            }
+        }
+
+        return { total, byCorridor };
     }
 
     /**
@@ -925,8 +1961,16 @@ class CorridorGenerator {
 
             // Check connectivity
             const connectivity = this.checkConnectivity();
-            if (!connectivity.allConnected) {
-                warnings.push('Not all entrances are connected');
+            if (connectivity.unreachableEntrances.length > 0) {
+                warnings.push(`Entrances not connected to the network: ${connectivity.unreachableEntrances.join(', ')}`);
+            }
+            if (connectivity.unreachableIlots.length > 0) {
+                warnings.push(`Îlots not reachable from an entrance: ${connectivity.unreachableIlots.join(', ')}`);
+            }
+
+            // Check dead-end lengths
+            for (const deadEnd of this.deadEnds.filter(candidate => candidate.length > this.config.maxDeadEndLength)) {
+                warnings.push(`Dead end of ${deadEnd.length.toFixed(1)}m at (${deadEnd.position.map(value => value.toFixed(1)).join(', ')}) exceeds ${this.config.maxDeadEndLength}m`);
             }
 
             // Check total coverage
@@ -958,14 +2002,60 @@ class CorridorGenerator {
     }
 
     /**
-     * Check network connectivity
+     * Check network connectivity on the network graph
+     * Entrances and îlots attach to the closest edge within a corridor width.
+     * Îlots are reachable when their component holds an entrance; entrances
+     * are reachable when they share the component holding most entrances.
      * @returns {Object} Connectivity analysis
      */
     checkConnectivity() {
-        // Simplified connectivity check
+        const { nodes, edges } = this.networkGraph;
+
+        // Connected components by union-find over the edges
+        const parent = new Map(nodes.map(node => [node.id, node.id]));
+        const find = id => (parent.get(id) === id ? id : find(parent.get(id)));
+        for (const edge of edges) {
+            parent.set(find(edge.from), find(edge.to));
+        }
+
+        const attach = destination => {
+            let best = null;
+            for (const edge of edges) {
+                const distance = this.distanceToEdge(destination, edge);
+                if (distance <= this.attachDistance(edge) && (!best || distance < best.distance)) {
+                    best = { distance, component: find(edge.from) };
+                }
+            }
+            return best ? best.component : null;
+        };
+
+        const entrances = this.identifyEntrances(this.destinations || []).map(entrance => ({ id: entrance.id, component: attach(entrance) }));
+        const ilots = (this.destinations || [])
+            .filter(destination => destination.type !== 'entrance' && this.geometryEngine.validatePoint(destination.position))
+            .map(ilot => ({ id: ilot.id, component: attach(ilot) }));
+
+        // Main component: most entrances, then most îlots
+        const counts = new Map();
+        for (const { component } of [...entrances, ...ilots]) {
+            if (component !== null) counts.set(component, (counts.get(component) || 0) + 1);
+        }
+        const entranceCounts = new Map();
+        for (const { component } of entrances) {
+            if (component !== null) entranceCounts.set(component, (entranceCounts.get(component) || 0) + 1);
+        }
+        const main = [...counts.keys()].sort((a, b) =>
+            (entranceCounts.get(b) || 0) - (entranceCounts.get(a) || 0) || counts.get(b) - counts.get(a))[0] ?? null;
+
+        const unreachableEntrances = entrances.filter(entrance => entrance.component === null || entrance.component !== main);
+        const unreachableIlots = ilots.filter(ilot => ilot.component === null || !entranceCounts.has(ilot.component));
+        const total = entrances.length + ilots.length;
+
         return {
-            allConnected: this.pathNetwork.size > 0,
-            score: Math.min(1, this.pathNetwork.size / 10)
+            allConnected: edges.length > 0 && unreachableEntrances.length === 0 && unreachableIlots.length === 0,
+            score: total > 0 ? (total - unreachableEntrances.length - unreachableIlots.length) / total : (edges.length > 0 ? 1 : 0),
+            components: new Set(nodes.map(node => find(node.id))).size,
+            unreachableEntrances: unreachableEntrances.map(entrance => entrance.id),
+            unreachableIlots: unreachableIlots.map(ilot => ilot.id)
         };
     }
 
@@ -985,9 +2075,8 @@ class CorridorGenerator {
         if (!this.allowedSpace) return 0;
 
         const allowedArea = this.geometryEngine.calculatePolygonArea(this.allowedSpace);
-        const corridorArea = this.corridors.reduce((total, corridor) => total + corridor.area, 0);
 
-        return corridorArea / allowedArea;
+        return this.calculateNetworkArea() / allowedArea;
     }
 
     /**
@@ -1015,7 +2104,26 @@ class CorridorGenerator {
                 this.navigationGrid.width * this.navigationGrid.height : 0,
             pathCount: this.pathNetwork.size,
             corridorCount: this.corridors.length,
+            corridorsByRole: this.corridors.reduce((counts, corridor) => {
+                counts[corridor.role] = (counts[corridor.role] || 0) + 1;
+                return counts;
+            }, {}),
             totalLength: this.calculateTotalLength(),
+            networkArea: this.calculateNetworkArea(),
+            networkRegion: this.networkRegion,
+            graph: {
+                nodes: this.networkGraph.nodes.length,
+                edges: this.networkGraph.edges.length
+            },
+            connectivity: this.checkConnectivity(),
+            deadEnds: this.deadEnds.map(({ id, position, junction, length }) => ({
+                id,
+                position,
+                junction,
+                length,
+                exceedsLimit: length > this.config.maxDeadEndLength
+            })),
+            longestDeadEnd: this.deadEnds.reduce((max, deadEnd) => Math.max(max, deadEnd.length), 0),
             coverage: this.calculateCoverage()
         };
     }
@@ -0,0 +1,170 @@
+/**
+ * DWG to DXF Conversion through a Local Converter
+ *
+ * Runs a command-line converter (ODA File Converter, LibreDWG dwg2dxf or any
+ * tool with a compatible interface) so DWG files can be imported offline,
+ * without Autodesk credentials. The converter is configured by path and an
+ * argument template; these placeholders are substituted per conversion:
+ *
+ * - {input}      path of the DWG file
+ * - {inputDir}   directory holding only the DWG file
+ * - {inputName}  file name of the DWG file
+ * - {output}     path the DXF file should be written to
+ * - {outputDir}  directory the DXF file should be written to
+ *
+ * The converted DXF is picked up from {output}, or from the first .dxf file
+ * in {outputDir} for converters that name their output themselves.
+ *
+ * @author FloorPlan Pro Team
+ * @version 1.0.0
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONVERTER_PRESETS = {
+    // ODAFileConverter <in dir> <out dir> <version> <type> <recurse> <audit> [filter]
+    oda: ['{inputDir}', '{outputDir}', 'ACAD2018', 'DXF', '0', '1', '{inputName}'],
+    // dwg2dxf [-y] [-o out.dxf] in.dwg
+    libredwg: ['-y', '-o', '{output}', '{input}']
+};
+
+class DwgConverter {
+    constructor(options = {}) {
+        this.command = options.command || null;
+        this.args = DwgConverter.parseArgs(options.args) || CONVERTER_PRESETS[options.preset || 'libredwg'];
+        this.timeoutMs = options.timeoutMs || 120000;
+        // Converters such as ODA log every entity; their output is discarded but must fit
+        this.maxBuffer = options.maxBuffer || 64 * 1024 * 1024;
+
+        if (!this.args) {
+            throw new Error(`Unknown DWG converter preset: ${options.preset}`);
+        }
+    }
+
+    /**
+     * Create a converter from DWG_CONVERTER_* environment variables
+     * @param {Object} env - Environment
+     * @returns {DwgConverter} Converter
+     */
+    static fromEnv(env = process.env) {
+        return new DwgConverter({
+            command: env.DWG_CONVERTER_PATH,
+            preset: env.DWG_CONVERTER_PRESET,
+            args: env.DWG_CONVERTER_ARGS,
+            timeoutMs: Number(env.DWG_CONVERTER_TIMEOUT_MS) || undefined,
+            maxBuffer: Number(env.DWG_CONVERTER_MAX_BUFFER) || undefined
+        });
+    }
+
+    /**
+     * Parse an argument template given as JSON array or space-separated string
+     * @param {Array|string} args - Argument template
+     * @returns {Array|null} Arguments
+     */
+    static parseArgs(args) {
+        if (!args) {
+            return null;
+        }
+        if (Array.isArray(args)) {
+            return args.map(String);
+        }
+
+        const trimmed = String(args).trim();
+        if (!trimmed.startsWith('[')) {
+            return trimmed.split(/\s+/);
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`Invalid DWG converter arguments: ${error.message}`);
+        }
+        if (!Array.isArray(parsed)) {
+            throw new Error('Invalid DWG converter arguments: expected a JSON array');
+        }
+        return parsed.map(String);
+    }
+
+    /**
+     * Whether a converter command is configured
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return Boolean(this.command);
+    }
+
+    /**
+     * Convert a DWG file to DXF
+     * @param {string} dwgPath - Path of the DWG file
+     * @param {string} originalName - Original file name (used for converter output naming)
+     * @returns {Promise<Buffer>} DXF file content
+     */
+    async convert(dwgPath, originalName = 'drawing.dwg') {
+        if (!this.isConfigured()) {
+            throw new Error('No DWG converter configured (set DWG_CONVERTER_PATH)');
+        }
+
+        const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dwg-'));
+
+        try {
+            const inputDir = path.join(workDir, 'in');
+            const outputDir = path.join(workDir, 'out');
+            const baseName = path.basename(originalName, path.extname(originalName)).replace(/[^\w.-]/g, '_') || 'drawing';
+            const inputName = `${baseName}.dwg`;
+            const input = path.join(inputDir, inputName);
+            const output = path.join(outputDir, `${baseName}.dxf`);
+
+            await fs.promises.mkdir(inputDir);
+            await fs.promises.mkdir(outputDir);
+            await fs.promises.copyFile(dwgPath, input);
+
+            const values = { input, inputDir, inputName, output, outputDir };
+            const args = this.args.map(arg => arg.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match));
+
+            await this.run(args);
+
+            const produced = fs.existsSync(output)
+                ? output
+                : (await fs.promises.readdir(outputDir))
+                    .filter(file => file.toLowerCase().endsWith('.dxf'))
+                    .map(file => path.join(outputDir, file))[0];
+
+            if (!produced) {
+                throw new Error('Converter finished without producing a DXF file');
+            }
+
+            return await fs.promises.readFile(produced);
+
+        } finally {
+            await fs.promises.rm(workDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Run the converter command
+     * @param {Array} args - Command arguments
+     * @returns {Promise<void>}
+     */
+    run(args) {
+        return new Promise((resolve, reject) => {
+            const options = { timeout: this.timeoutMs, maxBuffer: this.maxBuffer, windowsHide: true };
+
+            execFile(this.command, args, options, (error, stdout, stderr) => {
+                if (error) {
+                    const reason = error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER'
+                        ? `output exceeded ${this.maxBuffer} bytes`
+                        : error.killed ? `timed out after ${this.timeoutMs}ms` : (stderr || error.message).trim();
+                    reject(new Error(`DWG converter failed: ${reason}`));
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = { DwgConverter, CONVERTER_PRESETS };
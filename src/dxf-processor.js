@@ -6,9 +6,15 @@
  * 
  * Features:
  * - DXF file parsing and validation
- * - Layer mapping (WALLS, RED_ZONE, BLUE_ZONE, etc.)
+ * - Layer mapping (WALLS, RED_ZONE, BLUE_ZONE, etc.) via configurable profiles
  * - Geometry conversion between DXF and internal format
- * - Scale and unit handling
+ * - Colinear wall merging and wall-pair centerline detection
+ * - Recursive block (INSERT) expansion with nested transforms
+ * - HATCH, SOLID, SPLINE, ELLIPSE and bulged polyline tessellation
+ * - Color-based zone classification (ACI and RGB ranges)
+ * - Room polygon reconstruction from the wall network
+ * - Round-trip export of the source drawing with generated layers
+ * - Unit detection ($INSUNITS, $MEASUREMENT) with extents plausibility check
  * - Error detection and reporting
  * 
  * Dependencies:
@@ -23,6 +29,39 @@
 const DxfParser = require('dxf-parser');
 const DxfWriter = require('dxf-writer');
 const GeometryEngine = require('./geometry-engine');
+const { BUILT_IN_PROFILES, PATTERN_LIMITS, compilePattern } = require('./layer-profiles');
+
+// AutoCAD Color Index palette (index -> 24-bit RGB) as used by dxf-parser. The
+// parser ships its table as an ES module only, so it is read back through the
+// parser's own LAYER table handling: one layer per color index.
+const ACI_PALETTE = (() => {
+    const lines = ['0', 'SECTION', '2', 'TABLES', '0', 'TABLE', '2', 'LAYER', '70', '255'];
+    for (let index = 1; index <= 255; index++) {
+        lines.push('0', 'LAYER', '2', `ACI${index}`, '62', String(index));
+    }
+    lines.push('0', 'ENDTAB', '0', 'ENDSEC', '0', 'EOF');
+
+    const layers = new DxfParser().parseSync(lines.join('\n')).tables.layer.layers;
+    return Array.from({ length: 256 }, (value, index) => layers[`ACI${index}`]?.color);
+})();
+
+// $INSUNITS codes with their size in meters
+const DXF_UNITS = {
+    1: { name: 'inches', meters: 0.0254, aliases: ['in', 'inch', '"'] },
+    2: { name: 'feet', meters: 0.3048, aliases: ['ft', 'foot', "'"] },
+    3: { name: 'miles', meters: 1609.344, aliases: ['mi', 'mile'] },
+    4: { name: 'millimeters', meters: 0.001, aliases: ['mm', 'millimeter', 'millimetres', 'millimetre'] },
+    5: { name: 'centimeters', meters: 0.01, aliases: ['cm', 'centimeter', 'centimetres', 'centimetre'] },
+    6: { name: 'meters', meters: 1, aliases: ['m', 'meter', 'metres', 'metre'] },
+    7: { name: 'kilometers', meters: 1000, aliases: ['km', 'kilometer'] },
+    8: { name: 'microinches', meters: 0.0000000254, aliases: [] },
+    9: { name: 'mils', meters: 0.0000254, aliases: ['mil'] },
+    10: { name: 'yards', meters: 0.9144, aliases: ['yd', 'yard'] },
+    13: { name: 'microns', meters: 0.000001, aliases: ['um', 'micron', 'micrometers'] },
+    14: { name: 'decimeters', meters: 0.1, aliases: ['dm', 'decimeter'] },
+    15: { name: 'decameters', meters: 10, aliases: ['dam', 'decameter'] },
+    16: { name: 'hectometers', meters: 100, aliases: ['hm', 'hectometer'] }
+};
 
 class DxfProcessor {
     constructor(options = {}) {
@@ -38,22 +77,68 @@ class DxfProcessor {
                 'WALLS': { color: 7, lineType: 'CONTINUOUS', lineWeight: 0.5 },
                 'RED_ZONE': { color: 1, lineType: 'CONTINUOUS', lineWeight: 0.25 },
                 'BLUE_ZONE': { color: 5, lineType: 'CONTINUOUS', lineWeight: 0.25 },
+                'COLUMNS': { color: 8, lineType: 'CONTINUOUS', lineWeight: 0.35 },
                 'ILOTS': { color: 3, lineType: 'CONTINUOUS', lineWeight: 0.25 },
                 'CORRIDORS': { color: 2, lineType: 'DASHED', lineWeight: 0.25 },
                 'ANNOTATIONS': { color: 6, lineType: 'CONTINUOUS', lineWeight: 0.1 },
-                'DIMENSIONS': { color: 4, lineType: 'CONTINUOUS', lineWeight: 0.1 }
+                'DIMENSIONS': { color: 4, lineType: 'CONTINUOUS', lineWeight: 0.1 },
+                'TITLE_BLOCK': { color: 7, lineType: 'CONTINUOUS', lineWeight: 0.25 }
             },
             
+            // Layers written on top of an exported source drawing
+            generatedLayers: ['ILOTS', 'CORRIDORS', 'ANNOTATIONS', 'DIMENSIONS', 'TITLE_BLOCK'],
+            
+            // Export annotations (text height in target units, title block in paper mm)
+            annotationTextHeight: options.annotationTextHeight || 0.15,
+            titleBlock: { scale: '1:100', width: 180, labelWidth: 50, rowHeight: 8, textHeight: 2.5, margin: 10 },
+            
+            // Layer-to-category mapping profile (see layer-profiles.js)
+            layerProfile: options.layerProfile || BUILT_IN_PROFILES.default,
+            
             // Units and scaling
-            defaultUnits: 'millimeters',
+            units: options.units || null, // forces the drawing units, ignoring the header
+            defaultUnits: 'millimeters', // used when the header declares no units
             targetUnits: 'meters',
             scaleFactor: 1000, // mm to m conversion
             precision: 3,
+            plausibleExtents: { min: 2, max: 1000 }, // building size range in meters
             
             // Processing options
             mergeColinearLines: options.mergeColinearLines !== false,
             simplifyPolygons: options.simplifyPolygons !== false,
             validateGeometry: options.validateGeometry !== false,
+
+            // Wall reconstruction (values in target units)
+            defaultWallThickness: options.defaultWallThickness || 0.2,
+            minWallThickness: options.minWallThickness || 0.05,
+            maxWallThickness: options.maxWallThickness || 0.6,
+            wallMergeTolerance: options.wallMergeTolerance || 0.05,
+            wallAngleTolerance: options.wallAngleTolerance || 1, // degrees
+            wallPairMinOverlap: options.wallPairMinOverlap || 0.5, // fraction of shorter line
+            detectWallPairs: options.detectWallPairs !== false,
+
+            // Room reconstruction (values in target units)
+            detectRooms: options.detectRooms !== false,
+            roomSnapTolerance: options.roomSnapTolerance || 0.05,
+            roomGapTolerance: options.roomGapTolerance || 1.2, // bridges door openings
+            minRoomArea: options.minRoomArea || 1,
+            minRoomWidth: options.minRoomWidth || 0.5,
+            maxRoomSegments: options.maxRoomSegments || 5000,
+            simplifyTolerance: options.simplifyTolerance || 0.01,
+
+            // Structural obstacles: closed outlines up to this area (m²) become columns
+            maxColumnArea: options.maxColumnArea || 30,
+
+            // Curve tessellation
+            curveSegmentAngle: options.curveSegmentAngle || 10, // degrees per segment
+            splineSegmentsPerSpan: options.splineSegmentsPerSpan || 8,
+
+            // Return the source drawing alongside the floor plan for round-trip export
+            keepSource: options.keepSource !== false,
+
+            // Block (INSERT) expansion
+            expandBlocks: options.expandBlocks !== false,
+            maxBlockDepth: options.maxBlockDepth || 16,
             
             // Error handling
             strictMode: options.strictMode || false,
@@ -62,14 +147,27 @@ class DxfProcessor {
             ...options
         };
         
+        // Compiled layer profile rules
+        this.layerRules = this.compileLayerProfile(this.config.layerProfile);
+        
         // Processing state
+        this.units = null;
+        this.layerTable = {};
+        this.colorDecisions = new Map();
         this.parseErrors = [];
         this.warnings = [];
         this.statistics = {
             entitiesProcessed: 0,
             entitiesSkipped: 0,
             layersFound: 0,
-            geometryCreated: 0
+            geometryCreated: 0,
+            wallSegmentsMerged: 0,
+            wallPairsDetected: 0,
+            blocksExpanded: 0,
+            blockEntitiesCreated: 0,
+            colorClassified: 0,
+            roomsDetected: 0,
+            wallGapsBridged: 0
         };
         
         this.log('DxfProcessor initialized', this.config);
@@ -91,6 +189,7 @@ class DxfProcessor {
             
             // Parse DXF content
             const parser = new DxfParser();
+            parser.registerEntityHandler(HatchEntityHandler);
             const dxf = parser.parseSync(dxfData.toString());
             
             if (!dxf) {
@@ -103,8 +202,12 @@ class DxfProcessor {
                 entities: dxf.entities?.length || 0
             });
             
+            // Units must be known before any coordinate is converted
+            const metadata = this.extractMetadata(dxf);
+            
             // Extract floor plan components
             const floorPlan = await this.extractFloorPlanData(dxf);
+            metadata.unitCheck = this.checkUnitPlausibility(floorPlan);
             
             // Validate extracted data
             if (this.config.validateGeometry) {
@@ -121,7 +224,8 @@ class DxfProcessor {
             
             return {
                 floorPlan,
-                metadata: this.extractMetadata(dxf),
+                source: this.config.keepSource ? this.extractSource(dxf) : null,
+                metadata,
                 statistics: this.statistics,
                 errors: this.parseErrors,
                 warnings: this.warnings
@@ -145,7 +249,10 @@ class DxfProcessor {
             blueZones: [],
             entrances: [],
             boundary: null,
-            annotations: []
+            boundaryHoles: [],
+            columns: [],
+            annotations: [],
+            rooms: []
         };
         
         if (!dxf.entities) {
@@ -153,8 +260,16 @@ class DxfProcessor {
             return floorPlan;
         }
         
+        // Layer colors resolve BYLAYER entity colors
+        this.layerTable = dxf.tables?.layer?.layers || {};
+        
+        // Block references are flattened into world-space entities first
+        const entities = this.config.expandBlocks
+            ? this.expandEntities(dxf.entities, dxf.blocks || {})
+            : dxf.entities;
+        
         // Process entities by layer
-        for (const entity of dxf.entities) {
+        for (const entity of entities) {
             try {
                 this.statistics.entitiesProcessed++;
                 
@@ -162,8 +277,21 @@ class DxfProcessor {
                 const processed = await this.processEntity(entity, layer);
                 
                 if (processed) {
-                    this.categorizeGeometry(processed, layer, floorPlan);
-                    this.statistics.geometryCreated++;
+                    // HATCH entities may yield several polygons
+                    const color = this.resolveEntityColor(entity);
+                    
+                    for (const geometry of [].concat(processed)) {
+                        // Source attributes used by layer profile rules
+                        geometry.properties = {
+                            ...geometry.properties,
+                            color: color.rgb,
+                            colorIndex: color.colorIndex,
+                            sourceBlock: entity.sourceBlock
+                        };
+
+                        this.categorizeGeometry(geometry, layer, floorPlan);
+                        this.statistics.geometryCreated++;
+                    }
                 } else if (!this.config.skipInvalidEntities) {
                     this.parseErrors.push(`Failed to process entity on layer ${layer}`);
                 }
@@ -180,6 +308,8 @@ class DxfProcessor {
             }
         }
         
+        this.reportColorDecisions();
+        
         // Post-process geometry
         await this.postProcessGeometry(floorPlan);
         
@@ -208,6 +338,14 @@ class DxfProcessor {
                 return this.processText(entity);
             case 'INSERT':
                 return this.processInsert(entity);
+            case 'HATCH':
+                return this.processHatch(entity);
+            case 'SOLID':
+                return this.processSolid(entity);
+            case 'SPLINE':
+                return this.processSpline(entity);
+            case 'ELLIPSE':
+                return this.processEllipse(entity);
             default:
                 this.warnings.push(`Unsupported entity type: ${entity.type}`);
                 return null;
@@ -220,8 +358,9 @@ class DxfProcessor {
      * @returns {Object} Processed line geometry
      */
     processLine(entity) {
-        const start = this.convertPoint(entity.start);
-        const end = this.convertPoint(entity.end);
+        // dxf-parser stores LINE endpoints as a two-vertex array
+        const start = this.convertPoint(entity.start || entity.vertices[0]);
+        const end = this.convertPoint(entity.end || entity.vertices[1]);
         
         return {
             type: 'line',
@@ -245,12 +384,15 @@ class DxfProcessor {
      */
     processPolyline(entity) {
         const vertices = entity.vertices || [];
-        const points = vertices.map(vertex => this.convertPoint(vertex));
+        const closedFlag = entity.closed || entity.shape;
+        
+        // Bulged segments are arcs; tessellate them before unit conversion
+        const points = this.expandBulges(vertices, closedFlag).map(vertex => this.convertPoint(vertex));
         
         // Handle closed polylines
-        const isClosed = entity.closed || 
+        const isClosed = closedFlag || 
             (points.length > 2 && 
-             this.geometryEngine.calculateDistance(points[0], points[points.length - 1]) < this.config.tolerance);
+             this.geometryEngine.calculateDistance(points[0], points[points.length - 1]) < this.geometryEngine.tolerance);
         
         return {
             type: isClosed ? 'polygon' : 'polyline',
@@ -274,7 +416,7 @@ class DxfProcessor {
      */
     processCircle(entity) {
         const center = this.convertPoint(entity.center);
-        const radius = entity.radius * this.getScaleFactor();
+        const radius = entity.radius / this.getScaleFactor();
         
         // Convert circle to polygon approximation
         const segments = Math.max(16, Math.ceil(radius * 4)); // More segments for larger circles
@@ -312,7 +454,7 @@ class DxfProcessor {
      */
     processArc(entity) {
         const center = this.convertPoint(entity.center);
-        const radius = entity.radius * this.getScaleFactor();
+        const radius = entity.radius / this.getScaleFactor();
         const startAngle = entity.startAngle || 0;
         const endAngle = entity.endAngle || Math.PI * 2;
         
@@ -352,14 +494,14 @@ class DxfProcessor {
      * @returns {Object} Processed text geometry
      */
     processText(entity) {
-        const position = this.convertPoint(entity.position || entity.start);
+        const position = this.convertPoint(entity.position || entity.startPoint || entity.start);
         
         return {
             type: 'text',
             geometry: {
                 position,
                 text: entity.text || '',
-                height: (entity.height || 1) * this.getScaleFactor(),
+                height: (entity.height || entity.textHeight || 1) / this.getScaleFactor(),
                 rotation: entity.rotation || 0
             },
             properties: {
@@ -383,7 +525,11 @@ class DxfProcessor {
             geometry: {
                 position,
                 name: entity.name,
-                scale: entity.scale || { x: 1, y: 1, z: 1 },
+                scale: {
+                    x: entity.xScale ?? 1,
+                    y: entity.yScale ?? 1,
+                    z: entity.zScale ?? 1
+                },
                 rotation: entity.rotation || 0
             },
             properties: {
@@ -395,257 +541,1610 @@ class DxfProcessor {
     }
 
     /**
-     * Categorize processed geometry into floor plan components
-     * @param {Object} geometry - Processed geometry
-     * @param {string} layer - Layer name
-     * @param {Object} floorPlan - Floor plan object to populate
+     * BLOCK EXPANSION
      */
-    categorizeGeometry(geometry, layer, floorPlan) {
-        const layerUpper = layer.toUpperCase();
-        
-        // Categorize based on layer name
-        if (layerUpper.includes('WALL') || layerUpper.includes('MUUR')) {
-            if (geometry.type === 'line') {
-                floorPlan.walls.push({
-                    id: this.generateId(),
-                    start: geometry.geometry.start,
-                    end: geometry.geometry.end,
-                    thickness: 0.2, // Default wall thickness
-                    properties: geometry.properties
-                });
-            }
-        } else if (layerUpper.includes('RED') || layerUpper.includes('ENTRANCE') || layerUpper.includes('INGANG')) {
-            if (geometry.type === 'polygon') {
-                floorPlan.redZones.push({
-                    id: this.generateId(),
-                    polygon: geometry.geometry.points,
-                    area: geometry.geometry.area,
-                    properties: geometry.properties
-                });
-            }
-        } else if (layerUpper.includes('BLUE') || layerUpper.includes('FORBIDDEN') || layerUpper.includes('VERBODEN')) {
-            if (geometry.type === 'polygon') {
-                floorPlan.blueZones.push({
-                    id: this.generateId(),
-                    polygon: geometry.geometry.points,
-                    area: geometry.geometry.area,
-                    properties: geometry.properties
-                });
+
+    /**
+     * Flatten block references into world-space entities. Each INSERT is
+     * kept (so door/entrance symbols are still recognised) and followed by
+     * the transformed contents of its block definition, recursively.
+     * @param {Array} entities - Top-level DXF entities
+     * @param {Object} blocks - Parsed block definitions keyed by name
+     * @returns {Array} Flattened entity list
+     */
+    expandEntities(entities, blocks) {
+        const result = [];
+
+        for (const entity of entities) {
+            result.push(entity);
+
+            if (entity.type !== 'INSERT') {
+                continue;
             }
-        } else if (layerUpper.includes('BOUNDARY') || layerUpper.includes('OUTLINE') || layerUpper.includes('GRENS')) {
-            if (geometry.type === 'polygon' && !floorPlan.boundary) {
-                floorPlan.boundary = geometry.geometry.points;
+
+            try {
+                const expanded = this.expandInsert(entity, blocks, this.createIdentityTransform(), [], entity.layer);
+                if (expanded.length > 0) {
+                    this.statistics.blocksExpanded++;
+                    this.statistics.blockEntitiesCreated += expanded.length;
+                    result.push(...expanded);
+                }
+            } catch (error) {
+                const errorMsg = `Block expansion error (${entity.name}): ${error.message}`;
+
+                if (this.config.strictMode) {
+                    throw new Error(errorMsg);
+                }
+                this.parseErrors.push(errorMsg);
             }
-        } else if (geometry.type === 'text') {
-            floorPlan.annotations.push({
-                id: this.generateId(),
-                position: geometry.geometry.position,
-                text: geometry.geometry.text,
-                properties: geometry.properties
-            });
         }
-        
-        // Handle entrances (typically represented as blocks or symbols)
-        if (geometry.type === 'insert' && 
-            (geometry.geometry.name.toUpperCase().includes('DOOR') || 
-             geometry.geometry.name.toUpperCase().includes('ENTRANCE'))) {
-            floorPlan.entrances.push({
-                id: this.generateId(),
-                position: geometry.geometry.position,
-                type: 'entrance',
-                properties: geometry.properties
-            });
+
+        return result;
+    }
+
+    /**
+     * Expand a single INSERT into transformed entities
+     * @param {Object} insert - INSERT entity (in parent block coordinates)
+     * @param {Object} blocks - Parsed block definitions keyed by name
+     * @param {Array} parentTransform - Transform from parent block to world
+     * @param {Array} stack - Names of blocks currently being expanded
+     * @param {string} insertLayer - Effective layer of the INSERT
+     * @returns {Array} Transformed entities in world coordinates
+     */
+    expandInsert(insert, blocks, parentTransform, stack, insertLayer) {
+        const block = blocks[insert.name];
+
+        if (!block) {
+            this.warnings.push(`Block definition not found: ${insert.name}`);
+            return [];
+        }
+
+        if (stack.includes(insert.name)) {
+            this.warnings.push(`Recursive block reference skipped: ${[...stack, insert.name].join(' > ')}`);
+            return [];
+        }
+
+        if (stack.length >= this.config.maxBlockDepth) {
+            this.warnings.push(`Block nesting deeper than ${this.config.maxBlockDepth} skipped: ${insert.name}`);
+            return [];
+        }
+
+        const result = [];
+        const columns = Math.max(1, insert.columnCount || 1);
+        const rows = Math.max(1, insert.rowCount || 1);
+        const blockStack = [...stack, insert.name];
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const transform = this.multiplyTransforms(
+                    parentTransform,
+                    this.createInsertTransform(insert, block, column, row)
+                );
+
+                for (const child of block.entities || []) {
+                    const transformed = this.transformEntity(child, transform);
+
+                    // Entities on layer "0" and BYBLOCK colour take the INSERT's properties
+                    if (!child.layer || child.layer === '0') {
+                        transformed.layer = insertLayer;
+                    }
+                    if (child.colorIndex === 0) {
+                        transformed.colorIndex = insert.colorIndex;
+                        transformed.color = insert.color;
+                    }
+                    if (child.type !== 'INSERT') {
+                        transformed.sourceBlock = insert.name;
+                    }
+
+                    result.push(transformed);
+
+                    if (child.type === 'INSERT') {
+                        result.push(...this.expandInsert(child, blocks, transform, blockStack, transformed.layer));
+                    }
+                }
+            }
         }
+
+        return result;
     }
 
     /**
-     * DXF EXPORT FUNCTIONALITY
+     * Build the block-to-parent transform of an INSERT:
+     * translate(position + array offset) * rotate * scale * translate(-base point)
+     * @param {Object} insert - INSERT entity
+     * @param {Object} block - Block definition
+     * @param {number} column - Array column index
+     * @param {number} row - Array row index
+     * @returns {Array} Affine transform [a, b, c, d, e, f]
      */
+    createInsertTransform(insert, block, column = 0, row = 0) {
+        const angle = (insert.rotation || 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const scaleX = insert.xScale ?? 1;
+        const scaleY = insert.yScale ?? 1;
+        const base = block.position || { x: 0, y: 0 };
+        const position = insert.position || { x: 0, y: 0 };
+
+        // Array spacing is measured along the rotated insert axes
+        const offsetX = column * (insert.columnSpacing || 0);
+        const offsetY = row * (insert.rowSpacing || 0);
+
+        const a = cos * scaleX;
+        const b = sin * scaleX;
+        const c = -sin * scaleY;
+        const d = cos * scaleY;
+
+        return [
+            a, b, c, d,
+            position.x + cos * offsetX - sin * offsetY - (a * base.x + c * base.y),
+            position.y + sin * offsetX + cos * offsetY - (b * base.x + d * base.y)
+        ];
+    }
 
     /**
-     * Generate DXF file from floor plan data
-     * @param {Object} floorPlan - Floor plan data
-     * @param {Object} options - Export options
-     * @returns {Promise<string>} DXF file content
+     * Identity affine transform
+     * @returns {Array} Affine transform [a, b, c, d, e, f]
      */
-    async generateDxfFile(floorPlan, options = {}) {
-        try {
-            this.log('Starting DXF generation');
-            
-            const dxfOptions = {
-                units: options.units || this.config.defaultUnits,
-                precision: options.precision || this.config.precision,
-                ...options
-            };
-            
-            // Create DXF writer
-            const writer = new DxfWriter(dxfOptions);
-            
-            // Add layers
-            this.addLayersToWriter(writer);
-            
-            // Add geometry
-            await this.addFloorPlanToWriter(writer, floorPlan);
-            
-            // Generate DXF content
-            const dxfContent = writer.toDxfString();
-            
-            this.log('DXF generation completed', {
-                contentLength: dxfContent.length,
-                layers: Object.keys(this.config.layerMapping).length
-            });
-            
-            return dxfContent;
-            
-        } catch (error) {
-            this.logError('DXF generation failed', error);
-            throw new Error(`DXF generation failed: ${error.message}`);
-        }
+    createIdentityTransform() {
+        return [1, 0, 0, 1, 0, 0];
     }
 
     /**
-     * Add layers to DXF writer
-     * @param {DxfWriter} writer - DXF writer instance
+     * Compose two affine transforms (inner is applied first)
+     * @param {Array} outer - Outer transform
+     * @param {Array} inner - Inner transform
+     * @returns {Array} Composed transform
      */
-    addLayersToWriter(writer) {
-        for (const [layerName, layerConfig] of Object.entries(this.config.layerMapping)) {
-            writer.addLayer(layerName, layerConfig.color, layerConfig.lineType);
-        }
+    multiplyTransforms(outer, inner) {
+        const [a1, b1, c1, d1, e1, f1] = outer;
+        const [a2, b2, c2, d2, e2, f2] = inner;
+
+        return [
+            a1 * a2 + c1 * b2,
+            b1 * a2 + d1 * b2,
+            a1 * c2 + c1 * d2,
+            b1 * c2 + d1 * d2,
+            a1 * e2 + c1 * f2 + e1,
+            b1 * e2 + d1 * f2 + f1
+        ];
     }
 
     /**
-     * Add floor plan geometry to DXF writer
-     * @param {DxfWriter} writer - DXF writer instance
-     * @param {Object} floorPlan - Floor plan data
+     * Apply an affine transform to a point
+     * @param {Array} transform - Affine transform
+     * @param {Object} point - Point with x, y (z is preserved)
+     * @param {boolean} translate - Whether to apply translation (false for vectors)
+     * @returns {Object} Transformed point
      */
-    async addFloorPlanToWriter(writer, floorPlan) {
-        // Add walls
-        if (floorPlan.walls) {
-            for (const wall of floorPlan.walls) {
-                const start = this.convertPointForExport(wall.start);
-                const end = this.convertPointForExport(wall.end);
-                
-                writer.addLine(start.x, start.y, end.x, end.y)
-                    .setLayer('WALLS');
+    transformPoint(transform, point, translate = true) {
+        const [a, b, c, d, e, f] = transform;
+        const x = point.x || 0;
+        const y = point.y || 0;
+
+        return {
+            ...point,
+            x: a * x + c * y + (translate ? e : 0),
+            y: b * x + d * y + (translate ? f : 0)
+        };
+    }
+
+    /**
+     * Copy a raw DXF entity into the coordinate system given by a transform.
+     * Non-uniform scaling of circles and arcs is approximated with the mean scale.
+     * @param {Object} entity - Raw DXF entity
+     * @param {Array} transform - Affine transform
+     * @returns {Object} Transformed entity copy
+     */
+    transformEntity(entity, transform) {
+        const [a, b, c, d] = transform;
+        const determinant = a * d - b * c;
+        const mirrored = determinant < 0;
+        const scale = Math.sqrt(Math.abs(determinant));
+        const rotationDegrees = Math.atan2(b, a) * 180 / Math.PI;
+        const clone = { ...entity };
+
+        for (const field of ['start', 'end', 'position', 'startPoint', 'endPoint', 'center']) {
+            if (entity[field]) {
+                clone[field] = this.transformPoint(transform, entity[field]);
             }
         }
-        
-        // Add red zones
-        if (floorPlan.redZones) {
-            for (const zone of floorPlan.redZones) {
-                if (zone.polygon && zone.polygon.length > 2) {
-                    const vertices = zone.polygon.map(point => this.convertPointForExport(point));
-                    writer.addPolyline(vertices, true) // true = closed
-                        .setLayer('RED_ZONE');
-                }
+
+        for (const field of ['vertices', 'controlPoints', 'fitPoints', 'points']) {
+            if (Array.isArray(entity[field])) {
+                clone[field] = entity[field].map(vertex => {
+                    const transformed = this.transformPoint(transform, vertex);
+                    // Mirroring reverses the sweep direction of polyline arcs
+                    if (mirrored && vertex.bulge) {
+                        transformed.bulge = -vertex.bulge;
+                    }
+                    return transformed;
+                });
             }
         }
-        
-        // Add blue zones
-        if (floorPlan.blueZones) {
-            for (const zone of floorPlan.blueZones) {
-                if (zone.polygon && zone.polygon.length > 2) {
-                    const vertices = zone.polygon.map(point => this.convertPointForExport(point));
-                    writer.addPolyline(vertices, true)
-                        .setLayer('BLUE_ZONE');
-                }
+
+        if (entity.majorAxisEndPoint) {
+            clone.majorAxisEndPoint = this.transformPoint(transform, entity.majorAxisEndPoint, false);
+
+            // Mirroring flips the minor axis, so the parameter range is negated
+            if (mirrored && entity.type === 'ELLIPSE' && typeof entity.endAngle === 'number') {
+                clone.startAngle = -entity.endAngle;
+                clone.endAngle = -(entity.startAngle || 0);
             }
         }
-        
-        // Add boundary
-        if (floorPlan.boundary && floorPlan.boundary.length > 2) {
-            const vertices = floorPlan.boundary.map(point => this.convertPointForExport(point));
-            writer.addPolyline(vertices, true)
-                .setLayer('WALLS'); // Use WALLS layer for boundary
+
+        if (Array.isArray(entity.boundaryLoops)) {
+            // Curved hatch edges are tessellated first so loops transform as plain rings
+            clone.boundaryLoops = entity.boundaryLoops.map(loop => ({
+                ...loop,
+                type: 'polyline',
+                closed: true,
+                vertices: this.getHatchLoopPoints(loop).map(point =>
+                    this.transformPoint(transform, { x: point.x, y: point.y })
+                )
+            }));
         }
-        
-        // Add îlots if present
-        if (floorPlan.ilots) {
-            for (const ilot of floorPlan.ilots) {
-                if (ilot.geometry && ilot.geometry.polygon) {
-                    const vertices = ilot.geometry.polygon.map(point => this.convertPointForExport(point));
-                    writer.addPolyline(vertices, true)
-                        .setLayer('ILOTS');
-                }
+
+        if (typeof entity.radius === 'number') {
+            clone.radius = entity.radius * scale;
+        }
+
+        for (const field of ['textHeight', 'height']) {
+            if (typeof entity[field] === 'number') {
+                clone[field] = entity[field] * scale;
             }
         }
-        
-        // Add corridors if present
-        if (floorPlan.corridors) {
-            for (const corridor of floorPlan.corridors) {
-                if (corridor.polygon) {
-                    const vertices = corridor.polygon.map(point => this.convertPointForExport(point));
-                    writer.addPolyline(vertices, true)
-                        .setLayer('CORRIDORS');
+
+        if (typeof entity.rotation === 'number' || entity.type === 'INSERT') {
+            clone.rotation = (entity.rotation || 0) + rotationDegrees;
+        }
+
+        if (entity.type === 'ARC') {
+            const directionAt = angle => this.transformPoint(transform, { x: Math.cos(angle), y: Math.sin(angle) }, false);
+            const start = directionAt(entity.startAngle || 0);
+            const end = directionAt(entity.endAngle || 0);
+            let startAngle = Math.atan2(start.y, start.x);
+            let endAngle = Math.atan2(end.y, end.x);
+
+            if (mirrored) {
+                [startAngle, endAngle] = [endAngle, startAngle];
+            }
+            if (endAngle <= startAngle) {
+                endAngle += 2 * Math.PI;
+            }
+
+            clone.startAngle = startAngle;
+            clone.endAngle = endAngle;
+        }
+
+        return clone;
+    }
+
+    /**
+     * Process HATCH entity. Boundary loops are nested by containment:
+     * loops inside an outer loop become its holes, islands inside a hole
+     * become separate polygons.
+     * @param {Object} entity - Hatch entity
+     * @returns {Object|Array|null} Processed polygon geometry
+     */
+    processHatch(entity) {
+        const loops = (entity.boundaryLoops || [])
+            .map(loop => this.getHatchLoopPoints(loop).map(point => this.convertPoint(point)))
+            .filter(points => points.length >= 3)
+            .map(points => ({ points, area: this.geometryEngine.calculatePolygonArea(points), holes: [], depth: 0 }))
+            .sort((a, b) => b.area - a.area);
+
+        if (loops.length === 0) {
+            this.warnings.push(`HATCH ${entity.handle || ''} has no usable boundary`.trim());
+            return null;
+        }
+
+        for (let i = 1; i < loops.length; i++) {
+            // Smallest enclosing loop comes last among the larger ones
+            for (let j = i - 1; j >= 0; j--) {
+                if (this.geometryEngine.pointInPolygon(loops[i].points[0], loops[j].points)) {
+                    loops[i].parent = loops[j];
+                    loops[i].depth = loops[j].depth + 1;
+                    break;
                 }
             }
         }
-        
-        // Add annotations
-        if (floorPlan.annotations) {
-            for (const annotation of floorPlan.annotations) {
-                const position = this.convertPointForExport(annotation.position);
-                writer.addText(position.x, position.y, 0, annotation.text || '', 0.1)
-                    .setLayer('ANNOTATIONS');
+
+        for (const loop of loops) {
+            if (loop.depth % 2 === 1) {
+                loop.parent.holes.push(loop);
             }
         }
+
+        const polygons = loops
+            .filter(loop => loop.depth % 2 === 0)
+            .map(loop => ({
+                type: 'polygon',
+                geometry: {
+                    points: loop.points,
+                    holes: loop.holes.map(hole => hole.points),
+                    closed: true,
+                    area: loop.area - loop.holes.reduce((sum, hole) => sum + hole.area, 0)
+                },
+                properties: {
+                    layer: entity.layer,
+                    color: entity.color,
+                    originalType: 'hatch',
+                    pattern: entity.patternName
+                }
+            }));
+
+        return polygons.length === 1 ? polygons[0] : polygons;
     }
 
     /**
-     * UTILITY FUNCTIONS
+     * Process SOLID entity (filled triangle or quadrilateral)
+     * @param {Object} entity - Solid entity
+     * @returns {Object|null} Processed polygon geometry
      */
+    processSolid(entity) {
+        // SOLID corners are stored in zig-zag order: 0, 1, 3, 2
+        const corners = [0, 1, 3, 2]
+            .map(index => entity.points?.[index])
+            .filter(Boolean)
+            .map(point => this.convertPoint(point));
+        const points = corners.filter((point, index) =>
+            index === 0 || this.geometryEngine.calculateDistance(point, corners[index - 1]) > this.geometryEngine.tolerance
+        );
+
+        if (points.length < 3) {
+            return null;
+        }
+
+        return {
+            type: 'polygon',
+            geometry: {
+                points,
+                closed: true,
+                area: this.geometryEngine.calculatePolygonArea(points)
+            },
+            properties: {
+                layer: entity.layer,
+                color: entity.color,
+                originalType: 'solid'
+            }
+        };
+    }
 
     /**
-     * Convert point coordinates with scaling
-     * @param {Object|Array} point - Point to convert
-     * @returns {Array} Converted point [x, y]
+     * Process SPLINE entity
+     * @param {Object} entity - Spline entity
+     * @returns {Object|null} Processed polyline/polygon geometry
      */
-    convertPoint(point) {
-        const x = (point.x !== undefined ? point.x : point[0]) / this.getScaleFactor();
-        const y = (point.y !== undefined ? point.y : point[1]) / this.getScaleFactor();
-        return [x, y];
+    processSpline(entity) {
+        const points = this.tessellateSpline(entity).map(point => this.convertPoint(point));
+        const isClosed = Boolean(entity.closed || entity.periodic) && points.length > 2;
+
+        if (points.length < 2) {
+            return null;
+        }
+
+        if (isClosed && this.geometryEngine.calculateDistance(points[0], points[points.length - 1]) < this.geometryEngine.tolerance) {
+            points.pop();
+        }
+
+        return {
+            type: isClosed ? 'polygon' : 'polyline',
+            geometry: {
+                points,
+                closed: isClosed,
+                area: isClosed ? this.geometryEngine.calculatePolygonArea(points) : 0
+            },
+            properties: {
+                layer: entity.layer,
+                color: entity.color,
+                originalType: 'spline'
+            }
+        };
     }
 
     /**
-     * Convert point for export (scale up)
-     * @param {Array} point - Point to convert [x, y]
-     * @returns {Object} Converted point {x, y}
+     * Process ELLIPSE entity (full ellipse or elliptical arc)
+     * @param {Object} entity - Ellipse entity
+     * @returns {Object} Processed polyline/polygon geometry
      */
-    convertPointForExport(point) {
+    processEllipse(entity) {
+        const startAngle = entity.startAngle || 0;
+        const endAngle = entity.endAngle ?? Math.PI * 2;
+        const sweep = endAngle - startAngle;
+        const isClosed = Math.abs(sweep) < 1e-9 || Math.abs(Math.abs(sweep) - Math.PI * 2) < 1e-9;
+
+        const points = this.tessellateEllipse(
+            entity.center,
+            entity.majorAxisEndPoint,
+            entity.axisRatio || 1,
+            startAngle,
+            isClosed ? startAngle + Math.PI * 2 : endAngle
+        ).map(point => this.convertPoint(point));
+
+        if (isClosed) {
+            points.pop();
+        }
+
         return {
-            x: point[0] * this.getScaleFactor(),
-            y: point[1] * this.getScaleFactor()
+            type: isClosed ? 'polygon' : 'polyline',
+            geometry: {
+                points,
+                closed: isClosed,
+                area: isClosed ? this.geometryEngine.calculatePolygonArea(points) : 0
+            },
+            properties: {
+                layer: entity.layer,
+                color: entity.color,
+                originalType: 'ellipse'
+            }
         };
     }
 
     /**
-     * Get scale factor for unit conversion
-     * @returns {number} Scale factor
+     * CURVE TESSELLATION
+     * All helpers work on raw DXF points ({x, y}) before unit conversion.
      */
-    getScaleFactor() {
-        return this.config.scaleFactor;
-    }
 
     /**
-     * Extract metadata from DXF
-     * @param {Object} dxf - Parsed DXF object
-     * @returns {Object} Metadata
+     * Number of straight segments used for a curve sweep
+     * @param {number} sweep - Sweep angle in radians
+     * @returns {number} Segment count
      */
-    extractMetadata(dxf) {
-        return {
-            version: dxf.header?.version || 'unknown',
-            units: dxf.header?.units || this.config.defaultUnits,
-            created: new Date().toISOString(),
-            layers: Object.keys(dxf.tables?.layer?.layers || {}),
-            entityCount: dxf.entities?.length || 0,
-            bounds: this.calculateBounds(dxf.entities || [])
-        };
+    getCurveSegmentCount(sweep) {
+        const maxAngle = this.config.curveSegmentAngle * Math.PI / 180;
+        return Math.max(1, Math.ceil(Math.abs(sweep) / maxAngle));
     }
 
     /**
-     * Calculate bounds of all entities
-     * @param {Array} entities - DXF entities
-     * @returns {Object} Bounds object
+     * Insert arc points for bulged polyline segments
+     * @param {Array} vertices - Polyline vertices with optional bulge
+     * @param {boolean} closed - Whether the last vertex connects to the first
+     * @returns {Array} Vertices with arcs tessellated
+     */
+    expandBulges(vertices, closed) {
+        const points = [];
+
+        for (let i = 0; i < vertices.length; i++) {
+            const vertex = vertices[i];
+            const next = i + 1 < vertices.length ? vertices[i + 1] : (closed ? vertices[0] : null);
+
+            points.push(vertex);
+            if (next && vertex.bulge) {
+                points.push(...this.tessellateBulge(vertex, next, vertex.bulge));
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * Intermediate points of a bulged segment (bulge = tan(sweep / 4),
+     * positive for counter-clockwise arcs)
+     * @param {Object} start - Segment start
+     * @param {Object} end - Segment end
+     * @param {number} bulge - Bulge value
+     * @returns {Array} Points strictly between start and end
+     */
+    tessellateBulge(start, end, bulge) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const chord = Math.hypot(dx, dy);
+
+        if (chord === 0) {
+            return [];
+        }
+
+        // Center lies on the chord's left normal for counter-clockwise arcs
+        const offset = chord * (1 - bulge * bulge) / (4 * bulge);
+        const center = {
+            x: (start.x + end.x) / 2 - dy / chord * offset,
+            y: (start.y + end.y) / 2 + dx / chord * offset
+        };
+        const radius = Math.hypot(start.x - center.x, start.y - center.y);
+        const sweep = 4 * Math.atan(bulge);
+        const startAngle = Math.atan2(start.y - center.y, start.x - center.x);
+
+        return this.tessellateArc(center, radius, startAngle, startAngle + sweep).slice(1, -1);
+    }
+
+    /**
+     * Points along a circular arc, including both ends
+     * @param {Object} center - Arc center
+     * @param {number} radius - Arc radius
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} endAngle - End angle in radians (sweep = end - start)
+     * @returns {Array} Arc points
+     */
+    tessellateArc(center, radius, startAngle, endAngle) {
+        const sweep = endAngle - startAngle;
+        const segments = this.getCurveSegmentCount(sweep);
+        const points = [];
+
+        for (let i = 0; i <= segments; i++) {
+            const angle = startAngle + sweep * i / segments;
+            points.push({
+                x: center.x + Math.cos(angle) * radius,
+                y: center.y + Math.sin(angle) * radius
+            });
+        }
+
+        return points;
+    }
+
+    /**
+     * Points along an ellipse, including both ends
+     * @param {Object} center - Ellipse center
+     * @param {Object} majorAxis - Major axis end point relative to the center
+     * @param {number} axisRatio - Minor to major axis ratio
+     * @param {number} startParam - Start parameter in radians
+     * @param {number} endParam - End parameter in radians (sweep = end - start)
+     * @returns {Array} Ellipse points
+     */
+    tessellateEllipse(center, majorAxis, axisRatio, startParam, endParam) {
+        const minorAxis = { x: -majorAxis.y * axisRatio, y: majorAxis.x * axisRatio };
+        const sweep = endParam - startParam;
+        const segments = this.getCurveSegmentCount(sweep);
+        const points = [];
+
+        for (let i = 0; i <= segments; i++) {
+            const t = startParam + sweep * i / segments;
+            points.push({
+                x: center.x + majorAxis.x * Math.cos(t) + minorAxis.x * Math.sin(t),
+                y: center.y + majorAxis.y * Math.cos(t) + minorAxis.y * Math.sin(t)
+            });
+        }
+
+        return points;
+    }
+
+    /**
+     * Points along a B-spline (de Boor evaluation). Falls back to fit points,
+     * then control points, when the knot vector is incomplete.
+     * @param {Object} spline - Spline with controlPoints, knotValues and degree
+     * @returns {Array} Spline points
+     */
+    tessellateSpline(spline) {
+        const degree = spline.degree ?? spline.degreeOfSplineCurve ?? 3;
+        const controlPoints = spline.controlPoints || [];
+        const knots = spline.knotValues || [];
+
+        if (controlPoints.length <= degree || knots.length !== controlPoints.length + degree + 1) {
+            return (spline.fitPoints && spline.fitPoints.length >= 2) ? spline.fitPoints : controlPoints;
+        }
+
+        const uStart = knots[degree];
+        const uEnd = knots[controlPoints.length];
+        const segments = (controlPoints.length - degree) * this.config.splineSegmentsPerSpan;
+        const points = [];
+
+        for (let i = 0; i <= segments; i++) {
+            points.push(this.evaluateSpline(uStart + (uEnd - uStart) * i / segments, degree, knots, controlPoints));
+        }
+
+        return points;
+    }
+
+    /**
+     * Evaluate a (rational) B-spline at parameter u
+     * @param {number} u - Curve parameter
+     * @param {number} degree - Spline degree
+     * @param {Array} knots - Knot vector
+     * @param {Array} controlPoints - Control points with optional weight
+     * @returns {Object} Point on the curve
+     */
+    evaluateSpline(u, degree, knots, controlPoints) {
+        let span = degree;
+        while (span < controlPoints.length - 1 && u >= knots[span + 1]) {
+            span++;
+        }
+
+        const d = [];
+        for (let j = 0; j <= degree; j++) {
+            const point = controlPoints[span - degree + j];
+            const weight = point.weight ?? 1;
+            d.push({ x: point.x * weight, y: point.y * weight, w: weight });
+        }
+
+        for (let r = 1; r <= degree; r++) {
+            for (let j = degree; j >= r; j--) {
+                const i = span - degree + j;
+                const denominator = knots[i + degree - r + 1] - knots[i];
+                const alpha = denominator === 0 ? 0 : (u - knots[i]) / denominator;
+
+                d[j] = {
+                    x: (1 - alpha) * d[j - 1].x + alpha * d[j].x,
+                    y: (1 - alpha) * d[j - 1].y + alpha * d[j].y,
+                    w: (1 - alpha) * d[j - 1].w + alpha * d[j].w
+                };
+            }
+        }
+
+        return { x: d[degree].x / d[degree].w, y: d[degree].y / d[degree].w };
+    }
+
+    /**
+     * Tessellate a HATCH boundary loop into a closed ring of raw points
+     * @param {Object} loop - Boundary loop from HatchEntityHandler
+     * @returns {Array} Ring points without the closing duplicate
+     */
+    getHatchLoopPoints(loop) {
+        let points = [];
+
+        if (loop.type === 'polyline') {
+            points = this.expandBulges(loop.vertices || [], true);
+        } else {
+            for (const edge of loop.edges || []) {
+                const edgePoints = this.getHatchEdgePoints(edge);
+                const last = points[points.length - 1];
+
+                // Consecutive edges share their end points
+                if (last && edgePoints.length > 0 &&
+                    Math.hypot(last.x - edgePoints[0].x, last.y - edgePoints[0].y) < 1e-9) {
+                    edgePoints.shift();
+                }
+                points.push(...edgePoints);
+            }
+        }
+
+        if (points.length > 1) {
+            const first = points[0];
+            const last = points[points.length - 1];
+            if (Math.hypot(last.x - first.x, last.y - first.y) < 1e-9) {
+                points.pop();
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * Tessellate a single HATCH boundary edge
+     * @param {Object} edge - Boundary edge
+     * @returns {Array} Edge points including both ends
+     */
+    getHatchEdgePoints(edge) {
+        // Clockwise edges store mirrored angles (degrees)
+        const direction = edge.counterClockwise === false ? -1 : 1;
+        const sweepOf = () => {
+            let sweep = (edge.endAngle - edge.startAngle) * Math.PI / 180;
+            while (sweep <= 0) sweep += Math.PI * 2;
+            return sweep;
+        };
+
+        switch (edge.type) {
+            case 'line':
+                return [edge.start, edge.end];
+            case 'arc': {
+                const start = direction * edge.startAngle * Math.PI / 180;
+                return this.tessellateArc(edge.center, edge.radius, start, start + direction * sweepOf());
+            }
+            case 'ellipse': {
+                const start = direction * edge.startAngle * Math.PI / 180;
+                return this.tessellateEllipse(edge.center, edge.majorAxisEndPoint, edge.axisRatio || 1,
+                    start, start + direction * sweepOf());
+            }
+            case 'spline':
+                return [...this.tessellateSpline(edge)];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Categorize processed geometry into floor plan components
+     * @param {Object} geometry - Processed geometry
+     * @param {string} layer - Layer name
+     * @param {Object} floorPlan - Floor plan object to populate
+     */
+    categorizeGeometry(geometry, layer, floorPlan) {
+        const category = this.resolveCategory(geometry, layer);
+        
+        switch (category) {
+            case 'walls':
+                // Raw segments only; real thickness is measured in postProcessGeometry
+                for (const [start, end] of this.getGeometrySegments(geometry)) {
+                    floorPlan.walls.push({
+                        id: this.generateId(),
+                        start,
+                        end,
+                        thickness: this.config.defaultWallThickness,
+                        properties: geometry.properties
+                    });
+                }
+                break;
+            case 'redZones':
+            case 'blueZones':
+                if (geometry.type === 'polygon') {
+                    floorPlan[category].push({
+                        id: this.generateId(),
+                        polygon: geometry.geometry.points,
+                        holes: geometry.geometry.holes || [],
+                        area: geometry.geometry.area,
+                        properties: geometry.properties
+                    });
+                }
+                break;
+            case 'boundary':
+                if (geometry.type === 'polygon' && !floorPlan.boundary) {
+                    floorPlan.boundary = geometry.geometry.points;
+                    // Courtyards and light wells of a hatched outline
+                    floorPlan.boundaryHoles = geometry.geometry.holes || [];
+                }
+                break;
+            case 'columns':
+                // Columns, cores and shafts; larger outlines on structural layers are slabs or grids
+                if (geometry.type === 'polygon' && geometry.geometry.area <= this.config.maxColumnArea) {
+                    floorPlan.columns.push({
+                        id: this.generateId(),
+                        shape: geometry.properties?.originalType === 'circle' ? 'circle' : 'polygon',
+                        polygon: geometry.geometry.points,
+                        center: geometry.geometry.center || this.geometryEngine.calculatePolygonCentroid(geometry.geometry.points),
+                        radius: geometry.geometry.radius,
+                        area: geometry.geometry.area,
+                        properties: geometry.properties
+                    });
+                }
+                break;
+            case 'entrances':
+                // Entrances are typically represented as blocks or symbols
+                if (geometry.type === 'insert') {
+                    floorPlan.entrances.push({
+                        id: this.generateId(),
+                        position: geometry.geometry.position,
+                        type: 'entrance',
+                        properties: geometry.properties
+                    });
+                }
+                break;
+            case 'ignore':
+                break;
+            default:
+                if (geometry.type === 'text') {
+                    floorPlan.annotations.push({
+                        id: this.generateId(),
+                        position: geometry.geometry.position,
+                        text: geometry.geometry.text,
+                        properties: geometry.properties
+                    });
+                }
+        }
+    }
+
+    /**
+     * LAYER PROFILES
+     */
+
+    /**
+     * Compile the rules of a layer mapping profile
+     * @param {Object} profile - Profile with ordered rules
+     * @returns {Array} Rules with case-insensitive matchers
+     */
+    compileLayerProfile(profile) {
+        return (profile?.rules || []).map(rule => ({
+            category: rule.category,
+            layers: rule.layers ? rule.layers.map(name => String(name).toUpperCase()) : null,
+            layerContains: rule.layerContains ? rule.layerContains.map(part => String(part).toUpperCase()) : null,
+            layerPattern: rule.layerPattern ? compilePattern(rule.layerPattern) : null,
+            colors: rule.colors || null,
+            rgb: rule.rgb || null,
+            geometryTypes: rule.geometryTypes || null,
+            blockPattern: rule.blockPattern ? compilePattern(rule.blockPattern) : null
+        }));
+    }
+
+    /**
+     * Resolve the floor plan category of processed geometry; the first
+     * profile rule whose criteria all match wins
+     * @param {Object} geometry - Processed geometry
+     * @param {string} layer - Layer name
+     * @returns {string|null} Category or null when no rule matches
+     */
+    resolveCategory(geometry, layer) {
+        const layerUpper = layer.toUpperCase();
+        const blockName = (geometry.type === 'insert' ? geometry.geometry.name : geometry.properties?.sourceBlock)
+            ?.slice(0, PATTERN_LIMITS.maxNameLength);
+        const colorIndex = geometry.properties?.colorIndex;
+        const rgb = geometry.properties?.color;
+        
+        const rule = this.layerRules.find(rule =>
+            (!rule.geometryTypes || rule.geometryTypes.includes(geometry.type)) &&
+            (!rule.layers || rule.layers.includes(layerUpper)) &&
+            (!rule.layerContains || rule.layerContains.some(part => layerUpper.includes(part))) &&
+            (!rule.layerPattern || rule.layerPattern.test(layer.slice(0, PATTERN_LIMITS.maxNameLength))) &&
+            (!rule.colors || rule.colors.includes(colorIndex)) &&
+            (!rule.rgb || this.rgbInRange(rgb, rule.rgb)) &&
+            (!rule.blockPattern || (blockName && rule.blockPattern.test(blockName)))
+        );
+        
+        if (rule && (rule.colors || rule.rgb)) {
+            this.recordColorDecision(layer, colorIndex, rgb, rule);
+        }
+        
+        return rule ? rule.category : null;
+    }
+
+    /**
+     * COLOR CLASSIFICATION
+     */
+
+    /**
+     * Resolve the effective color of an entity. BYLAYER (256 or unset) and
+     * top-level BYBLOCK (0) colors fall back to the layer table.
+     * @param {Object} entity - Raw DXF entity
+     * @returns {Object} { colorIndex, rgb, source }
+     */
+    resolveEntityColor(entity) {
+        let colorIndex = entity.colorIndex;
+        let rgb = entity.color;
+        let source = 'entity';
+        
+        const byLayer = colorIndex === 256 || colorIndex === 0 || (colorIndex === undefined && rgb === undefined);
+        if (byLayer) {
+            const layer = this.layerTable[entity.layer] || {};
+            colorIndex = layer.colorIndex;
+            rgb = layer.color;
+            source = 'layer';
+        }
+        
+        if (rgb === undefined && colorIndex !== undefined) {
+            rgb = this.aciToRgb(colorIndex);
+        }
+        
+        return { colorIndex, rgb, source };
+    }
+
+    /**
+     * Convert an AutoCAD Color Index to a 24-bit RGB value
+     * @param {number} index - ACI (1-255)
+     * @returns {number|undefined} RGB value
+     */
+    aciToRgb(index) {
+        if (!Number.isInteger(index) || index < 1 || index > 255) return undefined;
+        return ACI_PALETTE[index];
+    }
+
+    /**
+     * Check whether an RGB value lies within per-channel ranges
+     * @param {number} rgb - 24-bit RGB value
+     * @param {Object} range - { r: [min, max], g: [min, max], b: [min, max] }
+     * @returns {boolean} True when every given channel range matches
+     */
+    rgbInRange(rgb, range) {
+        if (typeof rgb !== 'number') return false;
+        
+        const channels = { r: (rgb >> 16) & 0xFF, g: (rgb >> 8) & 0xFF, b: rgb & 0xFF };
+        
+        return Object.entries(channels).every(([channel, value]) =>
+            !range[channel] || (value >= range[channel][0] && value <= range[channel][1])
+        );
+    }
+
+    /**
+     * Record a color-based classification for the import report
+     * @param {string} layer - Layer name
+     * @param {number} colorIndex - Resolved ACI
+     * @param {number} rgb - Resolved RGB value
+     * @param {Object} rule - Matched profile rule
+     */
+    recordColorDecision(layer, colorIndex, rgb, rule) {
+        const hex = typeof rgb === 'number' ? `#${rgb.toString(16).padStart(6, '0').toUpperCase()}` : 'unknown';
+        const color = rule.colors ? `ACI ${colorIndex} (${hex})` : `RGB ${hex}`;
+        const key = `${layer}|${color}|${rule.category}`;
+        const decision = this.colorDecisions.get(key) || { layer, color, category: rule.category, count: 0 };
+        
+        decision.count++;
+        this.colorDecisions.set(key, decision);
+        this.statistics.colorClassified++;
+    }
+
+    /**
+     * Report color-to-category decisions in the import warnings
+     */
+    reportColorDecisions() {
+        for (const { layer, color, category, count } of this.colorDecisions.values()) {
+            this.warnings.push(`Color ${color} on layer "${layer}" classified as ${category} (${count} ${count === 1 ? 'entity' : 'entities'})`);
+        }
+    }
+
+    /**
+     * Get straight segments of line/polyline/polygon geometry
+     * @param {Object} geometry - Processed geometry
+     * @returns {Array} Array of [start, end] point pairs
+     */
+    getGeometrySegments(geometry) {
+        if (geometry.type === 'line') {
+            return [[geometry.geometry.start, geometry.geometry.end]];
+        }
+
+        if (geometry.type !== 'polyline' && geometry.type !== 'polygon') {
+            return [];
+        }
+
+        const rings = [geometry.geometry.points || [], ...(geometry.geometry.holes || [])];
+        const segments = [];
+
+        rings.forEach((points, ringIndex) => {
+            // Holes are always closed rings
+            const closed = geometry.geometry.closed || ringIndex > 0;
+            const count = closed ? points.length : points.length - 1;
+
+            for (let i = 0; i < count; i++) {
+                const start = points[i];
+                const end = points[(i + 1) % points.length];
+                if (this.geometryEngine.calculateDistance(start, end) > this.geometryEngine.tolerance) {
+                    segments.push([start, end]);
+                }
+            }
+        });
+
+        return segments;
+    }
+
+    /**
+     * DXF EXPORT FUNCTIONALITY
+     */
+
+    /**
+     * Generate DXF file from floor plan data. When the imported source drawing
+     * is given, its layers and entities are re-emitted in their original units
+     * and the generated îlot and corridor layers are added on top.
+     * @param {Object} floorPlan - Floor plan data
+     * @param {Object} options - Export options
+     * @param {Object} options.source - Source drawing returned by parseDxfFile
+     * @param {boolean} options.addedLayersOnly - Only write the generated layers
+     * @param {boolean} options.labels - Label îlots with ID, type and area (default true)
+     * @param {boolean} options.dimensions - Dimension corridor widths (default true)
+     * @param {Object|boolean} options.titleBlock - Title block with projectName, date, scale and statistics
+     * @returns {Promise<string>} DXF file content
+     */
+    async generateDxfFile(floorPlan, options = {}) {
+        try {
+            this.log('Starting DXF generation');
+            
+            const source = options.source || null;
+            const includeSource = Boolean(source) && !options.addedLayersOnly;
+            
+            // Generated geometry is written back in the units the source was imported with
+            if (source) {
+                this.units = source.units || this.detectUnits(source.header || {});
+            }
+            
+            // Create DXF writer
+            const writer = new DxfWriter();
+            writer.setUnits(this.getWriterUnits());
+            
+            if (includeSource) {
+                this.addSourceToWriter(writer, source);
+            }
+            
+            // Imported categories are only written when there is no source drawing to carry them
+            const layers = source ? this.config.generatedLayers : Object.keys(this.config.layerMapping);
+            
+            // Add layers
+            this.addLayersToWriter(writer, layers);
+            
+            // Add geometry
+            await this.addFloorPlanToWriter(writer, floorPlan, layers, Boolean(source));
+            this.addAnnotationsToWriter(writer, floorPlan, options);
+            
+            // Generate DXF content
+            const dxfContent = writer.toDxfString();
+            
+            this.log('DXF generation completed', {
+                contentLength: dxfContent.length,
+                layers: Object.keys(writer.layers).length,
+                sourceEntities: includeSource ? source.entities.length : 0
+            });
+            
+            return dxfContent;
+            
+        } catch (error) {
+            this.logError('DXF generation failed', error);
+            throw new Error(`DXF generation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Keep the untouched source drawing for round-trip export, together with
+     * the units resolved at import (which may come from an override)
+     * @param {Object} dxf - Parsed DXF object
+     * @returns {Object} Source header units, resolved units, layer table, entities and blocks
+     */
+    extractSource(dxf) {
+        const layers = {};
+        
+        for (const [name, layer] of Object.entries(dxf.tables?.layer?.layers || {})) {
+            layers[name] = {
+                colorIndex: layer.colorIndex,
+                visible: layer.visible !== false
+            };
+        }
+        
+        return {
+            header: {
+                $INSUNITS: dxf.header?.['$INSUNITS'],
+                $MEASUREMENT: dxf.header?.['$MEASUREMENT']
+            },
+            units: this.units,
+            layers,
+            entities: dxf.entities || [],
+            blocks: dxf.blocks || {}
+        };
+    }
+
+    /**
+     * Re-emit the source drawing on its original layers. dxf-writer cannot
+     * write block definitions, so block references are exploded in place;
+     * hatches are written as their boundary loops.
+     * @param {DxfWriter} writer - DXF writer instance
+     * @param {Object} source - Source drawing from extractSource
+     */
+    addSourceToWriter(writer, source) {
+        for (const [name, layer] of Object.entries(source.layers || {})) {
+            // A negative color index keeps hidden layers switched off
+            writer.addLayer(name, (layer.colorIndex || 7) * (layer.visible ? 1 : -1), 'CONTINUOUS');
+        }
+        
+        const entities = this.expandEntities(source.entities || [], source.blocks || {});
+        const skipped = {};
+        
+        for (const entity of entities) {
+            const layer = entity.layer || '0';
+            
+            if (!writer.layers[layer]) {
+                writer.addLayer(layer, 7, 'CONTINUOUS');
+            }
+            writer.setActiveLayer(layer);
+            
+            try {
+                if (!this.writeSourceEntity(writer, entity)) {
+                    skipped[entity.type] = (skipped[entity.type] || 0) + 1;
+                }
+            } catch (error) {
+                this.warnings.push(`Source ${entity.type} on layer "${layer}" not exported: ${error.message}`);
+            }
+        }
+        
+        for (const [type, count] of Object.entries(skipped)) {
+            this.warnings.push(`${count} source ${type} entities not exported (unsupported by the DXF writer)`);
+        }
+    }
+
+    /**
+     * Write one source entity to the active layer
+     * @param {DxfWriter} writer - DXF writer instance
+     * @param {Object} entity - Source DXF entity (drawing units)
+     * @returns {boolean} Whether the entity type is supported
+     */
+    writeSourceEntity(writer, entity) {
+        switch (entity.type) {
+            case 'LINE': {
+                const [start, end] = entity.vertices || [entity.start, entity.end];
+                writer.drawLine(start.x, start.y, end.x, end.y);
+                return true;
+            }
+            case 'LWPOLYLINE':
+            case 'POLYLINE': {
+                const points = (entity.vertices || []).map(vertex => [vertex.x, vertex.y, vertex.bulge || 0]);
+                writer.drawPolyline(points, Boolean(entity.closed || entity.shape));
+                return true;
+            }
+            case 'CIRCLE':
+                writer.drawCircle(entity.center.x, entity.center.y, entity.radius);
+                return true;
+            case 'ARC':
+                writer.drawArc(
+                    entity.center.x, entity.center.y, entity.radius,
+                    entity.startAngle * 180 / Math.PI, entity.endAngle * 180 / Math.PI
+                );
+                return true;
+            case 'TEXT':
+            case 'MTEXT': {
+                const position = entity.startPoint || entity.position;
+                writer.drawText(position.x, position.y, entity.textHeight || entity.height || 1, entity.rotation || 0, entity.text || '');
+                return true;
+            }
+            case 'ELLIPSE':
+                writer.drawEllipse(
+                    entity.center.x, entity.center.y,
+                    entity.majorAxisEndPoint.x, entity.majorAxisEndPoint.y,
+                    entity.axisRatio, entity.startAngle, entity.endAngle
+                );
+                return true;
+            case 'SPLINE': {
+                const degree = entity.degreeOfSplineCurve || 3;
+                const controlPoints = (entity.controlPoints || []).map(point => [point.x, point.y]);
+                
+                if (controlPoints.length > degree) {
+                    writer.drawSpline(controlPoints, degree, entity.knotValues || null, entity.weights || null);
+                } else {
+                    writer.drawPolyline(this.tessellateSpline(entity).map(point => [point.x, point.y]), false);
+                }
+                return true;
+            }
+            case 'SOLID': {
+                const points = entity.points || [];
+                writer.drawPolyline([points[0], points[1], points[3] || points[2], points[2]].map(point => [point.x, point.y]), true);
+                return true;
+            }
+            case 'HATCH':
+                for (const loop of entity.boundaryLoops || []) {
+                    writer.drawPolyline(this.getHatchLoopPoints(loop).map(point => [point.x, point.y]), true);
+                }
+                return true;
+            case 'POINT':
+                writer.drawPoint(entity.position.x, entity.position.y);
+                return true;
+            case 'INSERT':
+                // Exploded by expandEntities
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * dxf-writer unit name for the current drawing units
+     * @returns {string} Unit name (e.g. 'Millimeters')
+     */
+    getWriterUnits() {
+        const name = this.units ? this.units.name : this.config.defaultUnits;
+        const writerName = name.charAt(0).toUpperCase() + name.slice(1);
+        return DxfWriter.UNITS[writerName] !== undefined ? writerName : 'Unitless';
+    }
+
+    /**
+     * Add layers to DXF writer
+     * @param {DxfWriter} writer - DXF writer instance
+     * @param {Array} layers - Layer names from the layer mapping
+     */
+    addLayersToWriter(writer, layers) {
+        for (const layerName of layers) {
+            const layerConfig = this.config.layerMapping[layerName];
+            writer.addLayer(layerName, layerConfig.color, layerConfig.lineType);
+        }
+    }
+
+    /**
+     * Add floor plan geometry to DXF writer
+     * @param {DxfWriter} writer - DXF writer instance
+     * @param {Object} floorPlan - Floor plan data
+     * @param {Array} layers - Layers to write
+     * @param {boolean} hasSource - Whether the source drawing carries the imported annotations
+     */
+    async addFloorPlanToWriter(writer, floorPlan, layers, hasSource = false) {
+        const drawPolygon = (layer, polygon) => {
+            if (layers.includes(layer) && polygon && polygon.length > 2) {
+                const vertices = polygon.map(point => this.convertPointForExport(point));
+                writer.setActiveLayer(layer);
+                writer.drawPolyline(vertices.map(vertex => [vertex.x, vertex.y]), true);
+            }
+        };
+        
+        // Add walls
+        if (floorPlan.walls && layers.includes('WALLS')) {
+            writer.setActiveLayer('WALLS');
+            for (const wall of floorPlan.walls) {
+                const start = this.convertPointForExport(wall.start);
+                const end = this.convertPointForExport(wall.end);
+                
+                writer.drawLine(start.x, start.y, end.x, end.y);
+            }
+        }
+        
+        // Add red zones
+        for (const zone of floorPlan.redZones || []) {
+            drawPolygon('RED_ZONE', zone.polygon);
+        }
+        
+        // Add blue zones
+        for (const zone of floorPlan.blueZones || []) {
+            drawPolygon('BLUE_ZONE', zone.polygon);
+        }
+        
+        // Add columns
+        for (const column of floorPlan.columns || []) {
+            drawPolygon('COLUMNS', column.polygon);
+        }
+        
+        // Add boundary
+        drawPolygon('WALLS', floorPlan.boundary);
+        
+        // Add îlots if present
+        for (const ilot of floorPlan.ilots || []) {
+            drawPolygon('ILOTS', ilot.geometry ? ilot.geometry.polygon : ilot.polygon);
+        }
+        
+        // Add corridors if present
+        for (const corridor of floorPlan.corridors || []) {
+            drawPolygon('CORRIDORS', corridor.polygon);
+        }
+        
+        // Add imported annotations unless the source drawing already carries them
+        if (floorPlan.annotations && !hasSource) {
+            writer.setActiveLayer('ANNOTATIONS');
+            for (const annotation of floorPlan.annotations) {
+                const position = this.convertPointForExport(annotation.position);
+                writer.drawText(position.x, position.y, 0.1 * this.getScaleFactor(), 0, annotation.text || '');
+            }
+        }
+    }
+
+    /**
+     * Add generated annotations: îlot labels, corridor width dimensions and
+     * an optional title block
+     * @param {DxfWriter} writer - DXF writer instance
+     * @param {Object} floorPlan - Floor plan data
+     * @param {Object} options - Export options
+     */
+    addAnnotationsToWriter(writer, floorPlan, options = {}) {
+        const textHeight = (options.textHeight || this.config.annotationTextHeight) * this.getScaleFactor();
+        
+        // Label îlots with ID, type and area
+        if (options.labels !== false) {
+            writer.setActiveLayer('ANNOTATIONS');
+            
+            for (const ilot of floorPlan.ilots || []) {
+                const polygon = ilot.geometry ? ilot.geometry.polygon : ilot.polygon;
+                if (!polygon || polygon.length < 3) continue;
+                
+                const area = ilot.area || this.geometryEngine.calculatePolygonArea(polygon);
+                const lines = [ilot.id, ilot.type, `${area.toFixed(2)} m²`].filter(Boolean);
+                const center = this.convertPointForExport(this.geometryEngine.calculatePolygonCentroid(polygon));
+                
+                lines.forEach((line, index) => {
+                    const offset = ((lines.length - 1) / 2 - index) * textHeight * 1.5;
+                    writer.drawText(center.x, center.y + offset, textHeight, 0, String(line), 'center', 'middle');
+                });
+            }
+        }
+        
+        // Dimension corridor widths
+        if (options.dimensions !== false) {
+            writer.setActiveLayer('DIMENSIONS');
+            
+            for (const corridor of floorPlan.corridors || []) {
+                this.drawWidthDimension(writer, corridor, textHeight);
+            }
+        }
+        
+        if (options.titleBlock) {
+            this.drawTitleBlock(writer, floorPlan, options.titleBlock === true ? {} : options.titleBlock);
+        }
+    }
+
+    /**
+     * Draw a width dimension across the longest centerline segment of a corridor
+     * @param {DxfWriter} writer - DXF writer instance
+     * @param {Object} corridor - Corridor with width and centerline
+     * @param {number} textHeight - Text height in drawing units
+     */
+    drawWidthDimension(writer, corridor, textHeight) {
+        const centerline = (corridor.centerline || []).map(point => this.convertPointForExport(point));
+        if (!corridor.width || centerline.length < 2) {
+            return;
+        }
+        
+        let start = centerline[0];
+        let end = centerline[1];
+        for (let i = 1; i < centerline.length - 1; i++) {
+            if (Math.hypot(centerline[i + 1].x - centerline[i].x, centerline[i + 1].y - centerline[i].y) >
+                Math.hypot(end.x - start.x, end.y - start.y)) {
+                start = centerline[i];
+                end = centerline[i + 1];
+            }
+        }
+        
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        if (length === 0) return;
+        
+        const direction = { x: (end.x - start.x) / length, y: (end.y - start.y) / length };
+        const normal = { x: -direction.y, y: direction.x };
+        const middle = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+        const half = corridor.width * this.getScaleFactor() / 2;
+        const tick = textHeight / 2;
+        
+        const side1 = { x: middle.x + normal.x * half, y: middle.y + normal.y * half };
+        const side2 = { x: middle.x - normal.x * half, y: middle.y - normal.y * half };
+        
+        writer.drawLine(side1.x, side1.y, side2.x, side2.y);
+        
+        // Architectural ticks at 45° to the dimension line
+        for (const point of [side1, side2]) {
+            writer.drawLine(
+                point.x - (direction.x + normal.x) * tick, point.y - (direction.y + normal.y) * tick,
+                point.x + (direction.x + normal.x) * tick, point.y + (direction.y + normal.y) * tick
+            );
+        }
+        
+        // Text runs along the dimension line, beside it
+        let rotation = Math.atan2(normal.y, normal.x) * 180 / Math.PI;
+        if (rotation > 90 || rotation <= -90) rotation += 180;
+        
+        writer.drawText(
+            middle.x + direction.x * textHeight, middle.y + direction.y * textHeight,
+            textHeight, rotation, `${corridor.width.toFixed(2)} m`, 'center', 'bottom'
+        );
+    }
+
+    /**
+     * Draw a title block below the lower right corner of the drawing. Sizes
+     * are paper millimeters converted through the plot scale.
+     * @param {DxfWriter} writer - DXF writer instance
+     * @param {Object} floorPlan - Floor plan data
+     * @param {Object} titleBlock - Project name, date, scale and run statistics
+     */
+    drawTitleBlock(writer, floorPlan, titleBlock) {
+        const scale = titleBlock.scale || this.config.titleBlock.scale;
+        const ratio = Number(String(scale).split(':')[1]) || 100;
+        const paper = millimeters => millimeters * ratio / 1000 * this.getScaleFactor();
+        const { width, labelWidth, rowHeight, textHeight, margin } = this.config.titleBlock;
+        
+        const ilots = floorPlan.ilots || [];
+        const corridors = floorPlan.corridors || [];
+        const ilotArea = ilots.reduce((sum, ilot) =>
+            sum + (ilot.area || this.geometryEngine.calculatePolygonArea(ilot.geometry ? ilot.geometry.polygon : ilot.polygon || [])), 0);
+        const corridorArea = corridors.reduce((sum, corridor) =>
+            sum + (corridor.area || this.geometryEngine.calculatePolygonArea(corridor.polygon || [])), 0);
+        
+        const rows = [
+            ['Project', titleBlock.projectName || 'Untitled'],
+            ['Date', titleBlock.date || new Date().toISOString().split('T')[0]],
+            ['Scale', scale],
+            ['Îlots', `${ilots.length} (${ilotArea.toFixed(2)} m²)`],
+            ['Corridors', `${corridors.length} (${corridorArea.toFixed(2)} m²)`],
+            ...Object.entries(titleBlock.statistics || {})
+                .filter(([, value]) => value !== null && typeof value !== 'object')
+                .map(([key, value]) => [key, typeof value === 'number' ? String(Number(value.toFixed(2))) : String(value)])
+        ];
+        
+        const extents = this.calculateExportExtents(floorPlan);
+        const right = extents.maxX;
+        const left = right - paper(width);
+        const top = extents.minY - paper(margin);
+        const bottom = top - paper(rowHeight) * rows.length;
+        
+        writer.setActiveLayer('TITLE_BLOCK');
+        writer.drawPolyline([[left, bottom], [right, bottom], [right, top], [left, top]], true);
+        writer.drawLine(left + paper(labelWidth), bottom, left + paper(labelWidth), top);
+        
+        rows.forEach(([label, value], index) => {
+            const rowTop = top - paper(rowHeight) * index;
+            const baseline = rowTop - (paper(rowHeight) + paper(textHeight)) / 2;
+            
+            if (index > 0) {
+                writer.drawLine(left, rowTop, right, rowTop);
+            }
+            writer.drawText(left + paper(2), baseline, paper(textHeight), 0, label);
+            writer.drawText(left + paper(labelWidth + 2), baseline, paper(textHeight), 0, value);
+        });
+    }
+
+    /**
+     * Extents of the exported geometry in drawing units
+     * @param {Object} floorPlan - Floor plan data
+     * @returns {Object} Extents with minX, minY, maxX, maxY
+     */
+    calculateExportExtents(floorPlan) {
+        const points = [
+            ...(floorPlan.boundary || []),
+            ...(floorPlan.walls || []).flatMap(wall => [wall.start, wall.end]),
+            ...[...(floorPlan.redZones || []), ...(floorPlan.blueZones || []), ...(floorPlan.corridors || [])]
+                .flatMap(item => item.polygon || []),
+            ...(floorPlan.ilots || []).flatMap(ilot => (ilot.geometry ? ilot.geometry.polygon : ilot.polygon) || [])
+        ].map(point => this.convertPointForExport(point));
+        
+        if (points.length === 0) {
+            return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+        }
+        
+        // A loop rather than Math.min(...points): large drawings exceed the argument limit
+        return points.reduce((extents, point) => ({
+            minX: Math.min(extents.minX, point.x),
+            minY: Math.min(extents.minY, point.y),
+            maxX: Math.max(extents.maxX, point.x),
+            maxY: Math.max(extents.maxY, point.y)
+        }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+    }
+
+    /**
+     * UTILITY FUNCTIONS
+     */
+
+    /**
+     * Convert point coordinates with scaling
+     * @param {Object|Array} point - Point to convert
+     * @returns {Array} Converted point [x, y]
+     */
+    convertPoint(point) {
+        const x = (point.x !== undefined ? point.x : point[0]) / this.getScaleFactor();
+        const y = (point.y !== undefined ? point.y : point[1]) / this.getScaleFactor();
+        return [x, y];
+    }
+
+    /**
+     * Convert point for export (scale up)
+     * @param {Array} point - Point to convert [x, y]
+     * @returns {Object} Converted point {x, y}
+     */
+    convertPointForExport(point) {
+        return {
+            x: point[0] * this.getScaleFactor(),
+            y: point[1] * this.getScaleFactor()
+        };
+    }
+
+    /**
+     * Get scale factor for unit conversion
+     * @returns {number} Scale factor
+     */
+    getScaleFactor() {
+        return this.units ? this.units.scaleFactor : this.config.scaleFactor;
+    }
+
+    /**
+     * UNIT DETECTION
+     */
+
+    /**
+     * Resolve a unit name, alias or $INSUNITS code
+     * @param {string|number} units - Unit name (e.g. 'mm', 'meters') or code
+     * @returns {Object|null} Unit definition with code, name and size in meters
+     */
+    static resolveUnits(units) {
+        if (units === null || units === undefined || units === '') {
+            return null;
+        }
+
+        const key = String(units).trim().toLowerCase();
+
+        for (const [code, unit] of Object.entries(DXF_UNITS)) {
+            if (key === code || key === unit.name || unit.aliases.includes(key)) {
+                return { code: Number(code), name: unit.name, meters: unit.meters };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Detect drawing units. Priority: explicit override, $INSUNITS,
+     * $MEASUREMENT (0 = imperial, 1 = metric), configured default.
+     * @param {Object} header - Parsed DXF header
+     * @returns {Object} Units with name, source and scale factor to target units
+     */
+    detectUnits(header = {}) {
+        const target = DxfProcessor.resolveUnits(this.config.targetUnits) || DxfProcessor.resolveUnits('meters');
+        const insUnits = header['$INSUNITS'];
+        const measurement = header['$MEASUREMENT'];
+        let unit = null;
+        let source = null;
+
+        if (this.config.units) {
+            unit = DxfProcessor.resolveUnits(this.config.units);
+            source = 'override';
+
+            if (!unit) {
+                this.warnings.push(`Unknown unit override '${this.config.units}', falling back to header units`);
+            }
+        }
+
+        if (!unit && insUnits !== undefined && insUnits !== 0) {
+            unit = DxfProcessor.resolveUnits(insUnits);
+            source = '$INSUNITS';
+
+            if (!unit) {
+                this.warnings.push(`Unsupported $INSUNITS value ${insUnits}, falling back to defaults`);
+            }
+        }
+
+        if (!unit && (measurement === 0 || measurement === 1)) {
+            unit = DxfProcessor.resolveUnits(measurement === 0 ? 'inches' : 'millimeters');
+            source = '$MEASUREMENT';
+        }
+
+        if (!unit) {
+            unit = DxfProcessor.resolveUnits(this.config.defaultUnits);
+            source = 'default';
+        }
+
+        return {
+            name: unit.name,
+            code: unit.code,
+            source,
+            insUnits: insUnits ?? null,
+            measurement: measurement ?? null,
+            targetUnits: target.name,
+            scaleFactor: target.meters / unit.meters
+        };
+    }
+
+    /**
+     * Check that the imported building extents are plausible for the detected
+     * units and suggest a unit that would fit if they are not
+     * @param {Object} floorPlan - Floor plan data (target units)
+     * @returns {Object} Plausibility result
+     */
+    checkUnitPlausibility(floorPlan) {
+        const points = [
+            ...(floorPlan.boundary || []),
+            ...floorPlan.walls.flatMap(wall => [wall.start, wall.end]),
+            ...floorPlan.redZones.flatMap(zone => zone.polygon || []),
+            ...floorPlan.blueZones.flatMap(zone => zone.polygon || [])
+        ];
+
+        if (points.length === 0 || !this.units) {
+            return { plausible: true, extents: null };
+        }
+
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        
+        for (const [x, y] of points) {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+        
+        const width = maxX - minX;
+        const height = maxY - minY;
+        const targetMeters = DxfProcessor.resolveUnits(this.units.targetUnits).meters;
+        const size = Math.max(width, height) * targetMeters;
+        const { min, max } = this.config.plausibleExtents;
+        const extents = {
+            width: Number(width.toFixed(this.config.precision)),
+            height: Number(height.toFixed(this.config.precision)),
+            units: this.units.targetUnits
+        };
+
+        if (size >= min && size <= max) {
+            return { plausible: true, extents };
+        }
+
+        // Same raw numbers interpreted in another common unit
+        const sourceMeters = DxfProcessor.resolveUnits(this.units.name).meters;
+        const suggestion = ['millimeters', 'centimeters', 'meters', 'inches', 'feet']
+            .filter(name => name !== this.units.name)
+            .find(name => {
+                const candidate = size / sourceMeters * DxfProcessor.resolveUnits(name).meters;
+                return candidate >= min && candidate <= max;
+            }) || null;
+
+        this.warnings.push(
+            `Drawing extents ${extents.width} x ${extents.height} ${extents.units} look implausible for a building ` +
+            `(units '${this.units.name}' from ${this.units.source})` +
+            (suggestion ? `; the drawing may be in ${suggestion}` : '')
+        );
+
+        return { plausible: false, extents, suggestedUnits: suggestion };
+    }
+
+    /**
+     * Extract metadata from DXF. Also detects the drawing units, which the
+     * rest of the import uses for coordinate conversion.
+     * @param {Object} dxf - Parsed DXF object
+     * @returns {Object} Metadata
+     */
+    extractMetadata(dxf) {
+        this.units = this.detectUnits(dxf.header || {});
+        
+        return {
+            version: dxf.header?.['$ACADVER'] || dxf.header?.version || 'unknown',
+            units: this.units.name,
+            unitInfo: this.units,
+            created: new Date().toISOString(),
+            layers: Object.keys(dxf.tables?.layer?.layers || {}),
+            entityCount: dxf.entities?.length || 0,
+            bounds: this.calculateBounds(dxf.entities || [])
+        };
+    }
+
+    /**
+     * Calculate bounds of all entities
+     * @param {Array} entities - DXF entities
+     * @returns {Object} Bounds object
      */
     calculateBounds(entities) {
         let minX = Infinity, minY = Infinity;
@@ -661,68 +2160,889 @@ class DxfProcessor {
                 maxY = Math.max(maxY, converted[1]);
             }
         }
-        
-        return { minX, minY, maxX, maxY };
+        
+        return { minX, minY, maxX, maxY };
+    }
+
+    /**
+     * Get all points from an entity
+     * @param {Object} entity - DXF entity
+     * @returns {Array} Array of points
+     */
+    getEntityPoints(entity) {
+        switch (entity.type) {
+            case 'LINE':
+                return entity.vertices || [entity.start, entity.end];
+            case 'POLYLINE':
+            case 'LWPOLYLINE':
+                return entity.vertices || [];
+            case 'CIRCLE':
+            case 'ARC':
+            case 'ELLIPSE':
+                return [entity.center];
+            case 'SPLINE':
+                return entity.controlPoints || entity.fitPoints || [];
+            case 'SOLID':
+                return (entity.points || []).filter(Boolean);
+            case 'HATCH':
+                return (entity.boundaryLoops || []).flatMap(loop => this.getHatchLoopPoints(loop));
+            case 'TEXT':
+            case 'MTEXT':
+                return [entity.position || entity.startPoint || entity.start];
+            case 'INSERT':
+                return [entity.position];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Post-process extracted geometry
+     * @param {Object} floorPlan - Floor plan data
+     */
+    async postProcessGeometry(floorPlan) {
+        if (this.config.mergeColinearLines) {
+            floorPlan.walls = this.mergeColinearWalls(floorPlan.walls);
+        }
+
+        if (this.config.detectWallPairs) {
+            floorPlan.walls = this.detectWallPairs(floorPlan.walls);
+        }
+        
+        if (this.config.simplifyPolygons) {
+            floorPlan.redZones = this.simplifyZones(floorPlan.redZones);
+            floorPlan.blueZones = this.simplifyZones(floorPlan.blueZones);
+        }
+
+        if (this.config.detectRooms) {
+            floorPlan.rooms = this.reconstructRooms(floorPlan);
+        }
+    }
+
+    /**
+     * WALL RECONSTRUCTION
+     */
+
+    /**
+     * Describe a wall segment in its own line frame
+     * @param {Object} wall - Wall with start/end points
+     * @returns {Object} Direction, normal, offset and projected interval
+     */
+    describeWallLine(wall) {
+        const dx = wall.end[0] - wall.start[0];
+        const dy = wall.end[1] - wall.start[1];
+        const length = Math.sqrt(dx * dx + dy * dy);
+
+        // Normalize direction to [0, PI) so opposite drawing directions compare equal
+        let angle = Math.atan2(dy, dx);
+        if (angle < 0) angle += Math.PI;
+        if (angle >= Math.PI) angle -= Math.PI;
+
+        const direction = [Math.cos(angle), Math.sin(angle)];
+        const normal = [-direction[1], direction[0]];
+
+        return {
+            wall,
+            length,
+            angle,
+            direction,
+            normal,
+            ...this.projectOntoFrame(wall, direction, normal)
+        };
+    }
+
+    /**
+     * Project wall endpoints onto a line frame
+     * @param {Object} wall - Wall with start/end points
+     * @param {Array} direction - Unit direction vector
+     * @param {Array} normal - Unit normal vector
+     * @returns {Object} Sorted interval [t0, t1] along direction and mean offset along normal
+     */
+    projectOntoFrame(wall, direction, normal) {
+        const dot = (v, p) => v[0] * p[0] + v[1] * p[1];
+        const a = dot(direction, wall.start);
+        const b = dot(direction, wall.end);
+
+        return {
+            t0: Math.min(a, b),
+            t1: Math.max(a, b),
+            offset: (dot(normal, wall.start) + dot(normal, wall.end)) / 2
+        };
+    }
+
+    /**
+     * Check whether two described lines are parallel within the angle tolerance
+     * @param {Object} a - Described line
+     * @param {Object} b - Described line
+     * @returns {boolean} True if parallel
+     */
+    areLinesParallel(a, b) {
+        const tolerance = this.config.wallAngleTolerance * Math.PI / 180;
+        const diff = Math.abs(a.angle - b.angle);
+        return Math.min(diff, Math.PI - diff) <= tolerance;
+    }
+
+    /**
+     * Build a point from line frame coordinates
+     * @param {Object} frame - Described line providing direction and normal
+     * @param {number} t - Position along direction
+     * @param {number} offset - Position along normal
+     * @returns {Array} Point [x, y]
+     */
+    pointFromFrame(frame, t, offset) {
+        return [
+            frame.direction[0] * t + frame.normal[0] * offset,
+            frame.direction[1] * t + frame.normal[1] * offset
+        ];
+    }
+
+    /**
+     * Merge colinear walls
+     * Touching or overlapping segments that lie on the same line (within
+     * wallMergeTolerance) are replaced by one segment spanning all of them.
+     * @param {Array} walls - Wall array
+     * @returns {Array} Merged walls
+     */
+    mergeColinearWalls(walls) {
+        if (!walls || walls.length < 2) return walls || [];
+
+        const tolerance = this.config.wallMergeTolerance;
+        const lines = walls
+            .map(wall => this.describeWallLine(wall))
+            .filter(line => line.length > this.geometryEngine.tolerance);
+
+        // Union-find over touching colinear segments
+        const parent = lines.map((_, index) => index);
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            for (let j = i + 1; j < lines.length; j++) {
+                const a = lines[i];
+                const b = lines[j];
+                if (!this.areLinesParallel(a, b)) continue;
+
+                const projected = this.projectOntoFrame(b.wall, a.direction, a.normal);
+                if (Math.abs(projected.offset - a.offset) > tolerance) continue;
+
+                const gap = Math.max(projected.t0, a.t0) - Math.min(projected.t1, a.t1);
+                if (gap <= tolerance) {
+                    parent[find(i)] = find(j);
+                }
+            }
+        }
+
+        const groups = new Map();
+        lines.forEach((line, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(line);
+        });
+
+        const merged = [];
+        for (const group of groups.values()) {
+            if (group.length === 1) {
+                merged.push(group[0].wall);
+                continue;
+            }
+
+            // Longest segment defines the reference line
+            const reference = group.reduce((best, line) => line.length > best.length ? line : best);
+            let t0 = Infinity, t1 = -Infinity, weightedOffset = 0, totalLength = 0;
+
+            for (const line of group) {
+                const projected = this.projectOntoFrame(line.wall, reference.direction, reference.normal);
+                t0 = Math.min(t0, projected.t0);
+                t1 = Math.max(t1, projected.t1);
+                weightedOffset += projected.offset * line.length;
+                totalLength += line.length;
+            }
+
+            const offset = weightedOffset / totalLength;
+            merged.push({
+                ...reference.wall,
+                id: this.generateId(),
+                start: this.pointFromFrame(reference, t0, offset),
+                end: this.pointFromFrame(reference, t1, offset)
+            });
+            this.statistics.wallSegmentsMerged += group.length - 1;
+        }
+
+        this.log('Colinear walls merged', { input: walls.length, output: merged.length });
+        return merged;
+    }
+
+    /**
+     * Detect parallel line pairs that draw the two faces of one wall
+     * Each pair is replaced by a single wall on its centerline with the
+     * measured face distance as thickness. Unpaired lines are kept with the
+     * default thickness.
+     * @param {Array} walls - Wall array (ideally already merged)
+     * @returns {Array} Walls with pairs collapsed to centerlines
+     */
+    detectWallPairs(walls) {
+        if (!walls || walls.length < 2) return walls || [];
+
+        const result = [];
+        let remaining = walls;
+
+        // Residual pieces of a longer face (e.g. beside a door opening) can pair again
+        for (let pass = 0; pass < 3 && remaining.length > 1; pass++) {
+            const { centerlines, leftovers } = this.pairWallLines(remaining);
+            result.push(...centerlines);
+            remaining = leftovers;
+            if (centerlines.length === 0) break;
+        }
+
+        for (const wall of remaining) {
+            result.push({ ...wall, source: wall.source || 'single_line' });
+        }
+
+        this.log('Wall pairs detected', {
+            input: walls.length,
+            pairs: this.statistics.wallPairsDetected,
+            output: result.length
+        });
+
+        return result;
+    }
+
+    /**
+     * Single greedy pairing pass used by detectWallPairs
+     * @param {Array} walls - Candidate walls
+     * @returns {Object} Centerline walls and leftover walls
+     */
+    pairWallLines(walls) {
+        const { minWallThickness, maxWallThickness, wallPairMinOverlap, precision } = this.config;
+        const lines = walls.map(wall => this.describeWallLine(wall));
+        const candidates = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            for (let j = i + 1; j < lines.length; j++) {
+                const a = lines[i];
+                const b = lines[j];
+                if (!this.areLinesParallel(a, b)) continue;
+
+                const projected = this.projectOntoFrame(b.wall, a.direction, a.normal);
+                const distance = Math.abs(projected.offset - a.offset);
+                if (distance < minWallThickness || distance > maxWallThickness) continue;
+
+                const overlap = Math.min(a.t1, projected.t1) - Math.max(a.t0, projected.t0);
+                const shorter = Math.min(a.length, b.length);
+                if (shorter <= 0 || overlap / shorter < wallPairMinOverlap) continue;
+
+                candidates.push({ i, j, distance, overlap });
+            }
+        }
+
+        // Thinnest, best-overlapping pairs first
+        candidates.sort((x, y) => (x.distance - y.distance) || (y.overlap - x.overlap));
+
+        const used = new Set();
+        const centerlines = [];
+        const leftovers = [];
+
+        for (const candidate of candidates) {
+            if (used.has(candidate.i) || used.has(candidate.j)) continue;
+            used.add(candidate.i);
+            used.add(candidate.j);
+
+            // Longer face defines the frame; the shorter face is projected onto it
+            const [longer, shorter] = lines[candidate.i].length >= lines[candidate.j].length
+                ? [lines[candidate.i], lines[candidate.j]]
+                : [lines[candidate.j], lines[candidate.i]];
+            const projected = this.projectOntoFrame(shorter.wall, longer.direction, longer.normal);
+            const offset = (longer.offset + projected.offset) / 2;
+
+            // Ends closer than a wall thickness are corners: meet halfway.
+            // Farther apart, the longer face continues on its own.
+            let t0 = projected.t0;
+            let t1 = projected.t1;
+
+            if (projected.t0 - longer.t0 <= maxWallThickness) {
+                t0 = (longer.t0 + projected.t0) / 2;
+            } else {
+                leftovers.push({
+                    ...longer.wall,
+                    id: this.generateId(),
+                    start: this.pointFromFrame(longer, longer.t0, longer.offset),
+                    end: this.pointFromFrame(longer, projected.t0, longer.offset)
+                });
+            }
+
+            if (longer.t1 - projected.t1 <= maxWallThickness) {
+                t1 = (longer.t1 + projected.t1) / 2;
+            } else {
+                leftovers.push({
+                    ...longer.wall,
+                    id: this.generateId(),
+                    start: this.pointFromFrame(longer, projected.t1, longer.offset),
+                    end: this.pointFromFrame(longer, longer.t1, longer.offset)
+                });
+            }
+
+            centerlines.push({
+                ...longer.wall,
+                id: this.generateId(),
+                start: this.pointFromFrame(longer, t0, offset),
+                end: this.pointFromFrame(longer, t1, offset),
+                thickness: Number(candidate.distance.toFixed(precision)),
+                source: 'wall_pair'
+            });
+            this.statistics.wallPairsDetected++;
+        }
+
+        lines.forEach((line, index) => {
+            if (!used.has(index)) leftovers.push(line.wall);
+        });
+
+        return { centerlines, leftovers };
     }
 
     /**
-     * Get all points from an entity
-     * @param {Object} entity - DXF entity
-     * @returns {Array} Array of points
+     * Simplify zone polygons
+     * Removes duplicate and colinear vertices within simplifyTolerance.
+     * @param {Array} zones - Zone array
+     * @returns {Array} Simplified zones
      */
-    getEntityPoints(entity) {
-        switch (entity.type) {
-            case 'LINE':
-                return [entity.start, entity.end];
-            case 'POLYLINE':
-            case 'LWPOLYLINE':
-                return entity.vertices || [];
-            case 'CIRCLE':
-            case 'ARC':
-                return [entity.center];
-            case 'TEXT':
-            case 'MTEXT':
-                return [entity.position || entity.start];
-            case 'INSERT':
-                return [entity.position];
-            default:
-                return [];
+    simplifyZones(zones) {
+        if (!zones) return [];
+
+        return zones.map(zone => {
+            const polygon = this.simplifyRing(zone.polygon);
+            const holes = (zone.holes || []).map(hole => this.simplifyRing(hole));
+            const unchanged = polygon.length === zone.polygon.length &&
+                holes.every((hole, index) => hole.length === zone.holes[index].length);
+            if (unchanged) return zone;
+
+            return {
+                ...zone,
+                polygon,
+                holes,
+                area: this.geometryEngine.calculatePolygonArea(polygon) -
+                    holes.reduce((sum, hole) => sum + this.geometryEngine.calculatePolygonArea(hole), 0)
+            };
+        });
+    }
+
+    /**
+     * Remove duplicate and colinear vertices from a closed ring
+     * @param {Array} ring - Polygon points
+     * @returns {Array} Simplified ring (original if it would degenerate)
+     */
+    simplifyRing(ring) {
+        if (!Array.isArray(ring) || ring.length < 4) return ring || [];
+
+        const tolerance = this.config.simplifyTolerance;
+        let points = ring.filter((point, index) =>
+            this.geometryEngine.calculateDistance(point, ring[(index + 1) % ring.length]) > tolerance
+        );
+
+        let changed = true;
+        while (changed && points.length > 3) {
+            changed = false;
+            for (let i = 0; i < points.length; i++) {
+                const prev = points[(i - 1 + points.length) % points.length];
+                const next = points[(i + 1) % points.length];
+                if (this.pointToSegmentDistance(points[i], prev, next) <= tolerance) {
+                    points.splice(i, 1);
+                    changed = true;
+                    break;
+                }
+            }
         }
+
+        return points.length >= 3 ? points : ring;
     }
 
     /**
-     * Post-process extracted geometry
-     * @param {Object} floorPlan - Floor plan data
+     * Distance from a point to a segment
+     * @param {Array} point - Point [x, y]
+     * @param {Array} start - Segment start
+     * @param {Array} end - Segment end
+     * @returns {number} Distance
      */
-    async postProcessGeometry(floorPlan) {
-        if (this.config.mergeColinearLines) {
-            floorPlan.walls = this.mergeColinearWalls(floorPlan.walls);
+    pointToSegmentDistance(point, start, end) {
+        const dx = end[0] - start[0];
+        const dy = end[1] - start[1];
+        const lengthSquared = dx * dx + dy * dy;
+
+        if (lengthSquared === 0) {
+            return this.geometryEngine.calculateDistance(point, start);
         }
-        
-        if (this.config.simplifyPolygons) {
-            floorPlan.redZones = this.simplifyZones(floorPlan.redZones);
-            floorPlan.blueZones = this.simplifyZones(floorPlan.blueZones);
+
+        const t = Math.max(0, Math.min(1,
+            ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared));
+
+        return this.geometryEngine.calculateDistance(point, [start[0] + t * dx, start[1] + t * dy]);
+    }
+
+    /**
+     * ROOM RECONSTRUCTION
+     */
+
+    /**
+     * Build room polygons from the wall network: bridge small gaps and door
+     * openings, split walls into a planar graph and extract its enclosed faces
+     * @param {Object} floorPlan - Floor plan with post-processed walls
+     * @returns {Array} Rooms with polygon, area, perimeter, centroid and name
+     */
+    reconstructRooms(floorPlan) {
+        const segments = floorPlan.walls
+            .map(wall => [wall.start, wall.end])
+            .filter(([start, end]) => this.geometryEngine.calculateDistance(start, end) > this.config.roomSnapTolerance);
+
+        if (segments.length < 3) {
+            return [];
         }
+
+        if (segments.length > this.config.maxRoomSegments) {
+            this.warnings.push(`Room reconstruction skipped: ${segments.length} wall segments exceed ${this.config.maxRoomSegments}`);
+            return [];
+        }
+
+        const bridges = this.bridgeWallGaps(segments);
+        const graph = this.buildPlanarGraph([...segments, ...bridges]);
+        this.pruneDanglingEdges(graph);
+
+        const faces = this.extractGraphFaces(graph);
+        const interiors = faces.filter(face => face.signedArea > 0);
+        const islands = faces.filter(face => face.signedArea < 0);
+
+        const rooms = interiors.map(face => ({
+            face,
+            area: face.signedArea,
+            holes: []
+        }));
+
+        // Outer rings of other wall components (free-standing cores, columns) are holes
+        for (const island of islands) {
+            const container = rooms
+                .filter(room => room.face.component !== island.component &&
+                    room.area > -island.signedArea &&
+                    this.geometryEngine.pointInPolygon(island.points[0], room.face.points))
+                .sort((a, b) => a.area - b.area)[0];
+
+            if (container) {
+                container.holes.push(island.points);
+                container.area += island.signedArea;
+            }
+        }
+
+        const result = [];
+
+        for (const room of rooms) {
+            const perimeter = this.calculateRingLength(room.face.points) +
+                room.holes.reduce((sum, hole) => sum + this.calculateRingLength(hole), 0);
+
+            // Thin faces are the gaps between unpaired wall faces, not rooms
+            if (room.area < this.config.minRoomArea || 2 * room.area / perimeter < this.config.minRoomWidth) {
+                continue;
+            }
+
+            const labels = floorPlan.annotations
+                .filter(annotation => annotation.text &&
+                    this.geometryEngine.pointInPolygon(annotation.position, room.face.points) &&
+                    !room.holes.some(hole => this.geometryEngine.pointInPolygon(annotation.position, hole)))
+                .map(annotation => annotation.text.trim())
+                .filter(Boolean);
+
+            const xs = room.face.points.map(point => point[0]);
+            const ys = room.face.points.map(point => point[1]);
+            const precision = this.config.precision;
+
+            result.push({
+                id: this.generateId(),
+                name: labels[0] || null,
+                labels,
+                polygon: room.face.points,
+                holes: room.holes,
+                area: Number(room.area.toFixed(precision)),
+                perimeter: Number(perimeter.toFixed(precision)),
+                centroid: this.calculateAreaCentroid(room.face.points, room.holes),
+                bbox: {
+                    minX: Math.min(...xs),
+                    minY: Math.min(...ys),
+                    maxX: Math.max(...xs),
+                    maxY: Math.max(...ys)
+                }
+            });
+        }
+
+        this.statistics.roomsDetected = result.length;
+
+        return result;
     }
 
     /**
-     * Merge colinear walls
-     * @param {Array} walls - Wall array
-     * @returns {Array} Merged walls
+     * Create bridging segments for dangling wall ends: pairs of ends within
+     * the gap tolerance are joined (through their corner when the walls are
+     * not parallel), remaining ends are extended onto the wall ahead
+     * @param {Array} segments - Wall segments as [start, end]
+     * @returns {Array} Bridge segments
      */
-    mergeColinearWalls(walls) {
-        // Simple implementation - could be enhanced
-        return walls;
+    bridgeWallGaps(segments) {
+        const snap = this.config.roomSnapTolerance;
+        const gap = this.config.roomGapTolerance;
+        const dangling = [];
+
+        segments.forEach((segment, index) => {
+            [0, 1].forEach(end => {
+                const point = segment[end];
+                const other = segment[1 - end];
+                const connected = segments.some((candidate, candidateIndex) =>
+                    candidateIndex !== index && this.pointToSegmentDistance(point, candidate[0], candidate[1]) <= snap
+                );
+
+                if (!connected) {
+                    const length = this.geometryEngine.calculateDistance(point, other);
+                    dangling.push({
+                        point,
+                        index,
+                        outward: [(point[0] - other[0]) / length, (point[1] - other[1]) / length]
+                    });
+                }
+            });
+        });
+
+        const candidates = [];
+        for (let i = 0; i < dangling.length; i++) {
+            for (let j = i + 1; j < dangling.length; j++) {
+                const distance = this.geometryEngine.calculateDistance(dangling[i].point, dangling[j].point);
+                if (dangling[i].index !== dangling[j].index && distance <= gap) {
+                    candidates.push({ a: dangling[i], b: dangling[j], distance });
+                }
+            }
+        }
+
+        const bridges = [];
+        const used = new Set();
+
+        for (const { a, b } of candidates.sort((x, y) => x.distance - y.distance)) {
+            if (used.has(a) || used.has(b)) continue;
+            used.add(a);
+            used.add(b);
+            this.statistics.wallGapsBridged++;
+
+            const corner = this.intersectRays(a.point, a.outward, b.point, b.outward);
+            if (corner && corner.ta <= gap && corner.tb <= gap) {
+                bridges.push([a.point, corner.point], [corner.point, b.point]);
+            } else {
+                bridges.push([a.point, b.point]);
+            }
+        }
+
+        for (const end of dangling) {
+            if (used.has(end)) continue;
+
+            let best = null;
+            for (const segment of segments) {
+                const hit = this.intersectRaySegment(end.point, end.outward, segment[0], segment[1]);
+                if (hit && hit.t > snap && hit.t <= gap && (!best || hit.t < best.t)) {
+                    best = hit;
+                }
+            }
+
+            if (best) {
+                bridges.push([end.point, best.point]);
+                this.statistics.wallGapsBridged++;
+            }
+        }
+
+        return bridges.filter(([start, end]) => this.geometryEngine.calculateDistance(start, end) > snap);
     }
 
     /**
-     * Simplify zone polygons
-     * @param {Array} zones - Zone array
-     * @returns {Array} Simplified zones
+     * Intersect two rays that both point away from their origin
+     * @returns {Object|null} { point, ta, tb } or null when parallel/behind
      */
-    simplifyZones(zones) {
-        // Simple implementation - could be enhanced
-        return zones;
+    intersectRays(originA, directionA, originB, directionB) {
+        const cross = directionA[0] * directionB[1] - directionA[1] * directionB[0];
+        if (Math.abs(cross) < 1e-9) return null;
+
+        const dx = originB[0] - originA[0];
+        const dy = originB[1] - originA[1];
+        const ta = (dx * directionB[1] - dy * directionB[0]) / cross;
+        const tb = (dx * directionA[1] - dy * directionA[0]) / cross;
+
+        if (ta < 0 || tb < 0) return null;
+
+        return { point: [originA[0] + directionA[0] * ta, originA[1] + directionA[1] * ta], ta, tb };
+    }
+
+    /**
+     * Intersect a ray with a segment
+     * @returns {Object|null} { point, t } with t the distance along the ray
+     */
+    intersectRaySegment(origin, direction, start, end) {
+        const ex = end[0] - start[0];
+        const ey = end[1] - start[1];
+        const cross = direction[0] * ey - direction[1] * ex;
+        if (Math.abs(cross) < 1e-9) return null;
+
+        const dx = start[0] - origin[0];
+        const dy = start[1] - origin[1];
+        const t = (dx * ey - dy * ex) / cross;
+        const u = (dx * direction[1] - dy * direction[0]) / cross;
+
+        if (t < 0 || u < 0 || u > 1) return null;
+
+        return { point: [origin[0] + direction[0] * t, origin[1] + direction[1] * t], t };
+    }
+
+    /**
+     * Split segments at their intersections and merge nearby end points
+     * @param {Array} segments - Segments as [start, end]
+     * @returns {Object} Graph with nodes (points) and adjacency sets
+     */
+    buildPlanarGraph(segments) {
+        const snap = this.config.roomSnapTolerance;
+        const nodes = [];
+        const adjacency = [];
+        const grid = new Map();
+
+        const nodeFor = point => {
+            const cx = Math.floor(point[0] / snap);
+            const cy = Math.floor(point[1] / snap);
+
+            for (let ix = cx - 1; ix <= cx + 1; ix++) {
+                for (let iy = cy - 1; iy <= cy + 1; iy++) {
+                    for (const id of grid.get(`${ix},${iy}`) || []) {
+                        if (this.geometryEngine.calculateDistance(nodes[id], point) <= snap) {
+                            return id;
+                        }
+                    }
+                }
+            }
+
+            const id = nodes.length;
+            nodes.push(point);
+            adjacency.push(new Set());
+            const key = `${cx},${cy}`;
+            grid.set(key, [...(grid.get(key) || []), id]);
+            return id;
+        };
+
+        // Split parameters along each segment
+        const splits = segments.map(() => [0, 1]);
+
+        for (let i = 0; i < segments.length; i++) {
+            for (let j = i + 1; j < segments.length; j++) {
+                for (const [t, u] of this.segmentIntersections(segments[i], segments[j])) {
+                    splits[i].push(t);
+                    splits[j].push(u);
+                }
+            }
+        }
+
+        segments.forEach(([start, end], index) => {
+            const ids = [...new Set(splits[index])]
+                .sort((a, b) => a - b)
+                .map(t => nodeFor([start[0] + (end[0] - start[0]) * t, start[1] + (end[1] - start[1]) * t]));
+
+            for (let k = 1; k < ids.length; k++) {
+                if (ids[k] !== ids[k - 1]) {
+                    adjacency[ids[k - 1]].add(ids[k]);
+                    adjacency[ids[k]].add(ids[k - 1]);
+                }
+            }
+        });
+
+        return { nodes, adjacency };
+    }
+
+    /**
+     * Intersection parameters of two segments, including end points that
+     * touch the other segment within the snap tolerance (T-junctions)
+     * @returns {Array} Array of [t, u] parameter pairs
+     */
+    segmentIntersections([a1, a2], [b1, b2]) {
+        const snap = this.config.roomSnapTolerance;
+        const lengthA = this.geometryEngine.calculateDistance(a1, a2);
+        const lengthB = this.geometryEngine.calculateDistance(b1, b2);
+        const project = (point, start, end, length) =>
+            ((point[0] - start[0]) * (end[0] - start[0]) + (point[1] - start[1]) * (end[1] - start[1])) / (length * length);
+        const results = [];
+
+        // End points lying on the other segment
+        for (const [point, t] of [[a1, 0], [a2, 1]]) {
+            if (this.pointToSegmentDistance(point, b1, b2) <= snap) {
+                results.push([t, Math.max(0, Math.min(1, project(point, b1, b2, lengthB)))]);
+            }
+        }
+        for (const [point, u] of [[b1, 0], [b2, 1]]) {
+            if (this.pointToSegmentDistance(point, a1, a2) <= snap) {
+                results.push([Math.max(0, Math.min(1, project(point, a1, a2, lengthA))), u]);
+            }
+        }
+
+        // Proper crossing
+        const dax = a2[0] - a1[0], day = a2[1] - a1[1];
+        const dbx = b2[0] - b1[0], dby = b2[1] - b1[1];
+        const cross = dax * dby - day * dbx;
+
+        if (Math.abs(cross) > 1e-12) {
+            const t = ((b1[0] - a1[0]) * dby - (b1[1] - a1[1]) * dbx) / cross;
+            const u = ((b1[0] - a1[0]) * day - (b1[1] - a1[1]) * dax) / cross;
+            if (t > 0 && t < 1 && u > 0 && u < 1) {
+                results.push([t, u]);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Remove edges leading to dead-end nodes; they cannot bound a face
+     * @param {Object} graph - Planar graph (modified in place)
+     */
+    pruneDanglingEdges(graph) {
+        const queue = graph.adjacency
+            .map((neighbors, id) => (neighbors.size === 1 ? id : -1))
+            .filter(id => id >= 0);
+
+        while (queue.length > 0) {
+            const id = queue.pop();
+            for (const neighbor of graph.adjacency[id]) {
+                graph.adjacency[neighbor].delete(id);
+                if (graph.adjacency[neighbor].size === 1) {
+                    queue.push(neighbor);
+                }
+            }
+            graph.adjacency[id].clear();
+        }
+    }
+
+    /**
+     * Trace all faces of a planar graph. Bounded faces come out
+     * counter-clockwise (positive area), the outer ring of each connected
+     * component clockwise (negative area).
+     * @param {Object} graph - Planar graph
+     * @returns {Array} Faces with points, signedArea and component id
+     */
+    extractGraphFaces(graph) {
+        const { nodes, adjacency } = graph;
+        const angle = (from, to) => Math.atan2(nodes[to][1] - nodes[from][1], nodes[to][0] - nodes[from][0]);
+
+        // Neighbors sorted counter-clockwise
+        const sorted = adjacency.map((neighbors, id) =>
+            [...neighbors].sort((a, b) => angle(id, a) - angle(id, b))
+        );
+
+        // Connected components
+        const component = new Array(nodes.length).fill(-1);
+        let components = 0;
+        for (let start = 0; start < nodes.length; start++) {
+            if (component[start] !== -1 || sorted[start].length === 0) continue;
+
+            const stack = [start];
+            component[start] = components;
+            while (stack.length > 0) {
+                const id = stack.pop();
+                for (const neighbor of sorted[id]) {
+                    if (component[neighbor] === -1) {
+                        component[neighbor] = components;
+                        stack.push(neighbor);
+                    }
+                }
+            }
+            components++;
+        }
+
+        const visited = new Set();
+        const faces = [];
+
+        for (let u = 0; u < nodes.length; u++) {
+            for (const v of sorted[u]) {
+                if (visited.has(`${u}>${v}`)) continue;
+
+                const ring = [];
+                let from = u;
+                let to = v;
+
+                // Keep the face on the left: at each node turn to the next edge clockwise
+                while (!visited.has(`${from}>${to}`)) {
+                    visited.add(`${from}>${to}`);
+                    ring.push(from);
+
+                    const around = sorted[to];
+                    const index = around.indexOf(from);
+                    const next = around[(index - 1 + around.length) % around.length];
+                    from = to;
+                    to = next;
+                }
+
+                const points = ring.map(id => nodes[id]);
+                faces.push({
+                    points,
+                    signedArea: this.calculateSignedArea(points),
+                    component: component[u]
+                });
+            }
+        }
+
+        return faces;
+    }
+
+    /**
+     * Signed polygon area (positive for counter-clockwise rings)
+     * @param {Array} ring - Polygon points
+     * @returns {number} Signed area
+     */
+    calculateSignedArea(ring) {
+        let area = 0;
+        for (let i = 0; i < ring.length; i++) {
+            const [x1, y1] = ring[i];
+            const [x2, y2] = ring[(i + 1) % ring.length];
+            area += x1 * y2 - x2 * y1;
+        }
+        return area / 2;
+    }
+
+    /**
+     * Length of a closed ring
+     * @param {Array} ring - Polygon points
+     * @returns {number} Perimeter
+     */
+    calculateRingLength(ring) {
+        return ring.reduce((sum, point, index) =>
+            sum + this.geometryEngine.calculateDistance(point, ring[(index + 1) % ring.length]), 0);
+    }
+
+    /**
+     * Area-weighted centroid of a polygon with holes
+     * @param {Array} ring - Outer ring
+     * @param {Array} holes - Hole rings
+     * @returns {Array} Centroid [x, y]
+     */
+    calculateAreaCentroid(ring, holes = []) {
+        let area = 0, cx = 0, cy = 0;
+
+        for (const [index, points] of [ring, ...holes].entries()) {
+            // Holes contribute with opposite sign regardless of their winding
+            const sign = (index === 0 ? 1 : -1) * Math.sign(this.calculateSignedArea(points));
+
+            for (let i = 0; i < points.length; i++) {
+                const [x1, y1] = points[i];
+                const [x2, y2] = points[(i + 1) % points.length];
+                const cross = (x1 * y2 - x2 * y1) * sign;
+                area += cross;
+                cx += (x1 + x2) * cross;
+                cy += (y1 + y2) * cross;
+            }
+        }
+
+        if (Math.abs(area) < 1e-12) {
+            return this.geometryEngine.calculatePolygonCentroid(ring);
+        }
+
+        const precision = this.config.precision;
+        return [Number((cx / (3 * area)).toFixed(precision)), Number((cy / (3 * area)).toFixed(precision))];
     }
 
     /**
@@ -733,8 +3053,8 @@ class DxfProcessor {
         // Validate walls
         if (floorPlan.walls) {
             for (const wall of floorPlan.walls) {
-                if (!this.geometryEngine.isValidPoint(wall.start) || 
-                    !this.geometryEngine.isValidPoint(wall.end)) {
+                if (!this.geometryEngine.validatePoint(wall.start) || 
+                    !this.geometryEngine.validatePoint(wall.end)) {
                     this.parseErrors.push(`Invalid wall geometry: ${wall.id}`);
                 }
             }
@@ -743,7 +3063,7 @@ class DxfProcessor {
         // Validate zones
         if (floorPlan.redZones) {
             for (const zone of floorPlan.redZones) {
-                if (!this.geometryEngine.isValidPolygon(zone.polygon)) {
+                if (!this.geometryEngine.validatePolygon(zone.polygon)) {
                     this.parseErrors.push(`Invalid red zone geometry: ${zone.id}`);
                 }
             }
@@ -751,7 +3071,7 @@ class DxfProcessor {
         
         if (floorPlan.blueZones) {
             for (const zone of floorPlan.blueZones) {
-                if (!this.geometryEngine.isValidPolygon(zone.polygon)) {
+                if (!this.geometryEngine.validatePolygon(zone.polygon)) {
                     this.parseErrors.push(`Invalid blue zone geometry: ${zone.id}`);
                 }
             }
@@ -762,13 +3082,21 @@ class DxfProcessor {
      * Reset processing statistics
      */
     resetStatistics() {
+        this.colorDecisions = new Map();
         this.parseErrors = [];
         this.warnings = [];
         this.statistics = {
             entitiesProcessed: 0,
             entitiesSkipped: 0,
             layersFound: 0,
-            geometryCreated: 0
+            geometryCreated: 0,
+            wallSegmentsMerged: 0,
+            wallPairsDetected: 0,
+            blocksExpanded: 0,
+            blockEntitiesCreated: 0,
+            colorClassified: 0,
+            roomsDetected: 0,
+            wallGapsBridged: 0
         };
     }
 
@@ -808,4 +3136,177 @@ class DxfProcessor {
     }
 }
 
+/**
+ * HATCH entity handler for dxf-parser (not supported out of the box).
+ * Boundary paths are read structurally because group codes 10/20 are
+ * reused for the elevation point, boundary data and seed points.
+ */
+class HatchEntityHandler {
+    constructor() {
+        this.ForEntityName = 'HATCH';
+    }
+
+    parseEntity(scanner, curr) {
+        const entity = { type: curr.value, boundaryLoops: [] };
+        curr = scanner.next();
+
+        while (!scanner.isEOF() && curr.code !== 0) {
+            switch (curr.code) {
+                case 2:
+                    entity.patternName = curr.value;
+                    break;
+                case 5:
+                    entity.handle = curr.value;
+                    break;
+                case 6:
+                    entity.lineType = curr.value;
+                    break;
+                case 8:
+                    entity.layer = curr.value;
+                    break;
+                case 62:
+                    entity.colorIndex = curr.value;
+                    break;
+                case 70:
+                    entity.solidFill = curr.value === 1;
+                    break;
+                case 91:
+                    for (let i = 0; i < curr.value; i++) {
+                        entity.boundaryLoops.push(this.parseLoop(scanner));
+                    }
+                    break;
+                case 420:
+                    entity.color = curr.value;
+                    break;
+                default:
+                    break;
+            }
+            curr = scanner.next();
+        }
+
+        return entity;
+    }
+
+    parseLoop(scanner) {
+        const flags = this.read(scanner, 92) || 0;
+        const loop = { flags, external: (flags & 1) === 1 || (flags & 16) === 16 };
+
+        if (flags & 2) {
+            const hasBulge = this.read(scanner, 72) === 1;
+            loop.type = 'polyline';
+            loop.closed = this.read(scanner, 73) !== 0;
+            loop.vertices = [];
+
+            const count = this.read(scanner, 93) || 0;
+            for (let i = 0; i < count; i++) {
+                const vertex = this.readPoint(scanner, 10);
+                if (hasBulge) {
+                    vertex.bulge = this.read(scanner, 42) || 0;
+                }
+                loop.vertices.push(vertex);
+            }
+        } else {
+            loop.type = 'edges';
+            loop.edges = [];
+
+            const count = this.read(scanner, 93) || 0;
+            for (let i = 0; i < count; i++) {
+                loop.edges.push(this.parseEdge(scanner, this.read(scanner, 72)));
+            }
+        }
+
+        // Handles of the source boundary objects
+        const sources = this.read(scanner, 97) || 0;
+        for (let i = 0; i < sources; i++) {
+            this.read(scanner, 330);
+        }
+
+        return loop;
+    }
+
+    parseEdge(scanner, edgeType) {
+        switch (edgeType) {
+            case 1:
+                return { type: 'line', start: this.readPoint(scanner, 10), end: this.readPoint(scanner, 11) };
+            case 2:
+                return {
+                    type: 'arc',
+                    center: this.readPoint(scanner, 10),
+                    radius: this.read(scanner, 40),
+                    startAngle: this.read(scanner, 50),
+                    endAngle: this.read(scanner, 51),
+                    counterClockwise: this.read(scanner, 73) !== 0
+                };
+            case 3:
+                return {
+                    type: 'ellipse',
+                    center: this.readPoint(scanner, 10),
+                    majorAxisEndPoint: this.readPoint(scanner, 11),
+                    axisRatio: this.read(scanner, 40),
+                    startAngle: this.read(scanner, 50),
+                    endAngle: this.read(scanner, 51),
+                    counterClockwise: this.read(scanner, 73) !== 0
+                };
+            case 4: {
+                const edge = { type: 'spline', degree: this.read(scanner, 94) };
+                const rational = this.read(scanner, 73) === 1;
+                edge.periodic = this.read(scanner, 74) === 1;
+
+                const knotCount = this.read(scanner, 95) || 0;
+                const controlCount = this.read(scanner, 96) || 0;
+                edge.knotValues = [];
+                for (let i = 0; i < knotCount; i++) {
+                    edge.knotValues.push(this.read(scanner, 40));
+                }
+
+                edge.controlPoints = [];
+                for (let i = 0; i < controlCount; i++) {
+                    const point = this.readPoint(scanner, 10);
+                    if (rational) {
+                        point.weight = this.read(scanner, 42) ?? 1;
+                    }
+                    edge.controlPoints.push(point);
+                }
+
+                const fitCount = this.read(scanner, 97) || 0;
+                edge.fitPoints = [];
+                for (let i = 0; i < fitCount; i++) {
+                    edge.fitPoints.push(this.readPoint(scanner, 11));
+                }
+
+                // Optional start/end tangents
+                if (this.readPoint(scanner, 12, true)) {
+                    this.readPoint(scanner, 13, true);
+                }
+                return edge;
+            }
+            default:
+                throw new Error(`Unknown HATCH edge type: ${edgeType}`);
+        }
+    }
+
+    /**
+     * Read the next group if it has the expected code, otherwise leave it
+     */
+    read(scanner, code) {
+        const group = scanner.next();
+        if (group.code !== code) {
+            scanner.rewind();
+            return null;
+        }
+        return group.value;
+    }
+
+    readPoint(scanner, code, optional = false) {
+        const x = this.read(scanner, code);
+        if (x === null) {
+            if (optional) {
+                return null;
+            }
+            throw new Error(`Expected HATCH point group ${code}`);
+        }
+        return { x, y: this.read(scanner, code + 10) || 0 };
+    }
+}
+
 module.exports = DxfProcessor;
\ No newline at end of file
@@ -304,6 +304,288 @@ class ProductionGeometryEngine {
         ]];
     }
 
+    /**
+     * POLYGONAL REGIONS
+     *
+     * A region is a list of polygons with holes: [[outer, hole, ...], ...]
+     */
+
+    /**
+     * Subtract polygons from a region, keeping holes and split parts
+     * @param {Array} region - Region to subtract from
+     * @param {Array} clips - Polygons to subtract (may overlap each other)
+     * @returns {Array} Resulting region
+     */
+    differencePolygons(region, clips) {
+        const startTime = performance.now();
+
+        try {
+            const subject = region
+                .map(rings => rings.filter(ring => this.validatePolygon(ring)))
+                .filter(rings => rings.length > 0);
+            const validClips = clips.filter(clip => this.validatePolygon(clip));
+            if (subject.length === 0 || validClips.length === 0) return subject;
+
+            let result;
+
+            if (clipper) {
+                result = this.differencePolygonsWithClipper(subject, validClips);
+            } else if (martinez) {
+                result = this.differencePolygonsWithMartinez(subject, validClips);
+            } else {
+                result = subject;
+            }
+
+            this.stats.operationCount++;
+            this.stats.totalTime += performance.now() - startTime;
+
+            this.log('Difference operation completed', {
+                clips: validClips.length,
+                outputPolygons: result.length,
+                method: clipper ? 'clipper' : (martinez ? 'martinez' : 'none')
+            });
+
+            return result;
+
+        } catch (error) {
+            this.stats.errorCount++;
+            this.logError('Difference operation failed', error);
+            return region;
+        }
+    }
+
+    differencePolygonsWithClipper(region, clips) {
+        const orient = ring => {
+            const path = this.scalePolygonForClipper(ring);
+            return clipper.Clipper.Orientation(path) ? path : path.reverse();
+        };
+
+        const engine = new clipper.Clipper();
+        // Even-odd on the subject keeps its holes; consistently oriented clips union under non-zero
+        engine.AddPaths(region.flat().map(ring => this.scalePolygonForClipper(ring)), clipper.PolyType.ptSubject, true);
+        engine.AddPaths(clips.map(orient), clipper.PolyType.ptClip, true);
+
+        const tree = new clipper.PolyTree();
+        engine.Execute(clipper.ClipType.ctDifference, tree, clipper.PolyFillType.pftEvenOdd, clipper.PolyFillType.pftNonZero);
+
+        return this.regionFromPolyTree(tree);
+    }
+
+    /**
+     * Convert a Clipper PolyTree to a region, keeping ring orientations
+     * @param {Object} tree - Clipper PolyTree
+     * @returns {Array} Region
+     */
+    regionFromPolyTree(tree) {
+        const toRing = node => this.scalePolygonFromClipper(node.Contour().map(pt => [pt.X, pt.Y]));
+        const result = [];
+        const collect = parent => {
+            for (const outer of parent.Childs()) {
+                result.push([toRing(outer), ...outer.Childs().map(toRing)]);
+                // Islands inside holes are outer polygons again
+                outer.Childs().forEach(collect);
+            }
+        };
+        collect(tree);
+
+        return result.filter(rings => this.calculatePolygonArea(rings[0]) > this.tolerance);
+    }
+
+    /**
+     * Union regions into non-overlapping polygons with holes
+     * Rings are filled by winding number, so holes must be oriented against
+     * their outer ring (as returned by the Clipper-based operations)
+     * @param {Array} regions - Regions to merge
+     * @returns {Array} Merged region
+     */
+    unionRegions(regions) {
+        const startTime = performance.now();
+
+        try {
+            const rings = regions.flat(2).filter(ring => this.validatePolygon(ring));
+            if (rings.length === 0) return [];
+            if (!clipper) return regions.flat();
+
+            const engine = new clipper.Clipper();
+            engine.AddPaths(rings.map(ring => this.scalePolygonForClipper(ring)), clipper.PolyType.ptSubject, true);
+
+            const tree = new clipper.PolyTree();
+            engine.Execute(clipper.ClipType.ctUnion, tree, clipper.PolyFillType.pftNonZero, clipper.PolyFillType.pftNonZero);
+            const result = this.regionFromPolyTree(tree);
+
+            this.stats.operationCount++;
+            this.stats.totalTime += performance.now() - startTime;
+
+            this.log('Region union completed', { inputRings: rings.length, outputPolygons: result.length });
+            return result;
+
+        } catch (error) {
+            this.stats.errorCount++;
+            this.logError('Region union failed', error);
+            return regions.flat();
+        }
+    }
+
+    /**
+     * Buffer an open polyline, such as a corridor centerline, into a region
+     * @param {Array} path - Polyline points
+     * @param {number} distance - Offset on each side
+     * @param {Object} options - joinType ('miter' | 'round' | 'square'),
+     *   endType ('butt' | 'round' | 'square'), miterLimit, arcTolerance (m)
+     * @returns {Array} Region [[outer, hole, ...], ...]
+     */
+    bufferPolyline(path, distance, options = {}) {
+        const startTime = performance.now();
+        const points = (path || []).filter(point => this.validatePoint(point));
+
+        try {
+            if (points.length < 2 || !(distance > 0)) return [];
+
+            const result = clipper
+                ? this.bufferPolylineWithClipper(points, distance, options)
+                : this.bufferPolylineFallback(points, distance);
+
+            this.stats.operationCount++;
+            this.stats.totalTime += performance.now() - startTime;
+
+            this.log('Polyline buffered', {
+                vertices: points.length,
+                distance,
+                resultPolygons: result.length,
+                method: clipper ? 'clipper' : 'fallback'
+            });
+
+            return result;
+
+        } catch (error) {
+            this.stats.errorCount++;
+            this.logError('Polyline buffering failed', error);
+            return this.bufferPolylineFallback(points, distance);
+        }
+    }
+
+    bufferPolylineWithClipper(path, distance, options) {
+        const joinTypes = { miter: clipper.JoinType.jtMiter, round: clipper.JoinType.jtRound, square: clipper.JoinType.jtSquare };
+        const endTypes = { butt: clipper.EndType.etOpenButt, round: clipper.EndType.etOpenRound, square: clipper.EndType.etOpenSquare };
+
+        const offset = new clipper.ClipperOffset(options.miterLimit || 2, (options.arcTolerance || 0.01) * this.scaleFactor);
+        offset.AddPath(this.scalePolygonForClipper(path),
+            joinTypes[options.joinType] ?? clipper.JoinType.jtMiter,
+            endTypes[options.endType] ?? clipper.EndType.etOpenButt);
+
+        const tree = new clipper.PolyTree();
+        offset.Execute(tree, distance * this.scaleFactor);
+
+        return this.regionFromPolyTree(tree);
+    }
+
+    bufferPolylineFallback(path, distance) {
+        // One rectangle per segment; overlaps at bends are left in place
+        const region = [];
+
+        for (let i = 1; i < path.length; i++) {
+            const [start, end] = [path[i - 1], path[i]];
+            const length = this.calculateDistance(start, end);
+            if (length === 0) continue;
+
+            const nx = -(end[1] - start[1]) / length * distance;
+            const ny = (end[0] - start[0]) / length * distance;
+            region.push([[
+                [start[0] + nx, start[1] + ny],
+                [end[0] + nx, end[1] + ny],
+                [end[0] - nx, end[1] - ny],
+                [start[0] - nx, start[1] - ny]
+            ]]);
+        }
+
+        return region;
+    }
+
+    differencePolygonsWithMartinez(region, clips) {
+        // Martinez works on closed rings (first point repeated at the end)
+        const close = ring => [...ring.map(point => [point[0], point[1]]), [ring[0][0], ring[0][1]]];
+        let result = region.map(rings => rings.map(close));
+
+        for (const clip of clips) {
+            result = martinez.diff(result, [close(clip)]) || [];
+        }
+
+        return result.map(rings => rings.map(ring => ring.slice(0, -1)));
+    }
+
+    /**
+     * Whether a point lies inside a region (inside an outer ring, outside its holes)
+     * @param {Array} point - Point
+     * @param {Array} region - Region
+     * @returns {boolean}
+     */
+    pointInRegion(point, region) {
+        return region.some(([outer, ...holes]) =>
+            this.pointInPolygon(point, outer) && !holes.some(hole => this.pointInPolygon(point, hole)));
+    }
+
+    /**
+     * Whether a polygon lies entirely inside a region; touching the region
+     * boundary counts as inside
+     * @param {Array} polygon - Polygon
+     * @param {Array} region - Region
+     * @returns {boolean}
+     */
+    regionContainsPolygon(region, polygon) {
+        if (!this.validatePolygon(polygon)) return false;
+
+        // Pull the vertices inwards by the tolerance so edges flush with the boundary pass
+        const center = this.calculatePolygonCentroid(polygon);
+        const inset = polygon.map(([x, y]) => {
+            const length = Math.hypot(x - center[0], y - center[1]) || 1;
+            return [x - (x - center[0]) / length * this.tolerance, y - (y - center[1]) / length * this.tolerance];
+        });
+
+        return region.some(rings =>
+            this.pointInRegion(inset[0], [rings]) &&
+            !rings.some(ring => this.polygonEdgesCross(inset, ring)) &&
+            // A hole smaller than the polygon has no crossing edges but must still be excluded
+            !rings.slice(1).some(hole => this.pointInPolygon(hole[0], inset)));
+    }
+
+    /**
+     * Whether any edges of two polygons properly cross (touching does not count)
+     * @param {Array} poly1 - First polygon
+     * @param {Array} poly2 - Second polygon
+     * @returns {boolean}
+     */
+    polygonEdgesCross(poly1, poly2) {
+        const side = (p, q, r) => {
+            const value = (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+            return Math.abs(value) < this.tolerance * this.tolerance ? 0 : Math.sign(value);
+        };
+
+        for (let i = 0; i < poly1.length; i++) {
+            const a = poly1[i];
+            const b = poly1[(i + 1) % poly1.length];
+
+            for (let j = 0; j < poly2.length; j++) {
+                const c = poly2[j];
+                const d = poly2[(j + 1) % poly2.length];
+
+                if (side(a, b, c) * side(a, b, d) < 0 && side(c, d, a) * side(c, d, b) < 0) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Area of a region (outer rings minus holes)
+     * @param {Array} region - Region
+     * @returns {number} Area
+     */
+    calculateRegionArea(region) {
+        return region.reduce((sum, [outer, ...holes]) =>
+            sum + this.calculatePolygonArea(outer) - holes.reduce((holeSum, hole) => holeSum + this.calculatePolygonArea(hole), 0), 0);
+    }
+
     /**
      * ENHANCED COLLISION DETECTION
      */
@@ -421,6 +703,40 @@ class ProductionGeometryEngine {
         return false;
     }
 
+    /**
+     * Shortest distance between two polygons, 0 when they overlap
+     * @param {Array} poly1 - First polygon
+     * @param {Array} poly2 - Second polygon
+     * @returns {number} Distance
+     */
+    polygonDistance(poly1, poly2) {
+        if (this.polygonsCollide(poly1, poly2)) {
+            return 0;
+        }
+
+        let minDistance = Infinity;
+        for (const [from, to] of [[poly1, poly2], [poly2, poly1]]) {
+            for (const vertex of from) {
+                for (let i = 0; i < to.length; i++) {
+                    const distance = this.pointToSegmentDistance(vertex, to[i], to[(i + 1) % to.length]);
+                    minDistance = Math.min(minDistance, distance);
+                }
+            }
+        }
+        return minDistance;
+    }
+
+    pointToSegmentDistance(point, segmentStart, segmentEnd) {
+        const dx = segmentEnd[0] - segmentStart[0];
+        const dy = segmentEnd[1] - segmentStart[1];
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, ((point[0] - segmentStart[0]) * dx + (point[1] - segmentStart[1]) * dy) / lengthSquared))
+            : 0;
+
+        return Math.hypot(point[0] - segmentStart[0] - t * dx, point[1] - segmentStart[1] - t * dy);
+    }
+
     /**
      * ENHANCED SPATIAL OPERATIONS
      */
@@ -35,6 +35,9 @@ try {
                 this.items.push(item);
             }
         }
+        remove(item) {
+            this.items = this.items.filter(existing => existing !== item);
+        }
         search(bbox) {
             if (!bbox || typeof bbox !== 'object') return [];
             return this.items.filter(item => {
@@ -53,6 +56,10 @@ try {
     };
 }
 
+const LayoutAnnealer = require('./layout-annealer');
+const SeededRandom = require('./seeded-random');
+const { AdjacencyRules } = require('./adjacency-rules');
+
 try {
     const GeometryEngineClass = require('./geometry-engine');
     GeometryEngine = GeometryEngineClass;
@@ -80,6 +87,53 @@ try {
     };
 }
 
+// Variants generated by generateAlternativeLayouts; options derive from the base configuration
+const LAYOUT_VARIANTS = {
+    dense: {
+        label: 'Dense',
+        description: 'Maximum îlot count with tight spacing',
+        options: config => ({
+            coverage: Math.min(config.coverage * 1.5, 0.6),
+            minIlotDistance: Math.max(config.minIlotDistance * 0.6, 0.5),
+            optimizationWeights: { coverage: 0.7, accessibility: 0.15, workflow: 0.15 }
+        })
+    },
+    balanced: {
+        label: 'Balanced',
+        description: 'Configured coverage and spacing',
+        options: () => ({})
+    },
+    comfortable: {
+        label: 'Comfortable',
+        description: 'Fewer îlots with generous circulation space',
+        options: config => ({
+            coverage: config.coverage * 0.7,
+            minIlotDistance: config.minIlotDistance * 1.5,
+            optimizationWeights: { coverage: 0.2, accessibility: 0.4, workflow: 0.4 }
+        })
+    },
+    grid: {
+        label: 'Regular grid',
+        description: 'Îlots in aligned rows and columns',
+        options: () => ({ placementStrategy: 'grid', allowRotation: false, optimize: false })
+    },
+    wallAligned: {
+        label: 'Wall aligned',
+        description: 'Îlots turned parallel to the nearest walls',
+        options: () => ({ alignToWalls: true })
+    }
+};
+
+// Rejection reason reported by the diagnostics for each restricted zone type
+const ZONE_REJECTION_REASONS = {
+    wall_buffer: 'wall_clearance',
+    door_clearance: 'door_clearance',
+    entrance_clearance: 'door_clearance',
+    window_clearance: 'window_clearance',
+    forbidden_zone: 'blue_zone',
+    column_clearance: 'column_clearance'
+};
+
 class IlotPlacementEngine {
     constructor(options = {}) {
         // Ensure options is always an object
@@ -105,6 +159,7 @@ class IlotPlacementEngine {
         }
 
         // Placement configuration with comprehensive defaults
+        this.options = safeOptions;
         this.config = this.createSafeConfig(safeOptions);
 
         // State variables with safe initialization
@@ -112,7 +167,16 @@ class IlotPlacementEngine {
         this.placedIlots = [];
         this.restrictedZones = [];
         this.allowedZones = [];
+        this.allowedRegion = null;
+        this.allowedArea = null;
         this.placementGrid = null;
+        this.sizeTargets = null;
+        this.indexEntries = new Map();
+        this.optimizationResult = null;
+        this.adjacencyRules = null;
+        this.adjacencyFeatures = null;
+        this.diagnostics = null;
+        this.random = new SeededRandom(this.config.seed);
         this.placementStats = this.createDefaultStats();
 
         this.log('IlotPlacementEngine initialized', this.config);
@@ -127,6 +191,7 @@ class IlotPlacementEngine {
             minWallDistance: this.getSafeNumber(options.minWallDistance, 0.5),
             minIlotDistance: this.getSafeNumber(options.minIlotDistance, 2.0),
             minDoorClearance: this.getSafeNumber(options.minDoorClearance, 1.5),
+            columnClearance: this.getSafeNumber(options.columnClearance, 0.5),
             maxWallDistance: this.getSafeNumber(options.maxWallDistance, 5.0),
 
             // Îlot dimensions with validation
@@ -142,6 +207,15 @@ class IlotPlacementEngine {
                 width: this.getSafeNumber(options.maxIlotWidth, 4.0),
                 height: this.getSafeNumber(options.maxIlotHeight, 3.0)
             },
+            // Target share of îlots per area band (see normalizeSizeDistribution)
+            sizeDistribution: null,
+
+            // Relationships between îlot types and features (see AdjacencyRules)
+            adjacencyRules: null,
+
+            // Orientation candidates: 90° turns, and the angles of nearby walls
+            allowRotation: options.allowRotation !== false,
+            alignToWalls: Boolean(options.alignToWalls),
 
             // Placement algorithm parameters
             maxIterations: this.getSafeNumber(options.maxIterations, 1000),
@@ -157,14 +231,33 @@ class IlotPlacementEngine {
                 workflow: this.getSafeNumber(options.workflowWeight, 0.3)
             },
 
+            // Improvement phase after the initial placement (see optimizePlacement).
+            // The iteration budget drives the cooling schedule, so results only
+            // depend on the seed; timeoutMs below is a safety cutoff
+            optimize: options.optimize !== false,
+            optimizationIterations: this.getSafeNumber(options.optimizationIterations, 150),
+            optimizationWeights: {
+                coverage: this.getSafeNumber(options.optimizationWeights?.coverage, 0.4),
+                accessibility: this.getSafeNumber(options.optimizationWeights?.accessibility, 0.3),
+                workflow: this.getSafeNumber(options.optimizationWeights?.workflow, 0.3),
+                // Only used when adjacency rules are configured
+                adjacency: this.getSafeNumber(options.optimizationWeights?.adjacency, 0.3)
+            },
+
             // Performance limits
             maxPlacementAttempts: this.getSafeNumber(options.maxAttempts, 1000),
             timeoutMs: this.getSafeNumber(options.timeoutMs, 30000),
 
+            // Seed of the random number generator; runs with the same seed are reproducible
+            seed: options.seed,
+
             // Debug and validation flags
             debugMode: Boolean(options.debugMode),
             strictValidation: Boolean(options.strictValidation),
 
+            // Record why candidate positions are rejected (see getDiagnostics)
+            diagnostics: Boolean(options.diagnostics),
+
             // Apply any additional options safely
             ...this.sanitizeOptions(options)
         };
@@ -183,16 +276,94 @@ class IlotPlacementEngine {
         const sanitized = {};
         if (options && typeof options === 'object') {
             // Only copy safe, known properties
-            const safeProperties = ['ilotTypes', 'sizingStrategy'];
+            const safeProperties = ['ilotTypes', 'sizingStrategy', 'allowRotation', 'alignToWalls', 'seed', 'diagnostics'];
             safeProperties.forEach(prop => {
                 if (options.hasOwnProperty(prop)) {
                     sanitized[prop] = options[prop];
                 }
             });
+
+            if (options.sizeDistribution) {
+                sanitized.sizeDistribution = this.normalizeSizeDistribution(options.sizeDistribution);
+            }
+
+            if (options.adjacencyRules) {
+                sanitized.adjacencyRules = this.normalizeAdjacencyRules(options.adjacencyRules);
+            }
         }
         return sanitized;
     }
 
+    /**
+     * Check adjacency rules, logging invalid ones
+     * Invalid rules stay in the list so that rule ids keep following the input
+     * positions; AdjacencyRules reports them back with their error
+     * @param {Array} rules - Rule definitions (see AdjacencyRules)
+     * @returns {Array|null} Rules, or null when none are given
+     */
+    normalizeAdjacencyRules(rules) {
+        const list = Array.isArray(rules) ? rules : [];
+
+        list.forEach((rule, index) => {
+            try {
+                AdjacencyRules.validateRule(rule, index);
+            } catch (error) {
+                this.log('Warning: Ignoring invalid adjacency rule', { rule, error: error.message });
+            }
+        });
+
+        return list.length > 0 ? list : null;
+    }
+
+    /**
+     * Normalize a size distribution to area bands with shares summing to 1
+     * Accepts [{ minArea, maxArea, share }] or { '0-1': 10, '1-3': 25, ... }
+     * (areas in m², shares as fractions or percentages)
+     * @param {Array|Object} distribution - Size distribution
+     * @returns {Array|null} Bands sorted by area, or null when none are valid
+     */
+    normalizeSizeDistribution(distribution) {
+        try {
+            const entries = Array.isArray(distribution)
+                ? distribution
+                : Object.entries(distribution || {}).map(([range, share]) => {
+                    const [minArea, maxArea] = String(range).split('-').map(Number);
+                    return { minArea, maxArea, share };
+                });
+
+            const bands = entries
+                .map(entry => ({
+                    minArea: Number(entry?.minArea),
+                    maxArea: Number(entry?.maxArea),
+                    share: Number(entry?.share)
+                }))
+                .filter(band => {
+                    const valid = this.isValidNumber(band.maxArea) && this.isValidNumber(band.share) &&
+                        band.minArea >= 0 && band.maxArea > band.minArea;
+                    if (!valid) {
+                        this.log('Warning: Ignoring invalid size band', band);
+                    }
+                    return valid;
+                })
+                .sort((a, b) => a.minArea - b.minArea);
+
+            const totalShare = bands.reduce((sum, band) => sum + band.share, 0);
+            if (bands.length === 0 || totalShare <= 0) {
+                return null;
+            }
+
+            return bands.map(band => ({
+                label: `${band.minArea}-${band.maxArea} m²`,
+                minArea: band.minArea,
+                maxArea: band.maxArea,
+                share: band.share / totalShare
+            }));
+        } catch (error) {
+            this.logError('Invalid size distribution', error);
+            return null;
+        }
+    }
+
     createDefaultStats() {
         return {
             totalAttempts: 0,
@@ -221,6 +392,9 @@ class IlotPlacementEngine {
             // Initialize state with enhanced validation
             this.floorPlan = this.validateAndSanitizeFloorPlan(floorPlan);
             this.placedIlots = [];
+            this.sizeTargets = null;
+            this.indexEntries = new Map();
+            this.optimizationResult = null;
 
             // Safe spatial index clear
             try {
@@ -235,6 +409,18 @@ class IlotPlacementEngine {
             // Merge options with config safely
             const placementConfig = this.mergeConfigs(this.config, options);
 
+            // Restart the generator so a given seed always replays the same run
+            this.random = new SeededRandom(placementConfig.seed ?? this.config.seed);
+
+            this.adjacencyRules = placementConfig.adjacencyRules
+                ? new AdjacencyRules(placementConfig.adjacencyRules, { geometryEngine: this.geometryEngine })
+                : null;
+            this.adjacencyFeatures = null;
+            this.diagnostics = placementConfig.diagnostics ? { cells: new Map(), totals: {} } : null;
+
+            // Locked îlots stay where the designer put them; placement fills the remaining space
+            this.placeLockedIlots(options.existingIlots);
+
             // Execute placement workflow with comprehensive error handling
             await this.executeCompleteWorkflow(placementConfig);
 
@@ -265,12 +451,17 @@ class IlotPlacementEngine {
         const sanitized = {
             walls: this.ensureValidArray(floorPlan.walls),
             doors: this.ensureValidArray(floorPlan.doors),
+            // Entrances as imported from DXF symbols
+            entrances: this.ensureValidArray(floorPlan.entrances),
             windows: this.ensureValidArray(floorPlan.windows),
             restrictedAreas: this.ensureValidArray(floorPlan.restrictedAreas),
             redZones: this.ensureValidArray(floorPlan.redZones),
             blueZones: this.ensureValidArray(floorPlan.blueZones),
             bounds: this.validateBounds(floorPlan.bounds),
-            boundary: floorPlan.boundary || null
+            boundary: floorPlan.boundary || null,
+            boundaryHoles: this.ensureValidArray(floorPlan.boundaryHoles),
+            // Structural obstacles; manually drawn ones may come as obstacles
+            columns: [...this.ensureValidArray(floorPlan.columns), ...this.ensureValidArray(floorPlan.obstacles)]
         };
 
         return sanitized;
@@ -280,12 +471,15 @@ class IlotPlacementEngine {
         return {
             walls: [],
             doors: [],
+            entrances: [],
             windows: [],
             restrictedAreas: [],
             redZones: [],
             blueZones: [],
             bounds: { minX: 0, minY: 0, maxX: 20, maxY: 15 },
-            boundary: null
+            boundary: null,
+            boundaryHoles: [],
+            columns: []
         };
     }
 
@@ -331,13 +525,13 @@ class IlotPlacementEngine {
         await this.safeExecute('createPlacementGrid', []);
 
         // Step 3: Calculate îlot requirements
-        const ilotRequirements = this.safeExecute('calculateIlotRequirements', [placementConfig]);
+        const ilotRequirements = await this.safeExecute('calculateIlotRequirements', [placementConfig]);
 
         // Step 4: Execute placement strategy
         await this.safeExecute('executePlacementStrategy', [ilotRequirements, placementConfig]);
 
         // Step 5: Optimize placement
-        await this.safeExecute('optimizePlacement', []);
+        await this.safeExecute('optimizePlacement', [placementConfig]);
 
         // Step 6: Validate placement
         const validation = await this.safeExecute('validatePlacement', []);
@@ -374,11 +568,14 @@ class IlotPlacementEngine {
             // Initialize arrays safely
             this.restrictedZones = [];
             this.allowedZones = [];
+            this.allowedRegion = null;
+            this.allowedArea = null;
 
             // Extract constraints with error handling
             this.safeExtractWallConstraints();
             this.safeExtractOpeningConstraints();
             this.safeExtractZoneConstraints();
+            this.safeExtractColumnConstraints();
             this.safeCalculateAllowedZones();
             this.safeIndexConstraints();
 
@@ -402,12 +599,15 @@ class IlotPlacementEngine {
             for (const wall of walls) {
                 try {
                     if (this.isValidWall(wall)) {
-                        const wallPolygon = this.createWallPolygon(wall);
-                        const bufferedWall = this.geometryEngine.offsetPolygon(wallPolygon, this.config.minWallDistance);
+                        // Wall footprint (measured thickness) grown by the wall clearance
+                        const bufferedWall = this.createWallPolygon(wall, this.config.minWallDistance);
+                        const [start, end] = wall.start ? [wall.start, wall.end] : [[wall.x1, wall.y1], [wall.x2, wall.y2]];
+                        const angle = Math.atan2(end[1] - start[1], end[0] - start[0]) * 180 / Math.PI;
 
                         this.restrictedZones.push({
                             type: 'wall_buffer',
                             polygon: bufferedWall,
+                            angle: ((angle % 180) + 180) % 180,
                             constraint: 'hard',
                             priority: 1.0
                         });
@@ -480,28 +680,35 @@ class IlotPlacementEngine {
 
     safeExtractZoneConstraints() {
         try {
-            // Process red zones (forbidden areas)
+            // Process red zones (entrances) with the door clearance around them
             const redZones = this.floorPlan?.redZones || [];
             for (const redZone of redZones) {
                 if (this.isValidZone(redZone)) {
-                    this.restrictedZones.push({
-                        type: 'forbidden_zone',
-                        polygon: redZone.polygon || redZone,
-                        constraint: 'hard',
-                        priority: 1.0
-                    });
+                    const polygon = redZone.polygon || redZone;
+                    const buffered = this.geometryEngine.bufferPolygon
+                        ? this.geometryEngine.bufferPolygon(polygon, this.config.minDoorClearance)
+                        : [polygon];
+
+                    for (const clearance of buffered.length > 0 ? buffered : [polygon]) {
+                        this.restrictedZones.push({
+                            type: 'entrance_clearance',
+                            polygon: clearance,
+                            constraint: 'hard',
+                            priority: 1.0
+                        });
+                    }
                 }
             }
 
-            // Process blue zones (preferred areas)
+            // Process blue zones (forbidden areas: stairs, shafts, elevators)
             const blueZones = this.floorPlan?.blueZones || [];
             for (const blueZone of blueZones) {
                 if (this.isValidZone(blueZone)) {
-                    this.allowedZones.push({
-                        type: 'preferred_zone',
+                    this.restrictedZones.push({
+                        type: 'forbidden_zone',
                         polygon: blueZone.polygon || blueZone,
-                        priority: 1.5,
-                        bonus: 0.3
+                        constraint: 'hard',
+                        priority: 1.0
                     });
                 }
             }
@@ -510,6 +717,55 @@ class IlotPlacementEngine {
         }
     }
 
+    safeExtractColumnConstraints() {
+        try {
+            // Columns, cores and shafts, grown by the column clearance
+            for (const column of this.floorPlan?.columns || []) {
+                try {
+                    const polygon = this.getColumnPolygon(column);
+                    if (!polygon) continue;
+
+                    const buffered = this.config.columnClearance > 0 && this.geometryEngine.bufferPolygon
+                        ? this.geometryEngine.bufferPolygon(polygon, this.config.columnClearance)
+                        : [polygon];
+
+                    for (const clearance of buffered.length > 0 ? buffered : [polygon]) {
+                        this.restrictedZones.push({
+                            type: 'column_clearance',
+                            polygon: clearance,
+                            constraint: 'hard',
+                            priority: 1.0
+                        });
+                    }
+                } catch (error) {
+                    this.log('Warning: Failed to process column', { column, error: error.message });
+                    this.placementStats.warnings++;
+                }
+            }
+        } catch (error) {
+            this.logError('Column constraints extraction failed', error);
+        }
+    }
+
+    /**
+     * Outline of a column given as polygon, bare ring or circle (center, radius)
+     * @param {Object|Array} column - Column or obstacle
+     * @returns {Array|null} Polygon
+     */
+    getColumnPolygon(column) {
+        if (this.isValidBoundary(column?.polygon)) return column.polygon;
+        if (this.isValidBoundary(column)) return column;
+
+        const center = column?.center || column?.position;
+        const radius = Number(column?.radius);
+        if (this.isValidPoint(center) && radius > 0) {
+            return this.geometryEngine.createCircle
+                ? this.geometryEngine.createCircle(center[0], center[1], radius)
+                : this.createRectanglePolygon(center[0], center[1], radius * 2, radius * 2);
+        }
+        return null;
+    }
+
     isValidZone(zone) {
         return zone && (
             (zone.polygon && Array.isArray(zone.polygon)) ||
@@ -537,13 +793,19 @@ class IlotPlacementEngine {
                 this.floorPlan.boundary = boundary;
             }
 
-            // Add boundary as allowed zone
-            this.allowedZones.push({
-                type: 'calculated_allowed',
-                polygon: boundary,
-                priority: 1.0,
-                bonus: 0.0
-            });
+            // Allowed region: boundary minus every hard constraint, with holes
+            this.allowedRegion = this.calculateAllowedRegion(boundary);
+            this.allowedArea = this.allowedRegion ? this.geometryEngine.calculateRegionArea(this.allowedRegion) : null;
+
+            for (const [polygon, ...holes] of this.allowedRegion || [[boundary]]) {
+                this.allowedZones.push({
+                    type: 'calculated_allowed',
+                    polygon,
+                    holes,
+                    priority: 1.0,
+                    bonus: 0.0
+                });
+            }
 
             this.log('Allowed zones calculated', {
                 totalAllowedZones: this.allowedZones.length,
@@ -564,6 +826,38 @@ class IlotPlacementEngine {
         }
     }
 
+    /**
+     * Boundary (with its holes) minus blue zones, wall buffers and entrance
+     * and door clearances
+     * @param {Array} boundary - Outer boundary polygon
+     * @returns {Array|null} Region [[outer, hole, ...], ...], or null when the
+     *   geometry engine cannot subtract polygons
+     */
+    calculateAllowedRegion(boundary) {
+        if (typeof this.geometryEngine.differencePolygons !== 'function') {
+            return null;
+        }
+
+        try {
+            const holes = (this.floorPlan?.boundaryHoles || []).filter(hole => this.isValidBoundary(hole));
+            const obstacles = this.restrictedZones
+                .filter(zone => zone.constraint === 'hard' && this.isValidBoundary(zone.polygon))
+                .map(zone => zone.polygon);
+
+            const region = this.geometryEngine.differencePolygons([[boundary, ...holes]], obstacles);
+
+            this.log('Allowed region calculated', {
+                polygons: region.length,
+                holes: region.reduce((sum, rings) => sum + rings.length - 1, 0),
+                area: this.geometryEngine.calculateRegionArea(region).toFixed(2)
+            });
+            return region;
+        } catch (error) {
+            this.logError('Allowed region calculation failed', error);
+            return null;
+        }
+    }
+
     isValidBoundary(boundary) {
         return Array.isArray(boundary) && boundary.length >= 3 &&
             boundary.every(point => Array.isArray(point) && point.length >= 2);
@@ -677,6 +971,11 @@ class IlotPlacementEngine {
 
                     // Calculate scores safely
                     const baseScore = this.calculateCellBaseScore(point);
+                    if (baseScore <= 0 && this.diagnostics) {
+                        const size = this.config.defaultIlotSize;
+                        const footprint = this.createRectanglePolygon(worldX, worldY, size.width, size.height);
+                        this.recordRejection(point, this.explainRejection(footprint), true);
+                    }
                     const modifiedScore = this.applySpatialModifiers(point, baseScore);
 
                     // Store score safely
@@ -699,6 +998,11 @@ class IlotPlacementEngine {
         try {
             if (!this.isValidPoint(point)) return 0;
 
+            // Outside the allowed region (courtyards, L-shape cut-outs, forbidden zones)
+            if (this.allowedRegion && !this.geometryEngine.pointInRegion(point, this.allowedRegion)) {
+                return 0;
+            }
+
             // Check clearance
             if (!this.hasIlotClearance(point)) {
                 return 0;
@@ -999,8 +1303,17 @@ class IlotPlacementEngine {
 
             // Calculate îlot dimensions to determine footprint
             const defaultIlotSize = placementConfig.defaultIlotSize || this.config.defaultIlotSize;
-            const avgIlotWidth = this.getSafeNumber(defaultIlotSize.width, 3.0);
-            const avgIlotHeight = this.getSafeNumber(defaultIlotSize.height, 2.0);
+            const sizeBands = placementConfig.sizeDistribution;
+            let avgIlotWidth = this.getSafeNumber(defaultIlotSize.width, 3.0);
+            let avgIlotHeight = this.getSafeNumber(defaultIlotSize.height, 2.0);
+            const aspectRatio = avgIlotWidth / avgIlotHeight;
+
+            // With a size distribution the average footprint is the share-weighted band midpoint
+            if (sizeBands) {
+                const meanArea = sizeBands.reduce((sum, band) => sum + band.share * (band.minArea + band.maxArea) / 2, 0);
+                avgIlotWidth = Math.sqrt(meanArea * aspectRatio);
+                avgIlotHeight = meanArea / avgIlotWidth;
+            }
             const avgIlotArea = avgIlotWidth * avgIlotHeight;
 
             // Add clearance area per îlot
@@ -1012,7 +1325,11 @@ class IlotPlacementEngine {
             const targetAreaForIlots = usableArea * coverage;
             const calculatedTarget = Math.floor(targetAreaForIlots / totalAreaPerIlot);
             // FIXED: Ensure we get at least 5 îlots for reasonable coverage
-            const targetIlots = Math.max(5, Math.min(Math.max(calculatedTarget, 8), maxIlots));
+            const layoutIlots = Math.max(5, Math.min(Math.max(calculatedTarget, 8), maxIlots));
+
+            // Locked îlots already take part of the target
+            const lockedIlots = this.placedIlots.filter(ilot => ilot.locked).length;
+            const targetIlots = Math.max(layoutIlots - lockedIlots, 0);
 
             // Determine îlot types
             const ilotTypes = this.determineIlotTypes(placementConfig);
@@ -1023,6 +1340,8 @@ class IlotPlacementEngine {
                 usableArea: usableArea,
                 coverage: coverage,
                 avgIlotArea: avgIlotArea,
+                lockedIlots: lockedIlots,
+                sizePlan: sizeBands ? this.createSizePlan(sizeBands, targetIlots, aspectRatio) : null,
                 calculationMethod: 'coverage_based'
             };
 
@@ -1050,6 +1369,270 @@ class IlotPlacementEngine {
         }
     }
 
+    /**
+     * Add existing îlots flagged as locked to the layout and index them as obstacles
+     * Accepts engine îlots (position/dimensions) or frontend îlots (x/y corner,
+     * width/height bounds, rotation, polygon); unlocked existing îlots are
+     * dropped and re-placed
+     * @param {Array} existingIlots - Îlots from a previous run or manual edits
+     * @returns {Array} Locked îlots
+     */
+    placeLockedIlots(existingIlots) {
+        const locked = [];
+
+        for (const existing of Array.isArray(existingIlots) ? existingIlots : []) {
+            try {
+                if (!existing || !existing.locked) continue;
+
+                const rotation = Number(existing.rotation) || 0;
+                const { width, height } = this.getLockedIlotSize(existing, rotation);
+                const position = existing.position
+                    ? [Number(existing.position.x), Number(existing.position.y)]
+                    : [Number(existing.x) + Number(existing.width) / 2, Number(existing.y) + Number(existing.height) / 2];
+
+                if (!this.isValidPoint(position) || !this.isValidDimensions({ width, height })) {
+                    this.log('Warning: Ignoring invalid locked îlot', { id: existing.id });
+                    this.placementStats.warnings++;
+                    continue;
+                }
+
+                const type = this.getSafeString(existing.type, 'workspace');
+                const properties = this.generateIlotProperties(type);
+                const ilot = this.createIlotObject(position, { width, height }, type, {
+                    ...properties,
+                    capacity: existing.capacity ?? properties.capacity,
+                    equipment: existing.equipment || properties.equipment
+                }, {
+                    clearance: this.getMinClearanceFromConfig(),
+                    accessibility: this.getSafeNumber(this.calculateAccessibilityScore(position), 0.8),
+                    score: this.getSafeNumber(this.calculateOverallScore(position, type), 0.8)
+                }, rotation);
+
+                if (existing.id) ilot.id = existing.id;
+                if (this.isValidBoundary(existing.polygon)) {
+                    ilot.polygon = existing.polygon;
+                    Object.assign(ilot, this.getFootprintBounds(ilot.polygon));
+                }
+                if (existing.sizeBand) ilot.sizeBand = existing.sizeBand;
+                ilot.locked = true;
+                ilot.metadata.placementMethod = 'locked';
+
+                this.placedIlots.push(ilot);
+                this.indexPlacedIlot(ilot);
+                locked.push(ilot);
+            } catch (error) {
+                this.log('Warning: Failed to place locked îlot', { id: existing?.id, error: error.message });
+                this.placementStats.warnings++;
+            }
+        }
+
+        if (locked.length > 0) {
+            this.log('Locked îlots placed', { count: locked.length });
+        }
+        return locked;
+    }
+
+    /**
+     * Unrotated size of a locked îlot
+     * Frontend îlots only carry the bounds of the rotated footprint, so the size
+     * comes from the polygon edges, or from swapped bounds for a quarter turn
+     * @param {Object} existing - Locked îlot
+     * @param {number} rotation - Rotation in degrees
+     * @returns {Object} { width, height }
+     */
+    getLockedIlotSize(existing, rotation) {
+        if (existing.dimensions) {
+            return { width: Number(existing.dimensions.width), height: Number(existing.dimensions.height) };
+        }
+
+        const polygon = existing.polygon;
+        if (this.isValidBoundary(polygon) && polygon.length === 4) {
+            return {
+                width: Math.hypot(polygon[1][0] - polygon[0][0], polygon[1][1] - polygon[0][1]),
+                height: Math.hypot(polygon[2][0] - polygon[1][0], polygon[2][1] - polygon[1][1])
+            };
+        }
+
+        const quarterTurn = Math.abs(((rotation % 180) + 180) % 180 - 90) < 1;
+        return quarterTurn
+            ? { width: Number(existing.height), height: Number(existing.width) }
+            : { width: Number(existing.width), height: Number(existing.height) };
+    }
+
+    /**
+     * Split the target îlot count over the size bands and pick concrete dimensions
+     * Counts use largest remainders; areas are spread over the middle half of each band
+     * @param {Array} sizeBands - Normalized size bands
+     * @param {number} totalIlots - Target îlot count
+     * @param {number} aspectRatio - Width / height ratio of the generated îlots
+     * @returns {Array} Size slots ordered largest first
+     */
+    createSizePlan(sizeBands, totalIlots, aspectRatio) {
+        const counts = sizeBands.map(band => Math.floor(band.share * totalIlots));
+        const byRemainder = sizeBands
+            .map((band, index) => ({ index, remainder: band.share * totalIlots - counts[index] }))
+            .sort((a, b) => b.remainder - a.remainder);
+
+        let missing = totalIlots - counts.reduce((sum, count) => sum + count, 0);
+        for (const { index } of byRemainder) {
+            if (missing-- <= 0) break;
+            counts[index]++;
+        }
+
+        this.sizeTargets = sizeBands.map((band, index) => ({ ...band, targetCount: counts[index] }));
+        this.sizeAspectRatio = aspectRatio;
+
+        const slots = [];
+        sizeBands.forEach((band, index) => {
+            for (let k = 0; k < counts[index]; k++) {
+                slots.push(this.createSizeSlot(band, 0.25 + 0.5 * (k + 0.5) / counts[index]));
+            }
+        });
+
+        return slots.sort((a, b) => b.area - a.area);
+    }
+
+    /**
+     * Concrete îlot dimensions at an area quantile of a size band
+     * @param {Object} band - Size band
+     * @param {number} quantile - Position within the band (0-1)
+     * @returns {Object} Size slot { band, width, height, area, placed }
+     */
+    createSizeSlot(band, quantile) {
+        const area = band.minArea + (band.maxArea - band.minArea) * quantile;
+        const width = Math.round(Math.sqrt(area * this.sizeAspectRatio) * 100) / 100;
+        const height = Math.round(area / width * 100) / 100;
+
+        return { band: band.label, width, height, area: width * height, placed: false };
+    }
+
+    /**
+     * Next slot of every band, the band furthest below its share first (the
+     * larger band on ties). Bands whose planned slots are used up get an extra
+     * slot, so filling continues by share instead of stopping at the plan.
+     * @param {Array} sizePlan - Size slots
+     * @returns {Array} Candidate slots
+     */
+    getSlotsByDeficit(sizePlan) {
+        const placed = sizePlan.filter(slot => slot.placed).length;
+
+        return this.sizeTargets
+            .filter(band => band.share > 0)
+            .map(band => {
+                const slots = sizePlan.filter(slot => slot.band === band.label);
+                const achieved = slots.filter(slot => slot.placed).length;
+                return {
+                    slot: slots.find(slot => !slot.placed) || this.createSizeSlot(band, 0.5),
+                    deficit: band.share * (placed + 1) - achieved
+                };
+            })
+            .sort((a, b) => (b.deficit - a.deficit) || (b.slot.area - a.slot.area))
+            .map(candidate => candidate.slot);
+    }
+
+    /**
+     * Mark a size slot as placed by an îlot
+     * @param {Array} sizePlan - Size slots
+     * @param {Object} slot - Slot (planned or extra)
+     * @param {Object} placement - Placed îlot
+     */
+    claimSizeSlot(sizePlan, slot, placement) {
+        if (!sizePlan.includes(slot)) {
+            sizePlan.push(slot);
+        }
+        slot.placed = true;
+        placement.sizeBand = slot.band;
+    }
+
+    /**
+     * Place the slot of the band furthest below its share that fits at a position
+     * @param {Array} position - Center position [x, y]
+     * @param {string} ilotType - Îlot type
+     * @param {Object} requirements - Îlot requirements with a size plan
+     * @param {Object} config - Placement configuration
+     * @returns {Promise<Object|null>} Placed îlot or null
+     */
+    async attemptPlannedPlacement(position, ilotType, requirements, config) {
+        if (!requirements?.sizePlan) {
+            return this.attemptIlotPlacement(position, ilotType, config);
+        }
+
+        for (const slot of this.getSlotsByDeficit(requirements.sizePlan)) {
+            const placement = await this.attemptIlotPlacement(position, ilotType, config, slot);
+            if (placement) {
+                this.claimSizeSlot(requirements.sizePlan, slot, placement);
+                return placement;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Place a size plan over candidate positions. Large îlots fit in fewer
+     * places, so every planned slot, largest first, gets first pick of all
+     * positions; slots that fit nowhere are then made up by whichever band is
+     * furthest below its share.
+     * @param {Array} positions - Candidate center positions, best first
+     * @param {Object} requirements - Îlot requirements with a size plan
+     * @param {Object} config - Placement configuration
+     * @returns {Promise<number>} Number of îlots placed
+     */
+    async executePlannedPlacement(positions, requirements, config) {
+        const targetIlots = requirements.totalIlots ?? 5;
+        const ilotTypes = requirements.ilotTypes || ['workspace'];
+        let placedCount = 0;
+
+        const commit = placement => {
+            this.placedIlots.push(placement);
+            this.indexPlacedIlot(placement);
+            placedCount++;
+            this.placementStats.successfulPlacements++;
+        };
+
+        // A position that rejected an area rejects every larger one of the
+        // same shape, and keeps rejecting it as îlots are added. Wall-aligned
+        // rotations depend on the footprint size, so they are not memoized.
+        const rejectedArea = new Array(positions.length).fill(Infinity);
+        const memoize = !config?.alignToWalls;
+
+        for (const slot of [...requirements.sizePlan]) {
+            if (placedCount >= targetIlots) break;
+
+            for (let i = 0; i < positions.length; i++) {
+                if (memoize && slot.area >= rejectedArea[i]) continue;
+
+                const ilotType = ilotTypes[placedCount % ilotTypes.length];
+                const placement = await this.attemptIlotPlacement(positions[i], ilotType, config, slot);
+                this.placementStats.totalAttempts++;
+
+                if (placement) {
+                    this.claimSizeSlot(requirements.sizePlan, slot, placement);
+                    commit(placement);
+                    break;
+                }
+                rejectedArea[i] = Math.min(rejectedArea[i], slot.area);
+            }
+        }
+
+        for (let i = 0; i < positions.length && placedCount < targetIlots; i++) {
+            const ilotType = ilotTypes[placedCount % ilotTypes.length];
+            const placement = await this.attemptPlannedPlacement(positions[i], ilotType, requirements, config);
+            this.placementStats.totalAttempts++;
+
+            if (placement) {
+                commit(placement);
+            }
+        }
+
+        this.log('Size plan placement completed', {
+            placed: placedCount,
+            target: targetIlots,
+            plannedUnplaced: requirements.sizePlan.filter(slot => !slot.placed).length
+        });
+        return placedCount;
+    }
+
     /**
      * Execute the selected placement strategy
      * This is the missing method that handles different placement strategies
@@ -1057,7 +1640,7 @@ class IlotPlacementEngine {
     async executePlacementStrategy(ilotRequirements, placementConfig) {
         try {
             const strategy = placementConfig.placementStrategy || 'optimized';
-            const targetIlots = ilotRequirements?.totalIlots || 5;
+            const targetIlots = ilotRequirements?.totalIlots ?? 5;
 
             this.log('Executing placement strategy', { 
                 strategy: strategy, 
@@ -1099,7 +1682,7 @@ class IlotPlacementEngine {
         try {
             this.log('Executing optimized placement strategy - FIXED VERSION');
 
-            const targetIlots = ilotRequirements?.totalIlots || 5;
+            const targetIlots = ilotRequirements?.totalIlots ?? 5;
             const ilotTypes = ilotRequirements?.ilotTypes || ['workspace'];
 
             // Get sorted placement cells
@@ -1111,6 +1694,12 @@ class IlotPlacementEngine {
                 availableCells: sortedCells.length 
             });
 
+            if (ilotRequirements?.sizePlan) {
+                const positions = sortedCells.map(cell => this.gridToWorld(cell.x, cell.y));
+                await this.executePlannedPlacement(positions, ilotRequirements, placementConfig);
+                return;
+            }
+
             let placedCount = 0;
             let attempts = 0;
             const maxAttempts = Math.max(targetIlots * 10, 100);
@@ -1124,7 +1713,7 @@ class IlotPlacementEngine {
                     const worldPos = this.gridToWorld(cell.x, cell.y);
                     const ilotType = ilotTypes[placedCount % ilotTypes.length];
 
-                    const placement = await this.attemptIlotPlacement(worldPos, ilotType, placementConfig);
+                    const placement = await this.attemptPlannedPlacement(worldPos, ilotType, ilotRequirements, placementConfig);
 
                     if (placement) {
                         this.placedIlots.push(placement);
@@ -1156,8 +1745,12 @@ class IlotPlacementEngine {
     /**
      * FIXED: Attempt to place an îlot at a specific position
      * This is the main method that was causing the clearance error
+     * @param {Array} position - Center position [x, y]
+     * @param {string} ilotType - Îlot type
+     * @param {Object} config - Placement configuration
+     * @param {Object} size - Concrete { width, height } overriding the type-based size
      */
-    async attemptIlotPlacement(position, ilotType, config) {
+    async attemptIlotPlacement(position, ilotType, config, size = null) {
         try {
             // Enhanced position validation
             if (!this.isValidPoint(position)) {
@@ -1171,14 +1764,22 @@ class IlotPlacementEngine {
             const safeIlotType = this.getSafeString(ilotType, 'workspace');
 
             // FIXED: Calculate dimensions with comprehensive error handling
-            const dimensions = this.calculateIlotDimensions(safeIlotType, config);
+            const dimensions = size
+                ? { width: size.width, height: size.height }
+                : this.calculateIlotDimensions(safeIlotType, config);
             if (!this.isValidDimensions(dimensions)) {
                 this.log('Invalid dimensions calculated', { dimensions, ilotType: safeIlotType });
                 return null;
             }
 
-            // Check if placement is valid
-            if (!this.isValidPlacement(validPosition, dimensions)) {
+            // First orientation that fits wins
+            const rotation = this.getRotationCandidates(validPosition, dimensions, config)
+                .find(candidate => this.isValidPlacement(validPosition, dimensions, candidate));
+            if (rotation === undefined) {
+                if (this.diagnostics) {
+                    const footprint = this.createRectanglePolygon(validPosition[0], validPosition[1], dimensions.width, dimensions.height);
+                    this.recordRejection(validPosition, this.explainRejection(footprint));
+                }
                 return null;
             }
 
@@ -1190,7 +1791,7 @@ class IlotPlacementEngine {
             }
 
             // FIXED: Calculate clearance with comprehensive error handling and fallbacks
-            const clearanceResult = this.calculateIlotClearanceFixed(validPosition, dimensions);
+            const clearanceResult = this.calculateIlotClearanceFixed(validPosition, dimensions, rotation);
             const accessibility = this.calculateAccessibilityScore(validPosition);
             const score = this.calculateOverallScore(validPosition, safeIlotType);
 
@@ -1204,7 +1805,7 @@ class IlotPlacementEngine {
                 clearance: safeClearance,
                 accessibility: safeAccessibility,
                 score: safeScore
-            });
+            }, rotation);
 
             return ilot;
 
@@ -1215,10 +1816,52 @@ class IlotPlacementEngine {
         }
     }
 
+    /**
+     * Candidate rotations in degrees for an îlot at a position
+     * Axis-aligned first, then a quarter turn, then the directions of nearby walls
+     * @param {Array} position - Center position [x, y]
+     * @param {Object} dimensions - Îlot dimensions
+     * @param {Object} config - Placement configuration
+     * @returns {Array} Rotations in degrees
+     */
+    getRotationCandidates(position, dimensions, config) {
+        const settings = (config && typeof config === 'object') ? config : this.config;
+        if (settings.allowRotation === false) {
+            return [0];
+        }
+
+        const candidates = [0, 90];
+
+        if (settings.alignToWalls) {
+            const nearbyWalls = this.findNearbyObstacles(position, dimensions)
+                .filter(hit => hit.zone && hit.zone.type === 'wall_buffer' && typeof hit.zone.angle === 'number');
+
+            for (const { zone } of nearbyWalls) {
+                candidates.push(zone.angle, (zone.angle + 90) % 180);
+            }
+        }
+
+        // A square îlot looks the same after a quarter turn
+        const period = Math.abs(dimensions.width - dimensions.height) < 1e-6 ? 90 : 180;
+        const unique = [];
+        for (const candidate of candidates) {
+            const angle = ((candidate % period) + period) % period;
+            const duplicate = unique.some(existing => {
+                const difference = Math.abs(existing - angle) % period;
+                return Math.min(difference, period - difference) < 1;
+            });
+            if (!duplicate) {
+                unique.push(Math.round(angle * 100) / 100);
+            }
+        }
+        return unique;
+    }
+
     /**
      * FIXED: Enhanced clearance calculation method that never returns undefined
+     * Clearance is the distance from the rotated footprint to the nearest indexed obstacle
      */
-    calculateIlotClearanceFixed(position, dimensions) {
+    calculateIlotClearanceFixed(position, dimensions, rotation = 0) {
         try {
             // Validate inputs thoroughly
             if (!this.isValidPoint(position)) {
@@ -1232,32 +1875,28 @@ class IlotPlacementEngine {
             // Get minimum clearance from config with enhanced safety
             const minClearance = this.getMinClearanceFromConfig();
 
-            // Calculate actual clearance based on surroundings
-            let actualClearance = minClearance;
+            // Free distance around the footprint, capped at the obstacle search radius
+            const footprint = this.createRectanglePolygon(position[0], position[1], dimensions.width, dimensions.height, rotation);
+            let actualClearance = Math.max(dimensions.width, dimensions.height) + 2.0;
 
             try {
-                // Check for nearby obstacles and adjust clearance
-                const nearbyObstacles = this.findNearbyObstacles(position, dimensions);
-                if (nearbyObstacles.length > 0) {
-                    actualClearance = Math.max(minClearance, this.calculateRequiredClearance(nearbyObstacles));
+                for (const obstacle of this.findNearbyObstacles(position, dimensions)) {
+                    const distance = this.geometryEngine.polygonDistance(footprint, this.getIndexedPolygon(obstacle));
+                    actualClearance = Math.min(actualClearance, distance);
                 }
             } catch (obstacleError) {
                 this.log('Warning: Obstacle detection failed, using minimum clearance', obstacleError);
                 actualClearance = minClearance;
             }
 
-            // Additional safety buffer
-            const buffer = 0.5;
-            actualClearance = Math.max(actualClearance, buffer);
-
             // Create comprehensive result object
             return {
                 clearance: actualClearance,
                 minRequired: minClearance,
-                isValid: true,
+                isValid: actualClearance >= minClearance,
                 hasBuffer: actualClearance > minClearance,
                 calculatedAt: Date.now(),
-                method: 'enhanced_calculation'
+                method: 'polygon_distance'
             };
 
         } catch (error) {
@@ -1370,22 +2009,54 @@ class IlotPlacementEngine {
         }
     }
 
-    calculateRequiredClearance(obstacles) {
-        // Simple implementation - return minimum safe clearance
-        return this.getMinClearanceFromConfig() + 0.5;
+    /**
+     * Footprint polygon of a spatial index entry (zone, îlot, or its bbox)
+     * @param {Object} entry - Spatial index entry
+     * @returns {Array} Polygon
+     */
+    getIndexedPolygon(entry) {
+        const polygon = entry.zone?.polygon || entry.ilot?.polygon;
+        if (Array.isArray(polygon) && polygon.length >= 3) {
+            return polygon;
+        }
+
+        return [
+            [entry.minX, entry.minY],
+            [entry.maxX, entry.minY],
+            [entry.maxX, entry.maxY],
+            [entry.minX, entry.maxY]
+        ];
+    }
+
+    /**
+     * Next free îlot id (locked îlots keep the ids they came with)
+     */
+    createIlotId() {
+        const usedIds = new Set(this.placedIlots.map(ilot => ilot.id));
+        let number = this.placedIlots.length + 1;
+        while (usedIds.has(`ilot_${number}`)) {
+            number++;
+        }
+        return `ilot_${number}`;
     }
 
-    createIlotObject(position, dimensions, ilotType, properties, metrics) {
+    /**
+     * Build a placed îlot
+     * x/y/width/height are the axis-aligned bounds of the rotated footprint, so
+     * consumers that draw rectangles stay correct; dimensions keep the unrotated
+     * size and polygon the exact footprint
+     */
+    createIlotObject(position, dimensions, ilotType, properties, metrics, rotation = 0) {
         const x = position[0];
         const y = position[1];
+        const polygon = this.createRectanglePolygon(x, y, dimensions.width, dimensions.height, rotation);
 
         return {
-            id: `ilot_${this.placedIlots.length + 1}`,
+            id: this.createIlotId(),
             type: ilotType,
-            x: x - dimensions.width / 2,  // Top-left x for frontend
-            y: y - dimensions.height / 2, // Top-left y for frontend
-            width: dimensions.width,
-            height: dimensions.height,
+            ...this.getFootprintBounds(polygon),
+            area: dimensions.width * dimensions.height,
+            rotation: rotation,
             capacity: properties.capacity,
             equipment: properties.equipment,
             isValid: true,
@@ -1401,7 +2072,7 @@ class IlotPlacementEngine {
                 width: dimensions.width,
                 height: dimensions.height
             },
-            polygon: this.createRectanglePolygon(x, y, dimensions.width, dimensions.height),
+            polygon: polygon,
             properties: {
                 capacity: properties.capacity,
                 equipment: properties.equipment,
@@ -1426,21 +2097,21 @@ class IlotPlacementEngine {
      * VALIDATION AND UTILITY METHODS
      */
 
-    isValidPlacement(position, dimensions) {
+    isValidPlacement(position, dimensions, rotation = 0) {
         try {
             // Check spatial constraints
-            if (!this.checkSpatialConstraints(position, dimensions)) {
+            if (!this.checkSpatialConstraints(position, dimensions, rotation)) {
                 return false;
             }
 
             // Check collision with existing îlots
-            if (this.checkIlotCollisions(position, dimensions)) {
+            if (this.checkIlotCollisions(position, dimensions, rotation)) {
                 this.placementStats.collisionDetections++;
                 return false;
             }
 
             // Check clearance requirements
-            if (!this.checkClearanceRequirements(position, dimensions)) {
+            if (!this.checkClearanceRequirements(position, dimensions, rotation)) {
                 return false;
             }
 
@@ -1451,7 +2122,7 @@ class IlotPlacementEngine {
         }
     }
 
-    checkSpatialConstraints(position, dimensions) {
+    checkSpatialConstraints(position, dimensions, rotation = 0) {
         try {
             const boundary = this.floorPlan.boundary || this.createBoundaryFromBounds();
             const bbox = this.calculateBoundingBoxFromBoundary(boundary);
@@ -1460,44 +2131,47 @@ class IlotPlacementEngine {
                 return false;
             }
 
-            const halfWidth = dimensions.width / 2;
-            const halfHeight = dimensions.height / 2;
+            const footprint = this.createRectanglePolygon(position[0], position[1], dimensions.width, dimensions.height, rotation);
+            if (!footprint.every(([x, y]) => x >= bbox.minX && x <= bbox.maxX && y >= bbox.minY && y <= bbox.maxY)) {
+                return false;
+            }
 
-            return (position[0] - halfWidth >= bbox.minX &&
-                position[0] + halfWidth <= bbox.maxX &&
-                position[1] - halfHeight >= bbox.minY &&
-                position[1] + halfHeight <= bbox.maxY);
+            return !this.allowedRegion || this.geometryEngine.regionContainsPolygon(this.allowedRegion, footprint);
         } catch (error) {
             return false;
         }
     }
 
-    checkIlotCollisions(position, dimensions) {
+    checkIlotCollisions(position, dimensions, rotation = 0) {
         try {
             const minDistance = this.getMinClearanceFromConfig();
+            const footprint = this.createRectanglePolygon(position[0], position[1], dimensions.width, dimensions.height, rotation);
+            const bbox = this.calculateBoundingBoxFromBoundary(footprint);
 
             const testRect = {
-                minX: position[0] - dimensions.width / 2 - minDistance,
-                minY: position[1] - dimensions.height / 2 - minDistance,
-                maxX: position[0] + dimensions.width / 2 + minDistance,
-                maxY: position[1] + dimensions.height / 2 + minDistance
+                minX: bbox.minX - minDistance,
+                minY: bbox.minY - minDistance,
+                maxX: bbox.maxX + minDistance,
+                maxY: bbox.maxY + minDistance
             };
 
             if (!this.isValidBBox(testRect)) {
                 return true; // Assume collision if invalid bounds
             }
 
-            const potentialCollisions = this.spatialIndex.search(testRect);
-            return potentialCollisions.length > 0;
+            // Bbox hits are only candidates; the rotated footprints decide
+            return this.spatialIndex.search(testRect).some(hit =>
+                this.geometryEngine.polygonDistance(footprint, this.getIndexedPolygon(hit)) < minDistance
+            );
         } catch (error) {
             return true; // Assume collision on error for safety
         }
     }
 
-    checkClearanceRequirements(position, dimensions) {
+    checkClearanceRequirements(position, dimensions, rotation = 0) {
         try {
-            // Basic clearance check - can be enhanced based on requirements
-            return this.hasIlotClearance(position);
+            const footprint = this.createRectanglePolygon(position[0], position[1], dimensions.width, dimensions.height, rotation);
+            return this.hasIlotClearance(position, footprint);
         } catch (error) {
             return false;
         }
@@ -1719,22 +2393,43 @@ class IlotPlacementEngine {
         }
     }
 
-    createRectanglePolygon(x, y, width, height) {
+    createRectanglePolygon(x, y, width, height, rotation = 0) {
         try {
             const halfWidth = width / 2;
             const halfHeight = height / 2;
-
-            return [
-                [x - halfWidth, y - halfHeight],
-                [x + halfWidth, y - halfHeight],
-                [x + halfWidth, y + halfHeight],
-                [x - halfWidth, y + halfHeight]
+            const corners = [
+                [-halfWidth, -halfHeight],
+                [halfWidth, -halfHeight],
+                [halfWidth, halfHeight],
+                [-halfWidth, halfHeight]
             ];
+
+            // Rotate counter-clockwise (degrees) around the center
+            const radians = (rotation || 0) * Math.PI / 180;
+            const cos = Math.cos(radians);
+            const sin = Math.sin(radians);
+
+            return corners.map(([dx, dy]) => [x + dx * cos - dy * sin, y + dx * sin + dy * cos]);
         } catch (error) {
             return [[0, 0], [1, 0], [1, 1], [0, 1]]; // Fallback rectangle
         }
     }
 
+    /**
+     * Axis-aligned bounds of an îlot footprint as top-left corner and size
+     * @param {Array} polygon - Footprint polygon
+     * @returns {Object} { x, y, width, height }
+     */
+    getFootprintBounds(polygon) {
+        const bbox = this.calculateBoundingBoxFromBoundary(polygon);
+        return {
+            x: bbox.minX,
+            y: bbox.minY,
+            width: bbox.maxX - bbox.minX,
+            height: bbox.maxY - bbox.minY
+        };
+    }
+
     gridToWorld(gridX, gridY) {
         try {
             if (!this.placementGrid?.bbox) {
@@ -1792,12 +2487,34 @@ class IlotPlacementEngine {
 
     // Additional required methods...
 
-    hasIlotClearance(point) {
-        return this.isValidPoint(point);
+    hasIlotClearance(point, footprint = null) {
+        if (!this.isValidPoint(point)) return false;
+
+        try {
+            // Same margin as checkIlotCollisions, against hard constraints only
+            const size = this.config.defaultIlotSize;
+            const polygon = footprint || this.createRectanglePolygon(point[0], point[1], size.width, size.height);
+            const bbox = this.calculateBoundingBoxFromBoundary(polygon);
+            const margin = this.getMinClearanceFromConfig();
+            const hits = this.spatialIndex.search({
+                minX: bbox.minX - margin,
+                minY: bbox.minY - margin,
+                maxX: bbox.maxX + margin,
+                maxY: bbox.maxY + margin
+            });
+
+            return !hits.some(hit => hit.zone && hit.zone.constraint === 'hard' &&
+                this.geometryEngine.polygonDistance(polygon, this.getIndexedPolygon(hit)) < margin);
+        } catch (error) {
+            return true;
+        }
     }
 
     calculateUsableArea() {
         try {
+            if (this.allowedRegion) {
+                return Math.max(this.allowedArea, 1);
+            }
             if (this.floorPlan?.bounds) {
                 const bounds = this.floorPlan.bounds;
                 return Math.max((bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY) * 0.7, 1);
@@ -1817,9 +2534,9 @@ class IlotPlacementEngine {
         }
     }
 
-    createWallPolygon(wall) {
+    createWallPolygon(wall, clearance = 0) {
         try {
-            const thickness = 0.2;
+            const thickness = this.getSafeNumber(wall.thickness, 0.2) || 0.2;
             let start, end;
 
             if (wall.start && wall.end) {
@@ -1834,12 +2551,25 @@ class IlotPlacementEngine {
                 end = [1, 0];
             }
 
-            return this.createRectanglePolygon(
-                (start[0] + end[0]) / 2,
-                (start[1] + end[1]) / 2,
-                this.calculateDistance(start, end),
-                thickness
-            );
+            // Oriented rectangle along the wall centerline
+            const length = this.calculateDistance(start, end);
+            if (length === 0) {
+                return this.createRectanglePolygon(start[0], start[1], thickness + 2 * clearance, thickness + 2 * clearance);
+            }
+
+            const ux = (end[0] - start[0]) / length;
+            const uy = (end[1] - start[1]) / length;
+            const halfLength = length / 2 + clearance;
+            const halfWidth = thickness / 2 + clearance;
+            const cx = (start[0] + end[0]) / 2;
+            const cy = (start[1] + end[1]) / 2;
+
+            return [
+                [cx - ux * halfLength + uy * halfWidth, cy - uy * halfLength - ux * halfWidth],
+                [cx + ux * halfLength + uy * halfWidth, cy + uy * halfLength - ux * halfWidth],
+                [cx + ux * halfLength - uy * halfWidth, cy + uy * halfLength + ux * halfWidth],
+                [cx - ux * halfLength - uy * halfWidth, cy - uy * halfLength + ux * halfWidth]
+            ];
         } catch (error) {
             return this.createRectanglePolygon(0, 0, 1, 0.2);
         }
@@ -1927,66 +2657,376 @@ class IlotPlacementEngine {
         try {
             if (!ilot?.position?.x || !ilot?.dimensions?.width) return;
 
-            const bbox = {
-                minX: ilot.position.x - ilot.dimensions.width / 2,
-                minY: ilot.position.y - ilot.dimensions.height / 2,
-                maxX: ilot.position.x + ilot.dimensions.width / 2,
-                maxY: ilot.position.y + ilot.dimensions.height / 2
-            };
+            const bbox = Array.isArray(ilot.polygon)
+                ? this.calculateBoundingBoxFromBoundary(ilot.polygon)
+                : {
+                    minX: ilot.position.x - ilot.dimensions.width / 2,
+                    minY: ilot.position.y - ilot.dimensions.height / 2,
+                    maxX: ilot.position.x + ilot.dimensions.width / 2,
+                    maxY: ilot.position.y + ilot.dimensions.height / 2
+                };
 
             if (this.isValidBBox(bbox)) {
-                this.spatialIndex.insert({ ...bbox, ilot });
+                const entry = { ...bbox, ilot };
+                this.spatialIndex.insert(entry);
+                this.indexEntries.set(ilot, entry);
             }
         } catch (error) {
             this.log('Warning: Failed to index placed îlot', error);
         }
     }
 
-    async optimizePlacement() {
+    unindexPlacedIlot(ilot) {
+        const entry = this.indexEntries.get(ilot);
+        if (entry) {
+            this.spatialIndex.remove(entry);
+            this.indexEntries.delete(ilot);
+        }
+    }
+
+    /**
+     * PLACEMENT OPTIMIZATION
+     */
+
+    /**
+     * Improve the placed layout by simulated annealing
+     * Moves, swaps, resizes and removes/reinserts îlots under the weighted
+     * objective (see evaluateLayoutObjective) for optimizationIterations steps;
+     * timeoutMs only cuts off runaway runs (reported as timeLimitReached)
+     * @param {Object} config - Placement configuration
+     * @returns {Promise<Object|null>} Optimization result with objective trace
+     */
+    async optimizePlacement(config = this.config) {
         try {
-            this.log('Starting placement optimization');
+            if (config.optimize === false || !this.placedIlots.some(ilot => !ilot.locked)) {
+                return null;
+            }
 
-            const maxOptimizationIterations = 50;
-            let iteration = 0;
-            let improved = true;
+            this.log('Starting placement optimization');
 
-            while (improved && iteration < maxOptimizationIterations) {
-                improved = false;
+            const cells = this.getSortedPlacementCells();
+            const annealer = new LayoutAnnealer({
+                maxIterations: config.optimizationIterations,
+                timeLimitMs: config.timeoutMs,
+                random: () => this.random.next()
+            });
 
-                for (let i = 0; i < this.placedIlots.length; i++) {
-                    try {
-                        const currentScore = this.placedIlots[i]?.metadata?.placementScore || 0.8;
-                        const optimizedPosition = await this.findBetterPosition(this.placedIlots[i]);
+            const result = await annealer.run({
+                evaluate: () => this.evaluateLayoutObjective(config),
+                propose: progress => this.proposeLayoutMove(progress, cells, config),
+                snapshot: () => this.placedIlots.filter(ilot => !ilot.locked).map(ilot => [ilot, this.getIlotGeometry(ilot)]),
+                restore: snapshot => snapshot.forEach(([ilot, geometry]) => this.applyIlotGeometry(ilot, geometry))
+            });
 
-                        if (optimizedPosition && optimizedPosition.score > currentScore * 1.1) {
-                            this.moveIlot(i, optimizedPosition.position);
-                            improved = true;
-                        }
-                    } catch (error) {
-                        this.log('Warning: Optimization step failed for îlot', { index: i, error: error.message });
-                    }
-                }
+            // Clearance and scores depend on the final neighbours
+            this.placedIlots.forEach(ilot => this.refreshIlotMetrics(ilot));
 
-                iteration++;
-                this.placementStats.optimizationIterations++;
+            result.timeLimitReached = result.stopReason === 'time_limit';
+            if (result.timeLimitReached) {
+                this.log('Warning: Placement optimization hit its time limit; the layout may differ between runs', {
+                    iterations: result.iterations,
+                    timeLimitMs: config.timeoutMs
+                });
+                this.placementStats.warnings++;
             }
 
-            this.log('Placement optimization completed', { iterations: iteration });
+            this.placementStats.optimizationIterations = result.iterations;
+            this.optimizationResult = result;
+
+            this.log('Placement optimization completed', {
+                iterations: result.iterations,
+                initialObjective: result.initialObjective.toFixed(4),
+                finalObjective: result.finalObjective.toFixed(4),
+                stopReason: result.stopReason
+            });
+
+            return result;
         } catch (error) {
             this.logError('Placement optimization failed', error);
+            return null;
         }
     }
 
-    async findBetterPosition(ilot) {
-        // Simplified implementation for now
-        return null;
+    /**
+     * Weighted layout objective in [0, 1]
+     * coverage = îlot area / usable area, accessibility = mean accessibility
+     * score, workflow = mean calculateOverallScore of the îlot centers,
+     * adjacency = weighted adjacency rule score (only with rules configured)
+     * @param {Object} config - Placement configuration
+     * @returns {number} Objective
+     */
+    evaluateLayoutObjective(config = this.config) {
+        return this.calculateScoreBreakdown(config.optimizationWeights || this.config.optimizationWeights).overall;
+    }
+
+    /**
+     * Objective terms of the current layout and their weighted combination
+     * @param {Object} weights - { coverage, accessibility, workflow, adjacency }
+     * @returns {Object} { coverage, accessibility, workflow, adjacency, overall }
+     */
+    calculateScoreBreakdown(weights = this.config.optimizationWeights) {
+        const count = this.placedIlots.length;
+        if (count === 0) {
+            return { coverage: 0, accessibility: 0, workflow: 0, overall: 0 };
+        }
+
+        const adjacencyWeight = this.adjacencyRules?.rules.length > 0 ? (weights.adjacency ?? 0) : 0;
+        const totalWeight = (weights.coverage + weights.accessibility + weights.workflow + adjacencyWeight) || 1;
+
+        let area = 0;
+        let accessibility = 0;
+        let workflow = 0;
+        for (const ilot of this.placedIlots) {
+            const center = [ilot.position.x, ilot.position.y];
+            area += ilot.dimensions.width * ilot.dimensions.height;
+            accessibility += this.calculateAccessibilityScore(center);
+            workflow += this.calculateOverallScore(center, ilot.type);
+        }
+
+        const terms = {
+            coverage: Math.min(area / this.calculateUsableArea(), 1),
+            accessibility: accessibility / count,
+            workflow: workflow / count
+        };
+        if (this.adjacencyRules?.rules.length > 0) {
+            terms.adjacency = this.evaluateAdjacencyRules().score;
+        }
+
+        return {
+            ...terms,
+            overall: (weights.coverage * terms.coverage +
+                weights.accessibility * terms.accessibility +
+                weights.workflow * terms.workflow +
+                adjacencyWeight * (terms.adjacency ?? 0)) / totalWeight
+        };
+    }
+
+    /**
+     * Evaluate the adjacency rules on the current layout
+     * @returns {Object|null} Overall score and per-rule status, or null without rules
+     */
+    evaluateAdjacencyRules() {
+        if (!this.adjacencyRules) {
+            return null;
+        }
+
+        try {
+            return this.adjacencyRules.evaluate(this.placedIlots, this.getAdjacencyFeatures(), {
+                // Adjacent îlots are separated by no more than one aisle
+                adjacencyDistance: this.config.minIlotDistance + 1
+            });
+        } catch (error) {
+            this.logError('Adjacency rule evaluation failed', error);
+            return null;
+        }
+    }
+
+    /**
+     * Floor plan features that adjacency rules can target, as segments
+     * (doors, entrances and windows given as points become zero-length
+     * segments). Entrances cover doors, imported entrances and the outline
+     * of red zones, which is how DXF imports mark them.
+     * @returns {Object} { entrance, window, wall } segment lists
+     */
+    getAdjacencyFeatures() {
+        if (this.adjacencyFeatures) {
+            return this.adjacencyFeatures;
+        }
+
+        const toSegment = item => {
+            if (typeof item?.x1 === 'number' && typeof item?.x2 === 'number') {
+                return [[item.x1, item.y1], [item.x2, item.y2]];
+            }
+            if (item?.start && item?.end) {
+                return [item.start, item.end];
+            }
+            const point = this.extractDoorPosition(item);
+            return point ? [point, point] : null;
+        };
+
+        const zoneSegments = zone => {
+            const polygon = zone.polygon || zone;
+            return polygon.map((point, index) => [point, polygon[(index + 1) % polygon.length]]);
+        };
+
+        this.adjacencyFeatures = {
+            entrance: [
+                ...[...(this.floorPlan?.doors || []), ...(this.floorPlan?.entrances || [])].map(toSegment).filter(Boolean),
+                ...(this.floorPlan?.redZones || []).filter(zone => this.isValidZone(zone)).flatMap(zoneSegments)
+            ],
+            window: (this.floorPlan?.windows || []).map(toSegment).filter(Boolean),
+            wall: (this.floorPlan?.walls || []).filter(wall => this.isValidWall(wall)).map(toSegment)
+        };
+        return this.adjacencyFeatures;
+    }
+
+    /**
+     * Apply one random layout modification
+     * @param {number} progress - Optimization progress from 0 to 1
+     * @param {Array} cells - Placement grid cells for reinsertion
+     * @param {Object} config - Placement configuration
+     * @returns {Object|null} Move with undo(), or null if nothing valid was found
+     */
+    proposeLayoutMove(progress, cells, config) {
+        const ilots = this.placedIlots.filter(candidate => !candidate.locked);
+        if (ilots.length === 0) return null;
+
+        const ilot = ilots[Math.floor(this.random.next() * ilots.length)];
+        const geometry = this.getIlotGeometry(ilot);
+        const roll = this.random.next();
+
+        if (roll < 0.5) {
+            // Move: step shrinks from one îlot length to half a grid cell
+            const maxStep = Math.max(geometry.dimensions.width, geometry.dimensions.height);
+            const step = maxStep * (1 - progress) + (config.gridResolution || 0.5) / 2;
+            const position = [
+                geometry.position[0] + (this.random.next() * 2 - 1) * step,
+                geometry.position[1] + (this.random.next() * 2 - 1) * step
+            ];
+            return this.tryIlotGeometries([[ilot, { ...geometry, position }]], config);
+        }
+
+        if (roll < 0.65) {
+            // Swap: exchange the centers of two îlots of different size or type
+            const other = ilots[Math.floor(this.random.next() * ilots.length)];
+            if (other === ilot || (other.type === ilot.type && other.area === ilot.area)) {
+                return null;
+            }
+            const otherGeometry = this.getIlotGeometry(other);
+            return this.tryIlotGeometries([
+                [ilot, { ...geometry, position: otherGeometry.position }],
+                [other, { ...otherGeometry, position: geometry.position }]
+            ], config);
+        }
+
+        if (roll < 0.8) {
+            // Resize: scale by up to ±10%, keeping the aspect ratio and the size limits
+            const factor = 1 + (this.random.next() * 2 - 1) * 0.1;
+            const dimensions = {
+                width: Math.round(geometry.dimensions.width * factor * 100) / 100,
+                height: Math.round(geometry.dimensions.height * factor * 100) / 100
+            };
+            if (!this.isAllowedIlotArea(ilot, dimensions.width * dimensions.height, config)) {
+                return null;
+            }
+            return this.tryIlotGeometries([[ilot, { ...geometry, dimensions }]], config);
+        }
+
+        // Remove and reinsert at a random placement cell
+        if (cells.length === 0) return null;
+        const cell = cells[Math.floor(this.random.next() * cells.length)];
+        return this.tryIlotGeometries([[ilot, { ...geometry, position: this.gridToWorld(cell.x, cell.y) }]], config);
+    }
+
+    /**
+     * Apply new geometries if every îlot fits in one of its orientations
+     * @param {Array} changes - [îlot, { position, dimensions, rotation }] pairs
+     * @param {Object} config - Placement configuration
+     * @returns {Object|null} Move with undo(), or null (layout unchanged)
+     */
+    tryIlotGeometries(changes, config) {
+        const previous = changes.map(([ilot]) => [ilot, this.getIlotGeometry(ilot)]);
+        previous.forEach(([ilot]) => this.unindexPlacedIlot(ilot));
+
+        const applied = [];
+        for (const [ilot, geometry] of changes) {
+            const candidates = [geometry.rotation, ...this.getRotationCandidates(geometry.position, geometry.dimensions, config)];
+            const rotation = candidates.find(candidate =>
+                this.fitsAt(geometry.position, geometry.dimensions, candidate));
+
+            if (rotation === undefined) {
+                applied.forEach(item => this.unindexPlacedIlot(item));
+                previous.forEach(([item, itemGeometry]) => this.applyIlotGeometry(item, itemGeometry));
+                return null;
+            }
+
+            this.applyIlotGeometry(ilot, { ...geometry, rotation });
+            applied.push(ilot);
+        }
+
+        return {
+            undo: () => previous.forEach(([ilot, geometry]) => this.applyIlotGeometry(ilot, geometry))
+        };
+    }
+
+    /**
+     * Placement check without statistics side effects
+     */
+    fitsAt(position, dimensions, rotation) {
+        return this.checkSpatialConstraints(position, dimensions, rotation) &&
+            !this.checkIlotCollisions(position, dimensions, rotation) &&
+            this.checkClearanceRequirements(position, dimensions, rotation);
+    }
+
+    /**
+     * Whether an îlot may take an area: within its size band, or within the
+     * configured min/max îlot size (never further outside than it already is)
+     */
+    isAllowedIlotArea(ilot, area, config) {
+        const band = ilot.sizeBand && this.sizeTargets?.find(target => target.label === ilot.sizeBand);
+        if (band) {
+            return area >= band.minArea && area <= band.maxArea;
+        }
+
+        const current = ilot.dimensions.width * ilot.dimensions.height;
+        const minArea = Math.min(config.minIlotSize.width * config.minIlotSize.height, current);
+        const maxArea = Math.max(config.maxIlotSize.width * config.maxIlotSize.height, current);
+        return area >= minArea && area <= maxArea;
+    }
+
+    getIlotGeometry(ilot) {
+        return {
+            position: [ilot.position.x, ilot.position.y],
+            dimensions: { width: ilot.dimensions.width, height: ilot.dimensions.height },
+            rotation: ilot.rotation || 0
+        };
+    }
+
+    /**
+     * Set position, size and rotation of a placed îlot and re-index it
+     */
+    applyIlotGeometry(ilot, geometry) {
+        const [x, y] = geometry.position;
+        const { width, height } = geometry.dimensions;
+
+        this.unindexPlacedIlot(ilot);
+
+        ilot.area = width * height;
+        ilot.rotation = geometry.rotation;
+        ilot.position.x = x;
+        ilot.position.y = y;
+        ilot.dimensions = { width, height };
+        ilot.polygon = this.createRectanglePolygon(x, y, width, height, geometry.rotation);
+        Object.assign(ilot, this.getFootprintBounds(ilot.polygon));
+
+        this.indexPlacedIlot(ilot);
+    }
+
+    refreshIlotMetrics(ilot) {
+        const position = [ilot.position.x, ilot.position.y];
+
+        this.unindexPlacedIlot(ilot);
+        const clearance = this.extractSafeClearance(
+            this.calculateIlotClearanceFixed(position, ilot.dimensions, ilot.rotation)
+        );
+        this.indexPlacedIlot(ilot);
+
+        const accessibility = this.getSafeNumber(this.calculateAccessibilityScore(position), 0.8);
+        const score = this.getSafeNumber(this.calculateOverallScore(position, ilot.type), 0.8);
+
+        ilot.clearance = clearance;
+        ilot.accessibility = accessibility;
+        ilot.score = score;
+        ilot.validation.clearance = clearance;
+        ilot.validation.accessibility = accessibility;
+        ilot.metadata.placementScore = score;
     }
 
     moveIlot(index, newPosition) {
         try {
-            if (this.placedIlots[index] && this.isValidPoint(newPosition)) {
-                this.placedIlots[index].position.x = newPosition[0];
-                this.placedIlots[index].position.y = newPosition[1];
+            const ilot = this.placedIlots[index];
+            if (ilot && this.isValidPoint(newPosition)) {
+                this.applyIlotGeometry(ilot, { ...this.getIlotGeometry(ilot), position: newPosition });
             }
         } catch (error) {
             this.log('Warning: Failed to move îlot', error);
@@ -2084,6 +3124,17 @@ class IlotPlacementEngine {
             const ilotHeight = config.defaultIlotSize?.height || 2.0;
             const spacing = config.minIlotDistance || 2.0;
 
+            if (requirements.sizePlan) {
+                const positions = [];
+                for (let x = bbox.minX + ilotWidth / 2; x < bbox.maxX - ilotWidth / 2; x += ilotWidth + spacing) {
+                    for (let y = bbox.minY + ilotHeight / 2; y < bbox.maxY - ilotHeight / 2; y += ilotHeight + spacing) {
+                        positions.push([x, y]);
+                    }
+                }
+                await this.executePlannedPlacement(positions, requirements, config);
+                return;
+            }
+
             let placedCount = 0;
 
             for (let x = bbox.minX + ilotWidth / 2;
@@ -2097,7 +3148,7 @@ class IlotPlacementEngine {
                     const worldPos = [x, y];
                     const ilotType = requirements.ilotTypes[placedCount % requirements.ilotTypes.length];
 
-                    const placement = await this.attemptIlotPlacement(worldPos, ilotType, config);
+                    const placement = await this.attemptPlannedPlacement(worldPos, ilotType, requirements, config);
 
                     if (placement) {
                         this.placedIlots.push(placement);
@@ -2123,13 +3174,22 @@ class IlotPlacementEngine {
             let attempts = 0;
             const maxAttempts = config.maxPlacementAttempts || 1000;
 
+            if (requirements.sizePlan) {
+                const positions = Array.from({ length: maxAttempts }, () => [
+                    bbox.minX + this.random.next() * (bbox.maxX - bbox.minX),
+                    bbox.minY + this.random.next() * (bbox.maxY - bbox.minY)
+                ]);
+                await this.executePlannedPlacement(positions, requirements, config);
+                return;
+            }
+
             while (placedCount < requirements.totalIlots && attempts < maxAttempts) {
-                const x = bbox.minX + Math.random() * (bbox.maxX - bbox.minX);
-                const y = bbox.minY + Math.random() * (bbox.maxY - bbox.minY);
+                const x = bbox.minX + this.random.next() * (bbox.maxX - bbox.minX);
+                const y = bbox.minY + this.random.next() * (bbox.maxY - bbox.minY);
                 const worldPos = [x, y];
                 const ilotType = requirements.ilotTypes[placedCount % requirements.ilotTypes.length];
 
-                const placement = await this.attemptIlotPlacement(worldPos, ilotType, config);
+                const placement = await this.attemptPlannedPlacement(worldPos, ilotType, requirements, config);
 
                 if (placement) {
                     this.placedIlots.push(placement);
@@ -2146,6 +3206,99 @@ class IlotPlacementEngine {
         }
     }
 
+    /**
+     * PLACEMENT DIAGNOSTICS
+     */
+
+    /**
+     * Name the constraint that rules out a footprint: the boundary, or the
+     * closest restricted zone or îlot within the îlot spacing
+     * @param {Array} footprint - Îlot footprint polygon
+     * @returns {string} Rejection reason
+     */
+    explainRejection(footprint) {
+        try {
+            const boundary = this.floorPlan.boundary || this.createBoundaryFromBounds();
+            const holes = (this.floorPlan.boundaryHoles || []).filter(hole => this.isValidBoundary(hole));
+            if (!this.geometryEngine.regionContainsPolygon([[boundary, ...holes]], footprint)) {
+                return 'out_of_boundary';
+            }
+
+            const margin = this.getMinClearanceFromConfig();
+            const bbox = this.calculateBoundingBoxFromBoundary(footprint);
+            const closest = this.spatialIndex.search({
+                minX: bbox.minX - margin,
+                minY: bbox.minY - margin,
+                maxX: bbox.maxX + margin,
+                maxY: bbox.maxY + margin
+            })
+                .map(hit => ({ hit, distance: this.geometryEngine.polygonDistance(footprint, this.getIndexedPolygon(hit)) }))
+                .filter(({ distance }) => distance < margin)
+                .sort((a, b) => a.distance - b.distance)[0];
+
+            if (!closest) {
+                return 'unknown';
+            }
+            if (closest.hit.ilot) {
+                return 'collision';
+            }
+            return ZONE_REJECTION_REASONS[closest.hit.zone?.type] || closest.hit.zone?.type || 'unknown';
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+
+    /**
+     * Count a rejection in the grid cell containing a point
+     * @param {Array} point - Candidate position
+     * @param {string} reason - Rejection reason
+     * @param {boolean} excluded - Whether the whole cell was ruled out before placement
+     */
+    recordRejection(point, reason, excluded = false) {
+        if (!this.diagnostics || !this.placementGrid) return;
+
+        const { bbox, resolution, width, height } = this.placementGrid;
+        const x = Math.min(Math.max(Math.floor((point[0] - bbox.minX) / resolution), 0), width - 1);
+        const y = Math.min(Math.max(Math.floor((point[1] - bbox.minY) / resolution), 0), height - 1);
+        const index = y * width + x;
+
+        let cell = this.diagnostics.cells.get(index);
+        if (!cell) {
+            cell = { x, y, center: this.gridToWorld(x, y), excluded: false, rejections: 0, reasons: {} };
+            this.diagnostics.cells.set(index, cell);
+        }
+
+        cell.excluded = cell.excluded || excluded;
+        cell.rejections++;
+        cell.reasons[reason] = (cell.reasons[reason] || 0) + 1;
+        this.diagnostics.totals[reason] = (this.diagnostics.totals[reason] || 0) + 1;
+    }
+
+    /**
+     * Rejection heatmap of the last run: one entry per grid cell with
+     * rejections, counted by reason, plus the grid geometry to draw it
+     * @returns {Object|null} Diagnostics, or null when not enabled
+     */
+    getDiagnostics() {
+        if (!this.diagnostics || !this.placementGrid) return null;
+
+        const { bbox, resolution, width, height } = this.placementGrid;
+        const cells = [...this.diagnostics.cells.values()].map(cell => ({
+            ...cell,
+            // Dominant reason, for colouring the cell
+            reason: Object.entries(cell.reasons).sort((a, b) => b[1] - a[1])[0][0]
+        }));
+
+        return {
+            grid: { bbox, resolution, width, height },
+            totals: { ...this.diagnostics.totals },
+            excludedCells: cells.filter(cell => cell.excluded).length,
+            rejectedCandidates: cells.reduce((sum, cell) => sum + cell.rejections - (cell.excluded ? 1 : 0), 0),
+            maxRejections: cells.reduce((max, cell) => Math.max(max, cell.rejections), 0),
+            cells
+        };
+    }
+
     /**
      * LOGGING AND STATISTICS
      */
@@ -2165,11 +3318,171 @@ class IlotPlacementEngine {
             ...this.placementStats,
             config: this.config,
             placedIlots: this.placedIlots.length,
+            allowedArea: this.allowedArea,
+            lockedIlots: this.placedIlots.filter(ilot => ilot.locked).length,
             spatialEfficiency: this.calculateSpatialEfficiency(),
             averageScore: this.calculateAverageScore(),
+            sizeDistribution: this.calculateSizeDistributionReport(),
+            optimization: this.optimizationResult,
+            adjacency: this.evaluateAdjacencyRules(),
+            diagnostics: this.getDiagnostics(),
+            seed: this.random.seed,
             version: '2.1.0-fixed'
         };
     }
+
+    /**
+     * MULTIPLE LAYOUT ALTERNATIVES
+     */
+
+    /**
+     * Generate layout variants, drop near-identical ones and rank the rest
+     * All variants are scored with this engine's optimization weights so the
+     * breakdowns are comparable
+     * @param {Object} floorPlan - Floor plan with walls, doors, and zones
+     * @param {Object} options - Placement options plus variants (names, default
+     *   all), maxLayouts (default 5), similarityThreshold (default 0.9), seed
+     * @returns {Promise<Object>} { layouts, duplicatesRemoved, seed }
+     */
+    async generateAlternativeLayouts(floorPlan, options = {}) {
+        const { variants = Object.keys(LAYOUT_VARIANTS), maxLayouts = 5, similarityThreshold = 0.9, ...placementOptions } = options;
+        const seed = placementOptions.seed ?? this.config.seed ?? SeededRandom.generateSeed();
+        delete placementOptions.seed;
+
+        const candidates = [];
+        for (const name of variants) {
+            const variant = LAYOUT_VARIANTS[name];
+            if (!variant) {
+                this.log('Warning: Unknown layout variant', { name });
+                continue;
+            }
+
+            const variantSeed = `${seed}:${name}`;
+            const variantOptions = variant.options(this.config);
+            const engine = new IlotPlacementEngine({
+                ...this.options,
+                ...variantOptions,
+                seed: variantSeed
+            });
+
+            // Request options must not undo what makes the variant (e.g. allowRotation for the grid)
+            const runOptions = Object.fromEntries(
+                Object.entries(placementOptions).filter(([key]) => !(key in variantOptions)));
+
+            const ilots = await engine.generateOptimizedPlacement(floorPlan, runOptions);
+            if (ilots.length === 0) continue;
+
+            candidates.push({
+                name,
+                label: variant.label,
+                description: variant.description,
+                seed: variantSeed,
+                ilots,
+                score: engine.calculateScoreBreakdown(this.config.optimizationWeights),
+                adjacency: engine.evaluateAdjacencyRules(),
+                statistics: {
+                    ilotCount: ilots.length,
+                    totalArea: ilots.reduce((sum, ilot) => sum + ilot.area, 0),
+                    totalCapacity: ilots.reduce((sum, ilot) => sum + (ilot.capacity || 0), 0)
+                }
+            });
+        }
+
+        // Best first, so a duplicate always loses against the better-scored layout
+        candidates.sort((a, b) => b.score.overall - a.score.overall);
+
+        const layouts = [];
+        for (const candidate of candidates) {
+            const duplicate = layouts.some(layout =>
+                this.calculateLayoutSimilarity(layout.ilots, candidate.ilots) >= similarityThreshold);
+            if (!duplicate) {
+                layouts.push(candidate);
+            }
+        }
+
+        return {
+            layouts: layouts.slice(0, maxLayouts).map((layout, index) => ({ rank: index + 1, ...layout })),
+            duplicatesRemoved: candidates.length - layouts.length,
+            seed
+        };
+    }
+
+    /**
+     * Share of îlots matched by an îlot of the same size at nearly the same place
+     * @param {Array} ilotsA - First layout
+     * @param {Array} ilotsB - Second layout
+     * @param {number} tolerance - Maximum center distance of matching îlots
+     * @returns {number} Similarity from 0 (different) to 1 (identical)
+     */
+    calculateLayoutSimilarity(ilotsA, ilotsB, tolerance = 0.5) {
+        const total = Math.max(ilotsA.length, ilotsB.length);
+        if (total === 0) return 1;
+
+        const unmatched = [...ilotsB];
+        let matched = 0;
+
+        for (const ilot of ilotsA) {
+            const index = unmatched.findIndex(other =>
+                Math.abs(other.area - ilot.area) < 0.01 &&
+                this.calculateDistance([ilot.position.x, ilot.position.y], [other.position.x, other.position.y]) <= tolerance);
+
+            if (index >= 0) {
+                unmatched.splice(index, 1);
+                matched++;
+            }
+        }
+
+        return matched / total;
+    }
+
+    /**
+     * Compare the achieved îlot size distribution with the target
+     * @returns {Object|null} Per-band target and achieved counts and shares
+     */
+    calculateSizeDistributionReport() {
+        if (!this.sizeTargets) {
+            return null;
+        }
+
+        const placed = this.placedIlots.length;
+        const lastBand = this.sizeTargets[this.sizeTargets.length - 1];
+        const counts = new Map(this.sizeTargets.map(band => [band, 0]));
+        let outsideBands = 0;
+
+        for (const ilot of this.placedIlots) {
+            const area = (ilot?.dimensions?.width || 0) * (ilot?.dimensions?.height || 0);
+            const band = this.sizeTargets.find(candidate => area >= candidate.minArea &&
+                (area < candidate.maxArea || (candidate === lastBand && area <= candidate.maxArea)));
+
+            if (band) {
+                counts.set(band, counts.get(band) + 1);
+            } else {
+                outsideBands++;
+            }
+        }
+
+        const bands = this.sizeTargets.map(band => {
+            const achievedShare = placed > 0 ? counts.get(band) / placed : 0;
+            return {
+                label: band.label,
+                minArea: band.minArea,
+                maxArea: band.maxArea,
+                targetShare: band.share,
+                achievedShare,
+                deviation: achievedShare - band.share,
+                targetCount: band.targetCount,
+                achievedCount: counts.get(band)
+            };
+        });
+
+        return {
+            targetIlots: this.sizeTargets.reduce((sum, band) => sum + band.targetCount, 0),
+            placedIlots: placed,
+            outsideBands,
+            maxDeviation: Math.max(...bands.map(band => Math.abs(band.deviation))),
+            bands
+        };
+    }
 }
 
 module.exports = IlotPlacementEngine;
\ No newline at end of file
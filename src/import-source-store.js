@@ -0,0 +1,60 @@
+/**
+ * Server-side Store for Imported Source Drawings
+ *
+ * Round-trip export re-emits the client's original drawing, but the raw
+ * entity dump is far too large to travel with the floor plan on every API
+ * call. Imports therefore keep their source here under an import id; the
+ * floor plan only carries the id, and export looks the source up again.
+ *
+ * Sources live in memory: the oldest are evicted beyond maxEntries, and
+ * entries expire after ttlMs. An expired or unknown id exports the generated
+ * layers only.
+ *
+ * @author FloorPlan Pro Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+class ImportSourceStore {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 20;
+        this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+        this.entries = new Map();
+    }
+
+    /**
+     * Store a source drawing
+     * @param {Object} source - Source drawing from DxfProcessor.extractSource
+     * @returns {string} Import id
+     */
+    add(source) {
+        const id = crypto.randomUUID();
+
+        this.entries.set(id, { source, storedAt: Date.now() });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return id;
+    }
+
+    /**
+     * Look up a source drawing
+     * @param {string} id - Import id
+     * @returns {Object|null} Source drawing, or null when unknown or expired
+     */
+    get(id) {
+        const entry = this.entries.get(id);
+
+        if (!entry) {
+            return null;
+        }
+        if (Date.now() - entry.storedAt > this.ttlMs) {
+            this.entries.delete(id);
+            return null;
+        }
+        return entry.source;
+    }
+}
+
+module.exports = { ImportSourceStore };
@@ -0,0 +1,370 @@
+/**
+ * Layer Mapping Profiles for DXF Import
+ *
+ * Maps DXF layers, colors and block names to floor plan categories. Every
+ * architecture firm uses its own layer standard, so the mapping is data
+ * instead of code: a profile is an ordered list of rules and the first
+ * matching rule decides the category.
+ *
+ * Rule fields (all optional, every given field must match, case-insensitive):
+ * - category:      walls | redZones | blueZones | boundary | columns | annotations | entrances | ignore
+ * - layers:        exact layer names
+ * - layerContains: substrings of the layer name
+ * - layerPattern:  regular expression tested against the layer name (see below)
+ * - colors:        ACI color indices (BYLAYER resolved through the layer table)
+ * - rgb:           true-color channel ranges, e.g. { r: [200, 255], g: [0, 80] }
+ * - geometryTypes: processed geometry types (polygon, polyline, line, text, insert)
+ * - blockPattern:  regular expression tested against the block name (INSERT
+ *                  name, or the source block of expanded block content)
+ *
+ * Patterns come from unauthenticated requests and run against every layer of
+ * every upload, so they are limited to a subset that cannot backtrack
+ * catastrophically: at most 100 characters and 2 quantifiers, no quantified
+ * groups, no backreferences or lookarounds. Names longer than 255 characters
+ * (the DXF limit) are truncated before matching.
+ *
+ * Entrances are only created from block references; other geometry matched
+ * by an entrance rule (door swings, leaves) is dropped. Columns are only
+ * created from small closed outlines (polygons, circles); see maxColumnArea.
+ *
+ * @author FloorPlan Pro Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CATEGORIES = ['walls', 'redZones', 'blueZones', 'boundary', 'columns', 'annotations', 'entrances', 'ignore'];
+const PATTERN_LIMITS = { maxLength: 100, maxQuantifiers: 2, maxNameLength: 255 };
+
+const BUILT_IN_PROFILES = {
+    default: {
+        name: 'default',
+        description: 'Generic English/Dutch layer names (WALL/MUUR, RED/ENTRANCE/INGANG, BLUE/FORBIDDEN/VERBODEN, COLUMN/KOLOM)',
+        rules: [
+            { category: 'entrances', blockPattern: 'DOOR|ENTRANCE' },
+            { category: 'walls', layerContains: ['WALL', 'MUUR'] },
+            { category: 'columns', layerContains: ['COLUMN', 'KOLOM', 'PILLAR', 'STRUCT', 'CONSTRUCTIE'] },
+            { category: 'redZones', layerContains: ['RED', 'ENTRANCE', 'INGANG'] },
+            { category: 'blueZones', layerContains: ['BLUE', 'FORBIDDEN', 'VERBODEN'] },
+            { category: 'boundary', layerContains: ['BOUNDARY', 'OUTLINE', 'GRENS'] },
+            // Zones drawn on generic layers and told apart by color only
+            { category: 'redZones', geometryTypes: ['polygon'], colors: [1] },
+            { category: 'redZones', geometryTypes: ['polygon'], rgb: { r: [180, 255], g: [0, 90], b: [0, 90] } },
+            { category: 'blueZones', geometryTypes: ['polygon'], colors: [5] },
+            { category: 'blueZones', geometryTypes: ['polygon'], rgb: { r: [0, 90], g: [0, 140], b: [180, 255] } }
+        ]
+    },
+    aia: {
+        name: 'aia',
+        description: 'AIA CAD Layer Guidelines / US National CAD Standard',
+        rules: [
+            { category: 'entrances', blockPattern: 'DOOR|ENTR' },
+            { category: 'entrances', layerPattern: '^A-DOOR' },
+            { category: 'walls', layerPattern: '^[AS]-WALL' },
+            { category: 'columns', layerPattern: '^[AS]-COLS' },
+            { category: 'redZones', layerPattern: '^A-AREA-ENTR' },
+            { category: 'blueZones', layerPattern: '^A-(FLOR-(EVTR|STRS|SHFT)|AREA-RSTR)' },
+            { category: 'boundary', layerPattern: '^A-(FLOR-OTLN|AREA-GROS)' },
+            { category: 'annotations', layerPattern: '^A-(ANNO-TEXT|AREA-IDEN)' },
+            { category: 'ignore', layerPattern: '^A-(FURN|EQPM|ANNO-DIMS|GLAZ)' }
+        ]
+    },
+    iso13567: {
+        name: 'iso13567',
+        description: 'ISO 13567 layer names with SfB element codes (agent, element, presentation)',
+        rules: [
+            { category: 'entrances', blockPattern: 'DOOR|DEUR' },
+            { category: 'entrances', layerPattern: '^..3[12]' },
+            { category: 'walls', layerPattern: '^..2[12]' },
+            { category: 'columns', layerPattern: '^..28' },
+            { category: 'blueZones', layerPattern: '^..(24|66)' },
+            { category: 'boundary', layerPattern: '^..23' }
+        ]
+    }
+};
+
+class LayerProfileStore {
+    constructor(options = {}) {
+        this.storagePath = options.storagePath || null;
+        this.profiles = new Map(Object.entries(BUILT_IN_PROFILES));
+        this.activeProfile = 'default';
+
+        this.load();
+    }
+
+    /**
+     * Load stored custom profiles and the active profile name
+     */
+    load() {
+        if (!this.storagePath || !fs.existsSync(this.storagePath)) {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+
+            for (const profile of stored.profiles || []) {
+                this.profiles.set(profile.name, LayerProfileStore.validateProfile(profile));
+            }
+            if (stored.activeProfile && this.profiles.has(stored.activeProfile)) {
+                this.activeProfile = stored.activeProfile;
+            }
+        } catch (error) {
+            console.error('[LayerProfileStore] Failed to load stored profiles:', error.message);
+        }
+    }
+
+    /**
+     * Persist custom profiles and the active profile name
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (!this.storagePath) {
+            return;
+        }
+
+        const profiles = this.list().filter(profile => !profile.builtIn).map(({ builtIn, ...profile }) => profile);
+
+        await fs.promises.mkdir(path.dirname(this.storagePath), { recursive: true });
+        await fs.promises.writeFile(
+            this.storagePath,
+            JSON.stringify({ activeProfile: this.activeProfile, profiles }, null, 2)
+        );
+    }
+
+    /**
+     * List all profiles
+     * @returns {Array} Profiles with a builtIn flag
+     */
+    list() {
+        return [...this.profiles.values()].map(profile => ({
+            ...profile,
+            builtIn: Boolean(BUILT_IN_PROFILES[profile.name])
+        }));
+    }
+
+    /**
+     * Get a profile by name (the active profile when no name is given)
+     * @param {string} name - Profile name
+     * @returns {Object|null} Profile
+     */
+    get(name) {
+        return this.profiles.get(name || this.activeProfile) || null;
+    }
+
+    /**
+     * Create or replace a custom profile
+     * @param {Object} profile - Profile definition
+     * @returns {Promise<Object>} Stored profile
+     */
+    async set(profile) {
+        const validated = LayerProfileStore.validateProfile(profile);
+
+        if (BUILT_IN_PROFILES[validated.name]) {
+            throw new Error(`Built-in profile '${validated.name}' cannot be replaced`);
+        }
+
+        const previous = this.profiles.get(validated.name);
+        this.profiles.set(validated.name, validated);
+
+        try {
+            await this.save();
+        } catch (error) {
+            if (previous) {
+                this.profiles.set(validated.name, previous);
+            } else {
+                this.profiles.delete(validated.name);
+            }
+            throw error;
+        }
+        return validated;
+    }
+
+    /**
+     * Delete a custom profile
+     * @param {string} name - Profile name
+     * @returns {Promise<boolean>} Whether a profile was deleted
+     */
+    async delete(name) {
+        if (BUILT_IN_PROFILES[name]) {
+            throw new Error(`Built-in profile '${name}' cannot be deleted`);
+        }
+        const previous = this.profiles.get(name);
+        if (!previous) {
+            return false;
+        }
+
+        const previousActive = this.activeProfile;
+        this.profiles.delete(name);
+        if (this.activeProfile === name) {
+            this.activeProfile = 'default';
+        }
+
+        try {
+            await this.save();
+        } catch (error) {
+            this.profiles.set(name, previous);
+            this.activeProfile = previousActive;
+            throw error;
+        }
+        return true;
+    }
+
+    /**
+     * Select the profile used when an import does not name one
+     * @param {string} name - Profile name
+     * @returns {Promise<Object>} Active profile
+     */
+    async setActive(name) {
+        if (!this.profiles.has(name)) {
+            throw new Error(`Unknown layer profile: ${name}`);
+        }
+
+        const previousActive = this.activeProfile;
+        this.activeProfile = name;
+
+        try {
+            await this.save();
+        } catch (error) {
+            this.activeProfile = previousActive;
+            throw error;
+        }
+        return this.get(name);
+    }
+
+    /**
+     * Validate a profile definition
+     * @param {Object} profile - Profile definition
+     * @returns {Object} Normalized profile
+     */
+    static validateProfile(profile) {
+        if (!profile || typeof profile.name !== 'string' || !/^[\w.-]{1,64}$/.test(profile.name)) {
+            throw new Error('Profile name must be 1-64 letters, digits, dots, dashes or underscores');
+        }
+        if (!Array.isArray(profile.rules) || profile.rules.length === 0) {
+            throw new Error('Profile must define at least one rule');
+        }
+
+        const rules = profile.rules.map((rule, index) => {
+            if (!CATEGORIES.includes(rule.category)) {
+                throw new Error(`Rule ${index}: category must be one of ${CATEGORIES.join(', ')}`);
+            }
+
+            for (const field of ['layerPattern', 'blockPattern']) {
+                if (rule[field] !== undefined) {
+                    try {
+                        compilePattern(rule[field]);
+                    } catch (error) {
+                        throw new Error(`Rule ${index}: invalid ${field}: ${error.message}`);
+                    }
+                }
+            }
+
+            for (const field of ['layers', 'layerContains', 'colors', 'geometryTypes']) {
+                if (rule[field] !== undefined && !Array.isArray(rule[field])) {
+                    throw new Error(`Rule ${index}: ${field} must be an array`);
+                }
+            }
+
+            if (rule.rgb !== undefined) {
+                const channels = Object.entries(rule.rgb || {});
+                const valid = channels.length > 0 && channels.every(([channel, range]) =>
+                    ['r', 'g', 'b'].includes(channel) && Array.isArray(range) && range.length === 2 &&
+                    range.every(value => Number.isInteger(value) && value >= 0 && value <= 255)
+                );
+                if (!valid) {
+                    throw new Error(`Rule ${index}: rgb must map r/g/b to [min, max] ranges within 0-255`);
+                }
+            }
+
+            return { ...rule };
+        });
+
+        return {
+            name: profile.name,
+            description: profile.description || '',
+            rules
+        };
+    }
+}
+
+/**
+ * Check that a pattern stays within the safe regular expression subset
+ * @param {string} pattern - Pattern source
+ * @throws {Error} When the pattern is too long or uses unsafe constructs
+ */
+function validatePattern(pattern) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+        throw new Error('pattern must be a non-empty string');
+    }
+    if (pattern.length > PATTERN_LIMITS.maxLength) {
+        throw new Error(`pattern must be at most ${PATTERN_LIMITS.maxLength} characters`);
+    }
+
+    let quantifiers = 0;
+    let previous = null; // 'atom' | 'group' | 'quantifier'
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\') {
+            if (!inClass && /[1-9k]/.test(pattern[i + 1] || '')) {
+                throw new Error('backreferences are not supported');
+            }
+            i++;
+            previous = 'atom';
+        } else if (inClass) {
+            if (char === ']') {
+                inClass = false;
+                previous = 'atom';
+            }
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            if (pattern[i + 1] === '?') {
+                if (pattern[i + 2] !== ':') {
+                    throw new Error('lookarounds and named groups are not supported');
+                }
+                i += 2;
+            }
+            previous = null;
+        } else if (char === ')') {
+            previous = 'group';
+        } else if ('*+?{'.includes(char)) {
+            const range = char === '{' ? /^\{\d+(,\d*)?\}/.exec(pattern.slice(i)) : null;
+
+            if (char === '{' && !range) {
+                previous = 'atom'; // literal brace
+            } else if (char === '?' && previous === 'quantifier') {
+                previous = 'atom'; // lazy modifier
+            } else {
+                if (previous === 'group') {
+                    throw new Error('quantified groups are not supported');
+                }
+                if (++quantifiers > PATTERN_LIMITS.maxQuantifiers) {
+                    throw new Error(`pattern may use at most ${PATTERN_LIMITS.maxQuantifiers} quantifiers`);
+                }
+                if (range) {
+                    i += range[0].length - 1;
+                }
+                previous = 'quantifier';
+            }
+        } else {
+            previous = 'atom';
+        }
+    }
+}
+
+/**
+ * Compile a layer or block pattern after checking it against the safe subset
+ * @param {string} pattern - Pattern source
+ * @returns {RegExp} Case-insensitive expression
+ */
+function compilePattern(pattern) {
+    validatePattern(pattern);
+    return new RegExp(pattern, 'i');
+}
+
+module.exports = { LayerProfileStore, BUILT_IN_PROFILES, CATEGORIES, PATTERN_LIMITS, compilePattern };
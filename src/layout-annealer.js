@@ -0,0 +1,113 @@
+/**
+ * Simulated Annealing for Îlot Layouts
+ *
+ * Generic improvement loop shared by the placement engine and the îlots
+ * manager. The caller describes the layout as a problem with four hooks:
+ *
+ * - evaluate()          objective of the current layout (higher is better)
+ * - propose(progress)   apply a random modification and return { undo },
+ *                       or null when no valid modification was found;
+ *                       progress runs from 0 to 1 and can shrink step sizes
+ * - snapshot()          capture the current layout
+ * - restore(snapshot)   bring a captured layout back
+ *
+ * Worse layouts are accepted with probability exp(delta / temperature) and
+ * the temperature cools geometrically over the iteration budget, so a run
+ * depends only on its random source. The time limit is a safety cutoff: a run
+ * that hits it stops early and reports stopReason 'time_limit'. The best
+ * layout seen is restored at the end.
+ *
+ * @author FloorPlan Pro Team
+ * @version 1.0.0
+ */
+
+class LayoutAnnealer {
+    constructor(options = {}) {
+        this.maxIterations = options.maxIterations || 200;
+        this.timeLimitMs = options.timeLimitMs || 5000;
+        this.initialTemperature = options.initialTemperature || 0.05;
+        this.finalTemperature = options.finalTemperature || 0.0001;
+        this.traceInterval = options.traceInterval || 25;
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Run the annealing loop
+     * @param {Object} problem - Problem hooks (evaluate, propose, snapshot, restore)
+     * @returns {Promise<Object>} Objective before/after, counters and objective trace
+     */
+    async run(problem) {
+        const startTime = Date.now();
+        const initialObjective = problem.evaluate();
+
+        let current = initialObjective;
+        let best = initialObjective;
+        let bestSnapshot = problem.snapshot();
+        let accepted = 0;
+        let improved = 0;
+        let iteration = 0;
+        let stopReason = 'iterations';
+
+        const trace = [{ iteration: 0, elapsedMs: 0, objective: current, best }];
+
+        while (iteration < this.maxIterations) {
+            if (Date.now() - startTime >= this.timeLimitMs) {
+                stopReason = 'time_limit';
+                break;
+            }
+
+            const progress = iteration / this.maxIterations;
+            const temperature = this.initialTemperature *
+                Math.pow(this.finalTemperature / this.initialTemperature, progress);
+
+            iteration++;
+            const move = problem.propose(progress);
+
+            if (move) {
+                const candidate = problem.evaluate();
+                const delta = candidate - current;
+
+                if (delta >= 0 || this.random() < Math.exp(delta / temperature)) {
+                    current = candidate;
+                    accepted++;
+
+                    if (current > best + 1e-9) {
+                        best = current;
+                        bestSnapshot = problem.snapshot();
+                        improved++;
+                    }
+                } else {
+                    move.undo();
+                }
+            }
+
+            if (iteration % this.traceInterval === 0) {
+                trace.push({ iteration, elapsedMs: Date.now() - startTime, objective: current, best });
+
+                // Let other requests run during long optimizations
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        }
+
+        if (best > current) {
+            problem.restore(bestSnapshot);
+        }
+
+        const durationMs = Date.now() - startTime;
+        trace.push({ iteration, elapsedMs: durationMs, objective: best, best });
+
+        return {
+            initialObjective,
+            finalObjective: best,
+            improvement: best - initialObjective,
+            iterations: iteration,
+            accepted,
+            improved,
+            durationMs,
+            stopReason,
+            trace
+        };
+    }
+}
+
+module.exports = LayoutAnnealer;
@@ -0,0 +1,58 @@
+/**
+ * Seeded Pseudo-Random Number Generator
+ *
+ * Mulberry32 generator so that placement runs can be replayed: the same seed
+ * yields the same sequence, and with it the same layout. Seeds may be numbers
+ * or strings (hashed with FNV-1a). When no seed is given a fresh one is drawn,
+ * which callers echo back so the run can be reproduced later.
+ *
+ * @author FloorPlan Pro Team
+ * @version 1.0.0
+ */
+
+class SeededRandom {
+    constructor(seed) {
+        this.seed = (seed === undefined || seed === null || seed === '') ? SeededRandom.generateSeed() : seed;
+        this.state = SeededRandom.hashSeed(this.seed);
+    }
+
+    /**
+     * Draw a new random seed
+     * @returns {number} 32-bit unsigned seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Reduce a number or string seed to 32-bit generator state
+     * @param {number|string} seed - Seed
+     * @returns {number} 32-bit unsigned state
+     */
+    static hashSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        let hash = 0x811c9dc5;
+        for (const char of String(seed)) {
+            hash ^= char.codePointAt(0);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next number in [0, 1), a drop-in replacement for Math.random()
+     * @returns {number} Random number
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+}
+
+module.exports = SeededRandom;
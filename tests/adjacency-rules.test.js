@@ -0,0 +1,101 @@
+const { expect } = require('chai');
+const { AdjacencyRules } = require('../src/adjacency-rules');
+const GeometryEngine = require('../src/geometry-engine');
+const IlotPlacementEngine = require('../src/ilot-placement-engine');
+
+describe('Adjacency rules', () => {
+    const ilot = (id, type, x, y) => ({
+        id,
+        type,
+        polygon: [[x, y], [x + 2, y], [x + 2, y + 2], [x, y + 2]]
+    });
+    const layout = [
+        ilot('m1', 'meeting', 0, 0),
+        ilot('m2', 'meeting', 3, 0),
+        ilot('w1', 'workspace', 20, 0)
+    ];
+    const geometryEngine = new GeometryEngine({ tolerance: 0.001 });
+    const byId = result => Object.fromEntries(result.rules.map(rule => [rule.id, rule]));
+
+    it('scores near, far and cluster rules edge to edge', () => {
+        const result = byId(new AdjacencyRules([
+            { id: 'near', type: 'near', subject: 'workspace', target: 'meeting', distance: 4 },
+            { id: 'far', type: 'far', subject: 'workspace', target: 'meeting', distance: 10 },
+            { id: 'cluster', type: 'cluster', subject: 'meeting', distance: 1.5 }
+        ], { geometryEngine }).evaluate(layout));
+
+        expect(result.near.status).to.equal('violated');
+        expect(result.near.score).to.be.closeTo(4 / 15, 1e-9);
+        expect(result.near.violations).to.deep.equal(['w1']);
+        expect(result.far.status).to.equal('satisfied');
+        expect(result.cluster.status).to.equal('satisfied');
+    });
+
+    it('reports rules without subject îlots as not applicable', () => {
+        const result = new AdjacencyRules([{ type: 'near', subject: 'kitchen', target: 'meeting' }], { geometryEngine })
+            .evaluate(layout);
+
+        expect(result.rules[0].status).to.equal('not_applicable');
+        expect(result.score).to.equal(1);
+    });
+
+    it('keeps ids from the input position and reports invalid rules with their error', () => {
+        const result = new AdjacencyRules([
+            { type: 'near', subject: 'workspace', target: 'meeting' },
+            { type: 'beside', subject: 'workspace' },
+            { type: 'far', subject: 'workspace', target: 'meeting' },
+            { id: 'lobby', type: 'adjacent', subject: 'meeting', target: 'entrance' }
+        ], { geometryEngine }).evaluate(layout);
+        const rules = byId(result);
+
+        expect(Object.keys(rules)).to.have.members(['rule_1', 'rule_2', 'rule_3', 'lobby']);
+        expect(rules.rule_3.type).to.equal('far');
+        expect(rules.rule_2).to.include({ status: 'invalid', type: 'beside' });
+        expect(rules.rule_2.error).to.match(/^Rule rule_2: type must be one of/);
+        expect(rules.lobby.error).to.match(/adjacent rules need an îlot type/);
+        expect(result.invalid).to.equal(2);
+    });
+
+    it('returns rejected rules in the placement statistics', async () => {
+        const engine = new IlotPlacementEngine({ seed: 2 });
+        await engine.generateOptimizedPlacement({
+            walls: [],
+            bounds: { minX: 0, minY: 0, maxX: 20, maxY: 15 },
+            entrances: [],
+            restrictedAreas: [],
+            forbiddenZones: []
+        }, {
+            adjacencyRules: [
+                { type: 'cluster', subject: 'workspace' },
+                { type: 'near', subject: 'workspace', distance: -1 }
+            ]
+        });
+        const rules = engine.getStatistics().adjacency.rules;
+
+        expect(rules.map(rule => [rule.id, rule.status === 'invalid'])).to.deep.equal([
+            ['rule_1', false],
+            ['rule_2', true]
+        ]);
+        expect(rules[1].error).to.match(/distance must be a positive number/);
+    });
+
+    it('targets the entrances and red zones of an imported plan', () => {
+        const engine = new IlotPlacementEngine({ seed: 2 });
+        engine.floorPlan = engine.validateAndSanitizeFloorPlan({
+            walls: [],
+            bounds: { minX: 0, minY: 0, maxX: 20, maxY: 15 },
+            entrances: [{ id: 'entrance_1', type: 'entrance', position: [19.5, 7.5] }],
+            redZones: [{ polygon: [[0, 6.5], [1, 6.5], [1, 8.5], [0, 8.5]] }]
+        });
+        engine.adjacencyRules = new AdjacencyRules([
+            { id: 'lobby', type: 'near', subject: 'meeting', target: 'entrance', distance: 2 }
+        ], { geometryEngine });
+        engine.placedIlots = [ilot('m1', 'meeting', 2, 7), ilot('m2', 'meeting', 10, 7), ilot('m3', 'meeting', 16, 7)];
+
+        const lobby = engine.evaluateAdjacencyRules().rules[0];
+
+        expect(engine.floorPlan.entrances).to.have.length(1);
+        expect(lobby.status).to.equal('violated');
+        expect(lobby.violations).to.deep.equal(['m2']);
+    });
+});
@@ -0,0 +1,72 @@
+const { expect } = require('chai');
+const DxfProcessor = require('../src/dxf-processor');
+const GeometryEngine = require('../src/geometry-engine');
+const IlotPlacementEngine = require('../src/ilot-placement-engine');
+const CorridorGenerator = require('../src/corridor-generator');
+const { buildDxf, polygon } = require('./helpers/dxf');
+
+describe('Columns and structural obstacles', () => {
+    const geometry = new GeometryEngine({ tolerance: 0.001 });
+    const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size]];
+
+    // Gap between two non-crossing polygons (0 when one has a vertex inside the other)
+    const polygonDistance = (a, b) => {
+        if (a.some(point => geometry.pointInPolygon(point, b)) || b.some(point => geometry.pointInPolygon(point, a))) {
+            return 0;
+        }
+        let distance = Infinity;
+        for (const [points, outline] of [[a, b], [b, a]]) {
+            for (const point of points) {
+                outline.forEach((start, index) => {
+                    distance = Math.min(distance, geometry.pointToSegmentDistance(point, start, outline[(index + 1) % outline.length]));
+                });
+            }
+        }
+        return distance;
+    };
+
+    it('imports small closed outlines on structural layers as columns', async () => {
+        const circle = [[0, 'CIRCLE'], [8, 'COLUMNS'], [10, 8], [20, 4], [30, 0], [40, 0.3]];
+        const { floorPlan } = await new DxfProcessor({ detectRooms: false }).parseDxfFile(buildDxf({
+            layers: [{ name: 'COLUMNS' }],
+            entities: [polygon('COLUMNS', square(2, 2, 0.4)), circle, polygon('COLUMNS', square(10, 10, 8))]
+        }));
+
+        expect(floorPlan.columns.map(column => column.shape)).to.have.members(['polygon', 'circle']);
+        expect(floorPlan.columns.find(column => column.shape === 'circle').center).to.deep.equal([8, 4]);
+    });
+
+    it('keeps placed îlots clear of columns', async () => {
+        const columns = [];
+        for (const x of [5, 10, 15]) {
+            for (const y of [5, 10]) {
+                columns.push({ polygon: square(x - 0.2, y - 0.2, 0.4) });
+            }
+        }
+        const engine = new IlotPlacementEngine({ seed: 5, columnClearance: 0.5 });
+        const ilots = await engine.generateOptimizedPlacement(
+            { walls: [], bounds: { minX: 0, minY: 0, maxX: 20, maxY: 15 }, columns },
+            { sizeDistribution: { '1-3': 50, '3-5': 50 } });
+
+        expect(ilots.length).to.be.above(4);
+        ilots.forEach(ilot => columns.forEach(column =>
+            expect(polygonDistance(ilot.polygon, column.polygon)).to.be.at.least(0.5)));
+    });
+
+    it('routes corridors around columns with their clearance', async () => {
+        const column = square(9, 7, 1);
+        const entrance = { id: 'entrance_1', type: 'entrance', position: [1, 7.5] };
+        const ilot = { id: 'ilot_1', type: 'ilot', position: [18, 7.5], width: 2, height: 2 };
+        const generator = new CorridorGenerator({ columnClearance: 0.5 });
+
+        const corridors = await generator.generateCorridorNetwork(
+            { entrances: [entrance], columns: [{ polygon: column }] },
+            [[0, 0], [20, 0], [20, 15], [0, 15]],
+            [ilot, entrance]
+        );
+
+        expect(generator.checkConnectivity()).to.include({ allConnected: true });
+        corridors.flatMap(corridor => corridor.centerline).forEach(point =>
+            expect(polygonDistance([point], column)).to.be.at.least(0.5 + generator.config.defaultWidth / 2 - 0.05));
+    });
+});
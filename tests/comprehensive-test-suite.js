@@ -0,0 +1,17 @@
+/**
+ * Comprehensive Test Suite
+ *
+ * Entry point for `npm test`: loads every *.test.js file in this directory so
+ * each module keeps its behaviour checks next to the others.
+ *
+ * @author FloorPlan Pro Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.test.js'))
+    .sort()
+    .forEach(file => require(path.join(__dirname, file)));
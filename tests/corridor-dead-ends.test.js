@@ -0,0 +1,49 @@
+const { expect } = require('chai');
+const { room, entrance, ilot, generateNetwork, pathGenerator } = require('./helpers/corridors');
+
+describe('Corridor dead ends', () => {
+    // A corridor from the entrance across the room, and a long hook off its far end
+    const createGenerator = () => pathGenerator([
+        ['entrance_1', 'east', [[1, 7], [29, 7]]],
+        ['junction', 'hook', [[25, 7], [25, 1], [5, 1]]]
+    ], { options: { maxDeadEndLength: 10 }, destinations: [entrance([1, 7])] });
+    const hookEnd = deadEnd => deadEnd.position[0] === 5 && deadEnd.position[1] === 1;
+
+    it('measures each dead end up to its junction, ignoring entrances', async () => {
+        const generator = await createGenerator();
+        const deadEnds = generator.findDeadEnds();
+
+        expect(deadEnds.map(deadEnd => deadEnd.length).sort((a, b) => a - b)).to.deep.equal([4, 26]);
+        const hook = deadEnds.find(hookEnd);
+        expect(hook.junction).to.not.equal(null);
+        expect(hook.nodes).to.have.length(2);
+    });
+
+    it('closes dead ends longer than the limit with a shortcut', async () => {
+        const generator = await createGenerator();
+        await generator.addRedundantPaths();
+        const deadEnds = generator.findDeadEnds();
+
+        expect([...generator.pathNetwork.keys()].some(id => id.startsWith('loop_1'))).to.equal(true);
+        expect(deadEnds.some(hookEnd)).to.equal(false);
+        deadEnds.forEach(deadEnd => expect(deadEnd.length).to.be.at.most(10));
+    });
+
+    it('closes a loop on a chain-shaped row layout', async () => {
+        const ilots = [];
+        for (let i = 0; i < 5; i++) {
+            ilots.push(ilot(`a${i}`, [4 + i * 5, 5.75]), ilot(`b${i}`, [4 + i * 5, 10.25]));
+        }
+
+        const { generator, corridors } = await generateNetwork({
+            options: { layoutMode: 'rows', requireRedundantPaths: true, maxDeadEndLength: 5 },
+            room: room(30, 20),
+            entrance: entrance([15, 0.5]),
+            ilots
+        });
+
+        expect(corridors.filter(corridor => corridor.metadata.kind === 'redundant')).to.have.length(1);
+        generator.deadEnds.forEach(deadEnd => expect(deadEnd.length).to.be.at.most(5));
+        expect(generator.checkConnectivity()).to.include({ allConnected: true });
+    });
+});
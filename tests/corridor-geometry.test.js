@@ -0,0 +1,55 @@
+const { expect } = require('chai');
+const GeometryEngine = require('../src/geometry-engine');
+const { ilot, generateNetwork } = require('./helpers/corridors');
+
+describe('Corridor region geometry', () => {
+    const geometry = new GeometryEngine({ tolerance: 0.001 });
+    const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size]];
+
+    it('buffers a centerline with butt or round ends', () => {
+        const butt = geometry.bufferPolyline([[0, 0], [10, 0]], 1, { endType: 'butt' });
+        const round = geometry.bufferPolyline([[0, 0], [10, 0]], 1, { endType: 'round' });
+
+        expect(geometry.calculateRegionArea(butt)).to.be.closeTo(20, 1e-3);
+        expect(geometry.calculateRegionArea(round)).to.be.closeTo(20 + Math.PI, 0.05);
+    });
+
+    it('fills the outer corner of a mitered bend', () => {
+        const region = geometry.bufferPolyline([[0, 0], [10, 0], [10, 10]], 1, { joinType: 'miter', endType: 'butt' });
+
+        expect(region).to.have.length(1);
+        expect(geometry.calculateRegionArea(region)).to.be.closeTo(40, 1e-3);
+        expect(geometry.pointInRegion([10.9, -0.9], region)).to.equal(true);
+    });
+
+    it('merges overlapping outlines so shared area counts once', () => {
+        const merged = geometry.unionRegions([[[square(0, 0, 4)]], [[square(2, 2, 4)]]]);
+
+        expect(merged).to.have.length(1);
+        expect(geometry.calculateRegionArea(merged)).to.be.closeTo(28, 1e-3);
+    });
+
+    it('keeps the hole enclosed by a loop of corridors', () => {
+        const loop = [[[0, 0], [10, 0]], [[10, 0], [10, 10]], [[10, 10], [0, 10]], [[0, 10], [0, 0]]]
+            .map(path => geometry.bufferPolyline(path, 1, { endType: 'square' }));
+        const merged = geometry.unionRegions(loop);
+
+        expect(merged).to.have.length(1);
+        expect(merged[0]).to.have.length(2);
+        expect(geometry.pointInRegion([5, 5], merged)).to.equal(false);
+        expect(geometry.pointInRegion([0, 5], merged)).to.equal(true);
+        expect(geometry.calculateRegionArea(merged)).to.be.closeTo(144 - 64, 1e-3);
+    });
+
+    it('reports the merged network area of generated corridors', async () => {
+        const ilots = [[10, 3], [10, 11], [20, 7]].map((position, index) => ilot(`ilot_${index + 1}`, position));
+        const { generator, corridors } = await generateNetwork({ ilots });
+        const stats = generator.getStatistics();
+        const summedArea = corridors.reduce((sum, corridor) => sum + corridor.area, 0);
+
+        expect(corridors.length).to.be.above(1);
+        expect(stats.networkArea).to.be.above(0).and.at.most(summedArea + 1e-6);
+        corridors.forEach(corridor => corridor.centerline.forEach(point =>
+            expect(geometry.pointInRegion(point, stats.networkRegion)).to.equal(true)));
+    });
+});
@@ -0,0 +1,48 @@
+const { expect } = require('chai');
+const { entrance, ilot, graphGenerator } = require('./helpers/corridors');
+
+describe('Corridor network graph', () => {
+    // A main corridor along y = 5 with a branch up at x = 10, and a separate corridor at x = 25
+    const createGenerator = destinations => graphGenerator([
+        { id: 'corridor_main', width: 1.8, centerline: [[0, 5], [20, 5]] },
+        { id: 'corridor_branch', width: 1.8, centerline: [[10, 5], [10, 12]] },
+        { id: 'corridor_island', width: 1.8, centerline: [[25, 0], [25, 10]] }
+    ], destinations);
+
+    it('splits centerlines at junctions', () => {
+        const { nodes, edges } = createGenerator([]).networkGraph;
+        const junction = nodes.find(node => node.position[0] === 10 && node.position[1] === 5);
+
+        expect(nodes).to.have.length(6);
+        expect(edges).to.have.length(4);
+        expect(junction).to.include({ type: 'junction', degree: 3 });
+        expect(edges.filter(edge => edge.corridorId === 'corridor_main').map(edge => edge.length)).to.deep.equal([10, 10]);
+    });
+
+    it('reports îlots off the network or cut off from the entrances', () => {
+        const generator = createGenerator([
+            entrance([0, 5]),
+            ilot('served', [10, 13.5]),
+            ilot('island', [27, 5]),
+            ilot('stranded', [15, 0])
+        ]);
+        const connectivity = generator.checkConnectivity();
+
+        expect(connectivity.allConnected).to.equal(false);
+        expect(connectivity.components).to.equal(2);
+        expect(connectivity.unreachableEntrances).to.deep.equal([]);
+        expect(connectivity.unreachableIlots).to.have.members(['island', 'stranded']);
+        expect(connectivity.score).to.be.closeTo(2 / 4, 1e-9);
+    });
+
+    it('measures graph distances from the entrances along the edges', () => {
+        const generator = createGenerator([]);
+        const start = generator.networkGraph.nodes.find(node => node.position[0] === 0);
+        const distances = generator.graphDistances([start.id]);
+        const branchEnd = generator.networkGraph.nodes.find(node => node.position[1] === 12);
+        const islandNode = generator.networkGraph.nodes.find(node => node.position[0] === 25);
+
+        expect(distances.get(branchEnd.id)).to.equal(17);
+        expect(distances.has(islandNode.id)).to.equal(false);
+    });
+});
@@ -0,0 +1,29 @@
+const { expect } = require('chai');
+const CorridorGenerator = require('../src/corridor-generator');
+const { ilot, generateNetwork } = require('./helpers/corridors');
+
+describe('Corridor hierarchy', () => {
+    it('derives access and main widths from the default width', () => {
+        const narrow = new CorridorGenerator({ defaultWidth: 1.2, minWidth: 1.5, maxWidth: 3 }).getHierarchyWidths();
+        const standard = new CorridorGenerator({ defaultWidth: 1.8, minWidth: 1.5, maxWidth: 3 }).getHierarchyWidths();
+
+        expect(narrow.access).to.equal(1.2);
+        expect(narrow.secondary).to.equal(1.2);
+        expect(narrow.main).to.be.closeTo(1.8, 1e-9);
+        expect(standard.access).to.equal(1.5);
+        expect(standard.secondary).to.equal(1.8);
+        expect(standard.main).to.be.closeTo(2.7, 1e-9);
+    });
+
+    it('keeps access paths no wider than secondary corridors and main ones no narrower', async () => {
+        const ilots = [[8, 3], [8, 11], [16, 3], [16, 11], [24, 7]]
+            .map((position, index) => ilot(`ilot_${index + 1}`, position, { capacity: 4 }));
+        const { corridors } = await generateNetwork({ options: { defaultWidth: 1.2, minWidth: 1.5, maxWidth: 3 }, ilots });
+        const widths = role => corridors.filter(corridor => corridor.role === role).map(corridor => corridor.width);
+
+        expect(widths('main')).to.not.be.empty;
+        corridors.forEach(corridor => expect(corridor.width).to.be.at.most(1.8 + 1e-9));
+        expect(Math.max(...widths('access'))).to.be.at.most(Math.min(...widths('secondary'), ...widths('main')));
+        expect(Math.min(...widths('main'))).to.be.at.least(Math.max(...widths('secondary'), ...widths('access')));
+    });
+});
@@ -0,0 +1,55 @@
+const { expect } = require('chai');
+const { entrance, ilot, generateNetwork } = require('./helpers/corridors');
+
+describe('Row corridors', () => {
+    // Two rows of five 3×2 îlots along x, `gap` meters apart around y = 7
+    const facingRows = gap => {
+        const ilots = [];
+        for (let i = 0; i < 5; i++) {
+            ilots.push(ilot(`a${i}`, [3 + i * 5, 7 - gap / 2 - 1]), ilot(`b${i}`, [3 + i * 5, 7 + gap / 2 + 1]));
+        }
+        return ilots;
+    };
+
+    const generate = async (ilots, floorPlan = {}, options = {}) => {
+        const { generator, corridors } = await generateNetwork({
+            options: { layoutMode: 'rows', ...options },
+            entrance: entrance([0.5, 7]),
+            ilots,
+            floorPlan
+        });
+        return { generator, corridors, rows: corridors.filter(corridor => corridor.metadata.kind === 'row') };
+    };
+
+    it('reaches every îlot of two rows 4 m apart', async () => {
+        const { generator, rows, corridors } = await generate(facingRows(4), {}, { defaultWidth: 1.2 });
+
+        expect(rows).to.have.length(1);
+        expect(rows[0].width).to.equal(3);
+        expect(corridors.filter(corridor => corridor.metadata.kind === 'stub')).to.have.length(10);
+        expect(generator.checkConnectivity()).to.include({ allConnected: true });
+    });
+
+    it('fills a gap narrower than the maximum width without stubs', async () => {
+        const { generator, rows, corridors } = await generate(facingRows(2.5));
+
+        expect(rows[0].width).to.equal(2.5);
+        expect(corridors.some(corridor => corridor.metadata.kind === 'stub')).to.equal(false);
+        expect(generator.checkConnectivity().unreachableIlots).to.deep.equal([]);
+    });
+
+    it('cuts the row corridor where a blue zone or a wall crosses the gap', async () => {
+        const blueZone = [[12, 6], [14, 6], [14, 8], [12, 8]];
+        const { rows } = await generate(facingRows(4), {
+            blueZones: [{ polygon: blueZone }],
+            walls: [{ start: [20, 5], end: [20, 9] }]
+        });
+
+        expect(rows).to.have.length(3);
+        for (const row of rows) {
+            const [start, end] = row.centerline.map(point => point[0]).sort((a, b) => a - b);
+            expect(end <= 12 - row.width / 2 || start >= 14 + row.width / 2).to.equal(true);
+            expect(end <= 20 - row.width / 2 || start >= 20 + row.width / 2).to.equal(true);
+        }
+    });
+});
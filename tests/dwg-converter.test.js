@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const request = require('supertest');
+const { DwgConverter } = require('../src/dwg-converter');
+const app = require('../server');
+
+describe('DWG converter', () => {
+    let directory;
+    let script;
+
+    // Stand-in converter: logs a lot, then copies its input to the output path
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dwg-test-'));
+        script = path.join(directory, 'convert.js');
+        fs.writeFileSync(script, [
+            "const fs = require('fs');",
+            "process.stdout.write('x'.repeat(Number(process.argv[4] || 0)));",
+            'fs.copyFileSync(process.argv[2], process.argv[3]);'
+        ].join('\n'));
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const createConverter = (verbosity, options = {}) => new DwgConverter({
+        command: process.execPath,
+        args: [script, '{input}', '{output}', String(verbosity)],
+        ...options
+    });
+
+    it('returns the converted file', async () => {
+        const input = path.join(directory, 'plan.dwg');
+        fs.writeFileSync(input, 'converted');
+
+        const dxf = await createConverter(0).convert(input, 'plan.dwg');
+        expect(dxf.toString()).to.equal('converted');
+    });
+
+    it('tolerates converters with verbose output', async () => {
+        const input = path.join(directory, 'plan.dwg');
+        fs.writeFileSync(input, 'converted');
+
+        const dxf = await createConverter(4 * 1024 * 1024).convert(input, 'plan.dwg');
+        expect(dxf.toString()).to.equal('converted');
+    });
+
+    it('reports output beyond the buffer limit', async () => {
+        const input = path.join(directory, 'plan.dwg');
+        fs.writeFileSync(input, 'converted');
+
+        const error = await createConverter(2048, { maxBuffer: 1024 }).convert(input, 'plan.dwg').catch(err => err);
+        expect(error.message).to.match(/output exceeded 1024 bytes/);
+    });
+
+    it('rejects malformed argument templates with a clear error', () => {
+        expect(() => DwgConverter.fromEnv({ DWG_CONVERTER_ARGS: '[ "-y", ' })).to.throw(/Invalid DWG converter arguments/);
+        expect(() => DwgConverter.fromEnv({ DWG_CONVERTER_ARGS: '["-y"' })).to.throw(/Invalid DWG converter arguments/);
+        expect(() => DwgConverter.fromEnv({ DWG_CONVERTER_PRESET: 'unknown' })).to.throw(/Unknown DWG converter preset/);
+    });
+
+    describe('/api/convert-dwg', () => {
+        const saved = {};
+
+        beforeEach(() => {
+            for (const key of ['DWG_CONVERTER_PATH', 'DWG_CONVERTER_PRESET', 'DWG_CONVERTER_ARGS']) {
+                saved[key] = process.env[key];
+                delete process.env[key];
+            }
+        });
+
+        afterEach(() => {
+            for (const [key, value] of Object.entries(saved)) {
+                if (value === undefined) {
+                    delete process.env[key];
+                } else {
+                    process.env[key] = value;
+                }
+            }
+        });
+
+        it('answers 500 for a misconfigured converter instead of failing at startup', async () => {
+            process.env.DWG_CONVERTER_PATH = process.execPath;
+            process.env.DWG_CONVERTER_PRESET = 'unknown';
+
+            const response = await request(app)
+                .post('/api/convert-dwg')
+                .attach('file', Buffer.from('dwg'), 'plan.dwg')
+                .expect(500);
+
+            expect(response.body.error).to.equal('DWG converter is misconfigured');
+        });
+
+        it('answers 501 when no converter is configured', async () => {
+            await request(app)
+                .post('/api/convert-dwg')
+                .attach('file', Buffer.from('dwg'), 'plan.dwg')
+                .expect(501);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+const { expect } = require('chai');
+const DxfProcessor = require('../src/dxf-processor');
+const { buildDxf, line, polygon, insert } = require('./helpers/dxf');
+
+describe('DXF block expansion', () => {
+    const blocks = [
+        // A 2 m wall segment drawn on layer 0, so it takes the layer of its INSERT
+        { name: 'SEGMENT', entities: [line('0', [0, 0], [2, 0])] },
+        // Two segments 3 m apart, referenced through a nested INSERT
+        { name: 'PAIR', entities: [insert('0', 'SEGMENT', [0, 0]), insert('0', 'SEGMENT', [0, 3])] },
+        // A 1 m square keep-out area with its base point at its center
+        { name: 'COLUMN_ZONE', base: [0.5, 0.5], entities: [polygon('0', [[0, 0], [1, 0], [1, 1], [0, 1]])] },
+        { name: 'LOOP', entities: [insert('0', 'LOOP', [1, 1])] }
+    ];
+    const parse = async entities => new DxfProcessor({ detectRooms: false, detectWallPairs: false })
+        .parseDxfFile(buildDxf({ layers: [{ name: 'WALLS' }, { name: 'BLUE_ZONE', color: 5 }], blocks, entities }));
+    const rounded = point => point.map(value => Number(value.toFixed(6)));
+
+    it('applies insertion point, scale and rotation to block geometry', async () => {
+        const { floorPlan } = await parse([insert('WALLS', 'SEGMENT', [5, 5], { scale: 2, rotation: 90 })]);
+
+        expect(floorPlan.walls).to.have.length(1);
+        expect([floorPlan.walls[0].start, floorPlan.walls[0].end].map(rounded)).to.have.deep.members([[5, 5], [5, 9]]);
+    });
+
+    it('expands nested blocks with the combined transform', async () => {
+        const { floorPlan } = await parse([insert('WALLS', 'PAIR', [10, 0])]);
+        const ys = floorPlan.walls.map(wall => rounded(wall.start)[1]).sort((a, b) => a - b);
+
+        expect(floorPlan.walls).to.have.length(2);
+        expect(ys).to.deep.equal([0, 3]);
+        floorPlan.walls.forEach(wall => expect(Math.min(wall.start[0], wall.end[0])).to.be.closeTo(10, 1e-6));
+    });
+
+    it('turns blocks on a zone layer into zone polygons around the base point', async () => {
+        const { floorPlan } = await parse([insert('BLUE_ZONE', 'COLUMN_ZONE', [4, 4])]);
+        const points = floorPlan.blueZones.flatMap(zone => zone.polygon);
+
+        expect(floorPlan.blueZones).to.have.length(1);
+        expect(Math.min(...points.map(point => point[0]))).to.be.closeTo(3.5, 1e-6);
+        expect(Math.max(...points.map(point => point[1]))).to.be.closeTo(4.5, 1e-6);
+    });
+
+    it('skips self-referencing blocks with a warning', async () => {
+        const { floorPlan, warnings } = await parse([insert('WALLS', 'LOOP', [0, 0]), line('WALLS', [0, 0], [4, 0])]);
+
+        expect(floorPlan.walls).to.have.length(1);
+        expect(warnings.some(warning => warning.startsWith('Recursive block reference skipped'))).to.equal(true);
+    });
+});
@@ -0,0 +1,44 @@
+const { expect } = require('chai');
+const DxfProcessor = require('../src/dxf-processor');
+const { buildDxf, polygon, rectangleWalls } = require('./helpers/dxf');
+
+describe('DXF color classification', () => {
+    it('resolves ACI colors through the dxf-parser palette', () => {
+        const processor = new DxfProcessor();
+
+        expect(processor.aciToRgb(1)).to.equal(0xFF0000);
+        expect(processor.aciToRgb(12)).to.equal(0xCC0000);
+        expect(processor.aciToRgb(151)).to.equal(0x7FBFFF);
+        expect(processor.aciToRgb(250)).to.equal(0x333333);
+        expect(processor.aciToRgb(0)).to.equal(undefined);
+        expect(processor.aciToRgb(256)).to.equal(undefined);
+    });
+
+    it('falls back to the layer color for BYLAYER entities', () => {
+        const processor = new DxfProcessor();
+        processor.layerTable = { ZONES: { colorIndex: 5, color: 0x0000FF } };
+
+        expect(processor.resolveEntityColor({ layer: 'ZONES', colorIndex: 256 }))
+            .to.deep.equal({ colorIndex: 5, rgb: 0x0000FF, source: 'layer' });
+        expect(processor.resolveEntityColor({ layer: 'ZONES', colorIndex: 12 }))
+            .to.deep.equal({ colorIndex: 12, rgb: 0xCC0000, source: 'entity' });
+    });
+
+    it('classifies polygons on generic layers by color', async () => {
+        const dxf = buildDxf({
+            layers: [{ name: 'WALLS' }, { name: 'AREAS', color: 7 }],
+            entities: [
+                ...rectangleWalls('WALLS', 20, 10),
+                polygon('AREAS', [[1, 1], [3, 1], [3, 3], [1, 3]], [[62, 12]]),
+                polygon('AREAS', [[10, 1], [12, 1], [12, 3], [10, 3]], [[62, 5]]),
+                polygon('AREAS', [[15, 1], [17, 1], [17, 3], [15, 3]], [[62, 3]])
+            ]
+        });
+
+        const { floorPlan, warnings } = await new DxfProcessor().parseDxfFile(dxf);
+
+        expect(floorPlan.redZones).to.have.length(1);
+        expect(floorPlan.blueZones).to.have.length(1);
+        expect(warnings.join('\n')).to.match(/RGB #CC0000 on layer "AREAS"/);
+    });
+});
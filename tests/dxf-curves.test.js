@@ -0,0 +1,76 @@
+const { expect } = require('chai');
+const DxfProcessor = require('../src/dxf-processor');
+const { buildDxf } = require('./helpers/dxf');
+
+describe('DXF curves and filled areas', () => {
+    const layers = [{ name: 'WALLS' }, { name: 'BLUE_ZONE', color: 5 }];
+    const parse = async entities => (await new DxfProcessor({ detectRooms: false, detectWallPairs: false })
+        .parseDxfFile(buildDxf({ layers, entities }))).floorPlan;
+
+    // Closed LWPOLYLINE whose vertices are [x, y, bulge]
+    const bulgedPolygon = (layer, vertices) => [
+        [0, 'LWPOLYLINE'], [8, layer], [90, vertices.length], [70, 1],
+        ...vertices.flatMap(([x, y, bulge]) => [[10, x], [20, y], [42, bulge]])
+    ];
+    // HATCH with polyline boundary loops
+    const hatch = (layer, loops) => [
+        [0, 'HATCH'], [8, layer], [10, 0], [20, 0], [30, 0], [2, 'SOLID'], [70, 1], [71, 0], [91, loops.length],
+        ...loops.flatMap(points => [
+            [92, 2], [72, 0], [73, 1], [93, points.length],
+            ...points.flatMap(([x, y]) => [[10, x], [20, y]]),
+            [97, 0]
+        ]),
+        [75, 0], [76, 1], [98, 0]
+    ];
+    const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size]];
+    const extent = (points, axis) => [Math.min(...points.map(point => point[axis])), Math.max(...points.map(point => point[axis]))];
+
+    it('follows the arc of bulged polyline segments', async () => {
+        // Two half circles between (0, 0) and (2, 0): a unit circle around (1, 0)
+        const [zone] = (await parse([bulgedPolygon('BLUE_ZONE', [[0, 0, 1], [2, 0, 1]])])).blueZones;
+
+        expect(zone.polygon.length).to.be.above(20);
+        expect(zone.area).to.be.closeTo(Math.PI, 0.05);
+        zone.polygon.forEach(([x, y]) => expect(Math.hypot(x - 1, y)).to.be.closeTo(1, 1e-6));
+    });
+
+    it('turns hatch boundary loops into zones with holes', async () => {
+        const { blueZones } = await parse([hatch('BLUE_ZONE', [square(0, 0, 10), square(3, 3, 4)])]);
+
+        expect(blueZones).to.have.length(1);
+        expect(blueZones[0].holes).to.have.length(1);
+        expect(blueZones[0].area).to.be.closeTo(84, 1e-6);
+    });
+
+    it('tessellates ellipses and reads solids in zig-zag corner order', async () => {
+        const ellipse = [
+            [0, 'ELLIPSE'], [8, 'BLUE_ZONE'], [10, 10], [20, 10], [30, 0], [11, 3], [21, 0], [31, 0],
+            [40, 0.5], [41, 0], [42, 2 * Math.PI]
+        ];
+        const solid = [
+            [0, 'SOLID'], [8, 'BLUE_ZONE'],
+            [10, 20], [20, 0], [30, 0], [11, 22], [21, 0], [31, 0], [12, 20], [22, 2], [32, 0], [13, 22], [23, 2], [33, 0]
+        ];
+        const zones = [...(await parse([ellipse, solid])).blueZones].sort((a, b) => a.area - b.area);
+
+        expect(zones).to.have.length(2);
+        expect(zones[0].area).to.be.closeTo(4, 1e-6);
+        expect(zones[1].area).to.be.closeTo(Math.PI * 3 * 1.5, 0.2);
+        expect(extent(zones[1].polygon, 0)).to.deep.equal([7, 13]);
+    });
+
+    it('follows splines instead of their control polygon', async () => {
+        // Quadratic Bézier from (0, 0) to (10, 0), peaking at (5, 2.5)
+        const spline = [
+            [0, 'SPLINE'], [8, 'WALLS'], [70, 8], [71, 2], [72, 6], [73, 3],
+            [40, 0], [40, 0], [40, 0], [40, 1], [40, 1], [40, 1],
+            [10, 0], [20, 0], [30, 0], [10, 5], [20, 5], [30, 0], [10, 10], [20, 0], [30, 0]
+        ];
+        const { walls } = await parse([spline]);
+        const points = walls.flatMap(wall => [wall.start, wall.end]);
+
+        expect(walls.length).to.be.above(4);
+        expect(extent(points, 0)).to.deep.equal([0, 10]);
+        expect(extent(points, 1)[1]).to.be.closeTo(2.5, 1e-6);
+    });
+});
@@ -0,0 +1,41 @@
+const { expect } = require('chai');
+const DxfProcessor = require('../src/dxf-processor');
+
+describe('DXF export annotations', () => {
+    const floorPlan = {
+        walls: [{ start: [0, 0], end: [20, 0] }, { start: [20, 0], end: [20, 10] }],
+        ilots: [{ id: 'ilot_7', type: 'workspace', geometry: { polygon: [[2, 2], [4, 2], [4, 3], [2, 3]] } }],
+        corridors: [{ id: 'corridor_1', width: 1.5, centerline: [[0, 5], [10, 5]], polygon: [[0, 4.25], [10, 4.25], [10, 5.75], [0, 5.75]] }]
+    };
+
+    it('labels îlots, dimensions corridors and draws the title block', async () => {
+        const dxf = await new DxfProcessor().generateDxfFile(floorPlan, {
+            titleBlock: { projectName: 'Test Project', date: '2026-01-01' }
+        });
+
+        expect(dxf).to.include('ilot_7');
+        expect(dxf).to.include('2.00 m²');
+        expect(dxf).to.include('1.50 m');
+        expect(dxf).to.include('Test Project');
+        expect(dxf).to.include('TITLE_BLOCK');
+    });
+
+    it('leaves annotations out when disabled', async () => {
+        const dxf = await new DxfProcessor().generateDxfFile(floorPlan, { labels: false, dimensions: false });
+
+        expect(dxf).to.not.include('ilot_7');
+        expect(dxf).to.not.include('1.50 m');
+    });
+
+    it('measures the extents of very large plans', () => {
+        // Far more points than a spread call can take as arguments
+        const count = 500000;
+        const polygon = Array.from({ length: count }, (value, index) => [index / count * 100, Math.sin(index) * 5]);
+        const extents = new DxfProcessor().calculateExportExtents({ corridors: [{ polygon }] });
+
+        expect(extents.minX).to.equal(0);
+        expect(extents.maxX).to.be.closeTo(100 * 1000, 1);
+        expect(extents.minY).to.be.closeTo(-5000, 1);
+        expect(extents.maxY).to.be.closeTo(5000, 1);
+    });
+});
@@ -0,0 +1,44 @@
+const { expect } = require('chai');
+const DxfProcessor = require('../src/dxf-processor');
+const AIRoomDetector = require('../src/ai-room-detector');
+const { buildDxf, line, rectangleWalls } = require('./helpers/dxf');
+
+describe('DXF room reconstruction', () => {
+    const text = (layer, [x, y], value) => [
+        [0, 'TEXT'], [8, layer], [10, x], [20, y], [30, 0], [40, 0.3], [1, value]
+    ];
+
+    // 10 x 6 m outline split at x = 4 by a partition that stops 0.3 m short of the wall
+    const dxf = buildDxf({
+        layers: [{ name: 'WALLS' }, { name: 'TEXT' }],
+        entities: [
+            ...rectangleWalls('WALLS', 10, 6),
+            line('WALLS', [4, 0], [4, 5.7]),
+            text('TEXT', [6, 3], 'Kitchen')
+        ]
+    });
+
+    it('extracts enclosed faces as named rooms', async () => {
+        const { floorPlan } = await new DxfProcessor().parseDxfFile(dxf);
+        const rooms = [...floorPlan.rooms].sort((a, b) => a.area - b.area);
+
+        expect(rooms).to.have.length(2);
+        expect(rooms[0].area).to.be.closeTo(24, 0.01);
+        expect(rooms[1].area).to.be.closeTo(36, 0.01);
+        expect(rooms[1].name).to.equal('Kitchen');
+        expect(rooms[1].centroid[0]).to.be.closeTo(7, 0.01);
+        expect(rooms[1].perimeter).to.be.closeTo(24, 0.01);
+    });
+
+    it('feeds reconstructed rooms to the room classifier', async () => {
+        const { floorPlan } = await new DxfProcessor().parseDxfFile(dxf);
+        const classified = await new AIRoomDetector(null).detectRoomsFromFloorPlan(floorPlan);
+
+        expect(classified).to.have.length(2);
+        expect(classified.map(room => room.dbId)).to.have.members(floorPlan.rooms.map(room => room.id));
+        classified.forEach(room => {
+            expect(room.type).to.be.a('string');
+            expect(room.confidence).to.be.above(0.7);
+        });
+    });
+});
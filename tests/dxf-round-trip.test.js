@@ -0,0 +1,93 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../server');
+const DxfParser = require('dxf-parser');
+const { buildDxf, line, rectangleWalls } = require('./helpers/dxf');
+
+// Collect a DXF download as text
+const readText = (res, callback) => {
+    let text = '';
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => callback(null, text));
+};
+
+describe('DXF round-trip export', () => {
+    // Four walls and 1000 furniture lines: the source is large, the floor plan is not
+    const furniture = Array.from({ length: 1000 }, (value, index) =>
+        line('A-FURN', [1 + (index % 50) * 0.3, 1 + Math.floor(index / 50) * 0.3], [1.2 + (index % 50) * 0.3, 1 + Math.floor(index / 50) * 0.3]));
+    const dxf = buildDxf({
+        layers: [{ name: 'WALLS' }, { name: 'A-FURN', color: 3 }],
+        entities: [...rectangleWalls('WALLS', 20, 10), ...furniture]
+    });
+
+    let floorPlan;
+
+    before(async () => {
+        const response = await request(app)
+            .post('/api/dxf/import')
+            .attach('file', Buffer.from(dxf), 'plan.dxf')
+            .expect(200);
+
+        floorPlan = response.body.floorPlan;
+        expect(response.body.importId).to.equal(floorPlan.importId);
+    });
+
+    it('keeps the source drawing out of the floor plan', () => {
+        expect(floorPlan).to.not.have.property('source');
+        expect(JSON.stringify(floorPlan).length).to.be.below(100 * 1024);
+    });
+
+    it('re-emits the source layers when the floor plan is posted back', async () => {
+        const ilots = [{ id: 'ilot_1', type: 'workspace', area: 4, geometry: { polygon: [[2, 2], [4, 2], [4, 4], [2, 4]] } }];
+        const response = await request(app)
+            .post('/api/dxf/export')
+            .send({ floorPlan: { ...floorPlan, ilots }, options: { titleBlock: false } })
+            .buffer(true)
+            .parse(readText)
+            .expect(200);
+
+        expect(response.body).to.include('A-FURN');
+        expect(response.body).to.include('ILOTS');
+        expect(response.body.match(/\nA-FURN\n/g).length).to.be.above(1000);
+    });
+
+    it('exports the generated layers only for an unknown import id', async () => {
+        const response = await request(app)
+            .post('/api/dxf/export')
+            .send({ floorPlan: { ...floorPlan, importId: 'expired' }, options: { titleBlock: false } })
+            .buffer(true)
+            .parse(readText)
+            .expect(200);
+
+        expect(response.body).to.not.include('A-FURN');
+    });
+
+    it('writes generated layers back in the units forced at import', async () => {
+        const unitless = buildDxf({ units: 0, layers: [{ name: 'WALLS' }], entities: rectangleWalls('WALLS', 20, 10) });
+        const imported = await request(app)
+            .post('/api/dxf/import')
+            .field('units', 'm')
+            .attach('file', Buffer.from(unitless), 'unitless.dxf')
+            .expect(200);
+        const ilots = [{ id: 'ilot_1', type: 'workspace', area: 6, geometry: { polygon: [[2, 2], [5, 2], [5, 4], [2, 4]] } }];
+
+        const wallValues = imported.body.floorPlan.walls.flatMap(wall => [...wall.start, ...wall.end]);
+
+        expect(Math.max(...wallValues)).to.equal(20);
+
+        const response = await request(app)
+            .post('/api/dxf/export')
+            .send({ floorPlan: { ...imported.body.floorPlan, ilots }, options: { titleBlock: false } })
+            .buffer(true)
+            .parse(readText)
+            .expect(200);
+        const exported = new DxfParser().parseSync(response.body);
+        const points = exported.entities
+            .filter(entity => entity.layer === 'ILOTS')
+            .flatMap(entity => entity.vertices || []);
+
+        expect(points).to.not.be.empty;
+        expect(Math.min(...points.map(point => point.x))).to.be.closeTo(2, 1e-6);
+        expect(Math.max(...points.map(point => point.x))).to.be.closeTo(5, 1e-6);
+    });
+});
@@ -0,0 +1,55 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../server');
+const DxfProcessor = require('../src/dxf-processor');
+const { buildDxf, rectangleWalls } = require('./helpers/dxf');
+
+describe('DXF units', () => {
+    const outline = (units, width, height) => buildDxf({ units, layers: [{ name: 'WALLS' }], entities: rectangleWalls('WALLS', width, height) });
+    const maxCoordinate = floorPlan => Math.max(...floorPlan.walls.flatMap(wall => [...wall.start, ...wall.end]));
+
+    it('scales by the $INSUNITS of the header', async () => {
+        const millimeters = await new DxfProcessor().parseDxfFile(outline(4, 20000, 10000));
+        const inches = await new DxfProcessor().parseDxfFile(outline(1, 600, 360));
+
+        expect(millimeters.metadata.unitInfo).to.include({ name: 'millimeters', source: '$INSUNITS' });
+        expect(maxCoordinate(millimeters.floorPlan)).to.be.closeTo(20, 1e-9);
+        expect(inches.metadata.units).to.equal('inches');
+        expect(maxCoordinate(inches.floorPlan)).to.be.closeTo(15.24, 1e-9);
+    });
+
+    it('lets an override win over the header and falls back to the default without one', async () => {
+        const forced = await new DxfProcessor({ units: 'cm' }).parseDxfFile(outline(4, 2000, 1000));
+        const unitless = await new DxfProcessor().parseDxfFile(outline(0, 20000, 10000));
+
+        expect(forced.metadata.unitInfo).to.include({ name: 'centimeters', source: 'override' });
+        expect(maxCoordinate(forced.floorPlan)).to.be.closeTo(20, 1e-9);
+        expect(unitless.metadata.unitInfo).to.include({ name: 'millimeters', source: 'default' });
+        expect(maxCoordinate(unitless.floorPlan)).to.be.closeTo(20, 1e-9);
+    });
+
+    it('warns when the extents look implausible for the detected units', async () => {
+        const result = await new DxfProcessor().parseDxfFile(outline(6, 20000, 10000));
+
+        expect(result.metadata.unitCheck).to.include({ plausible: false, suggestedUnits: 'millimeters' });
+        expect(result.warnings.some(warning => warning.includes('look implausible'))).to.equal(true);
+    });
+
+    it('takes the override on the import route and rejects unknown units', async () => {
+        const file = Buffer.from(outline(0, 2000, 1000));
+        const imported = await request(app)
+            .post('/api/dxf/import')
+            .field('units', 'cm')
+            .attach('file', file, 'plan.dxf')
+            .expect(200);
+
+        expect(imported.body.metadata.units).to.equal('centimeters');
+        expect(maxCoordinate(imported.body.floorPlan)).to.be.closeTo(20, 1e-9);
+
+        await request(app)
+            .post('/api/dxf/import')
+            .field('units', 'furlongs')
+            .attach('file', file, 'plan.dxf')
+            .expect(400);
+    });
+});
@@ -0,0 +1,59 @@
+const { expect } = require('chai');
+const DxfProcessor = require('../src/dxf-processor');
+const IlotPlacementEngine = require('../src/ilot-placement-engine');
+const { buildDxf, line } = require('./helpers/dxf');
+
+describe('DXF wall reconstruction', () => {
+    const parseWalls = async (entities, options = {}) => {
+        const dxf = buildDxf({ layers: [{ name: 'WALLS' }], entities });
+        const { floorPlan } = await new DxfProcessor({ detectRooms: false, ...options }).parseDxfFile(dxf);
+        return floorPlan.walls;
+    };
+    const span = wall => [wall.start, wall.end].map(point => point[0]).sort((a, b) => a - b);
+
+    it('merges touching colinear fragments into one wall', async () => {
+        const walls = await parseWalls([
+            line('WALLS', [0, 0], [3, 0]),
+            line('WALLS', [6.02, 0], [10, 0]),
+            line('WALLS', [3, 0], [6, 0]),
+            line('WALLS', [0, 5], [4, 5])
+        ], { detectWallPairs: false });
+        const bottom = walls.find(wall => wall.start[1] === 0);
+
+        expect(walls).to.have.length(2);
+        expect(span(bottom)).to.deep.equal([0, 10]);
+    });
+
+    it('collapses the two faces of a wall onto its centerline with the measured thickness', async () => {
+        const walls = await parseWalls([
+            line('WALLS', [0, 0], [10, 0]),
+            line('WALLS', [0, 0.25], [10, 0.25])
+        ]);
+
+        expect(walls).to.have.length(1);
+        expect(walls[0].start[1]).to.be.closeTo(0.125, 1e-6);
+        expect(walls[0].end[1]).to.be.closeTo(0.125, 1e-6);
+        expect(walls[0].thickness).to.be.closeTo(0.25, 1e-6);
+    });
+
+    it('keeps lines farther apart than a wall as separate walls', async () => {
+        const walls = await parseWalls([
+            line('WALLS', [0, 0], [10, 0]),
+            line('WALLS', [0, 3], [10, 3])
+        ]);
+
+        expect(walls).to.have.length(2);
+        walls.forEach(wall => expect(wall.thickness).to.equal(0.2));
+    });
+
+    it('buffers placement walls by their measured thickness', () => {
+        const polygon = new IlotPlacementEngine().createWallPolygon({ start: [0, 0], end: [10, 0], thickness: 0.5 }, 0.3);
+        const xs = polygon.map(point => point[0]);
+        const ys = polygon.map(point => point[1]);
+
+        expect(Math.min(...xs)).to.be.closeTo(-0.3, 1e-9);
+        expect(Math.max(...xs)).to.be.closeTo(10.3, 1e-9);
+        expect(Math.min(...ys)).to.be.closeTo(-0.55, 1e-9);
+        expect(Math.max(...ys)).to.be.closeTo(0.55, 1e-9);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Corridor test fixtures
+ *
+ * Rooms, entrances and îlot destinations in the shape CorridorGenerator
+ * expects, and generators set up on a full run, on hand-built corridors or
+ * on hand-built paths.
+ */
+
+const CorridorGenerator = require('../../src/corridor-generator');
+
+/**
+ * Rectangular room outline from the origin
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Array} Polygon
+ */
+function room(width, height) {
+    return [[0, 0], [width, 0], [width, height], [0, height]];
+}
+
+/**
+ * Entrance destination
+ * @param {Array} position - [x, y]
+ * @param {string} id - Entrance id
+ * @returns {Object} Entrance
+ */
+function entrance(position, id = 'entrance_1') {
+    return { id, type: 'entrance', position };
+}
+
+/**
+ * Îlot destination centered on a position
+ * @param {string} id - Îlot id
+ * @param {Array} position - Center [x, y]
+ * @param {Object} extra - Size overrides and additional fields (e.g. capacity)
+ * @returns {Object} Îlot
+ */
+function ilot(id, position, extra = {}) {
+    return { id, type: 'ilot', position, width: 3, height: 2, ...extra };
+}
+
+/**
+ * Run the full corridor generation
+ * @param {Object} setup - { options, room, entrance, ilots, floorPlan }
+ * @returns {Promise<Object>} { generator, corridors }
+ */
+async function generateNetwork({ options = {}, room: outline = room(30, 14), entrance: door = entrance([1, 7]), ilots = [], floorPlan = {} } = {}) {
+    const generator = new CorridorGenerator(options);
+    const corridors = await generator.generateCorridorNetwork(
+        { entrances: [door], walls: [], ...floorPlan }, outline, [...ilots, door]);
+
+    return { generator, corridors };
+}
+
+/**
+ * Generator whose network graph is built from hand-drawn corridors
+ * @param {Array} corridors - Corridors with id, width and centerline
+ * @param {Array} destinations - Entrances and îlots
+ * @returns {CorridorGenerator} Generator
+ */
+function graphGenerator(corridors, destinations = []) {
+    const generator = new CorridorGenerator();
+
+    generator.floorPlan = { entrances: [] };
+    generator.destinations = destinations;
+    generator.corridors = corridors;
+    generator.networkGraph = generator.buildNetworkGraph();
+    return generator;
+}
+
+/**
+ * Generator whose corridors are rebuilt from hand-drawn paths, with a
+ * navigation grid over the room for any paths it adds itself
+ * @param {Array} paths - [fromId, toId, points] per path
+ * @param {Object} setup - { options, room, destinations }
+ * @returns {Promise<CorridorGenerator>} Generator
+ */
+async function pathGenerator(paths, { options = {}, room: outline = room(30, 14), destinations = [] } = {}) {
+    const generator = new CorridorGenerator(options);
+
+    generator.floorPlan = { entrances: [] };
+    generator.allowedSpace = outline;
+    generator.destinations = destinations;
+    await generator.createNavigationGrid();
+
+    for (const [from, to, points] of paths) {
+        generator.addPathToNetwork(from, to, points, generator.calculatePathDistance(points));
+    }
+    await generator.rebuildCorridorNetwork();
+    return generator;
+}
+
+module.exports = { room, entrance, ilot, generateNetwork, graphGenerator, pathGenerator };
@@ -0,0 +1,101 @@
+/**
+ * Minimal DXF text builder for tests
+ *
+ * Entities are given as [code, value] group pairs; the builder adds the
+ * header ($INSUNITS), the LAYER table, block definitions and the section framing.
+ */
+
+/**
+ * Build a DXF document
+ * @param {Object} drawing - { units, layers: [{ name, color }], blocks: [{ name, base, entities }],
+ *   entities: [[code, value], ...][] }
+ * @returns {string} DXF text
+ */
+function buildDxf({ units = 6, layers = [], blocks = [], entities = [] } = {}) {
+    const groups = [
+        [0, 'SECTION'], [2, 'HEADER'], [9, '$INSUNITS'], [70, units], [0, 'ENDSEC'],
+        [0, 'SECTION'], [2, 'TABLES'], [0, 'TABLE'], [2, 'LAYER'], [70, layers.length]
+    ];
+
+    for (const layer of layers) {
+        groups.push([0, 'LAYER'], [2, layer.name], [70, 0], [62, layer.color ?? 7], [6, 'CONTINUOUS']);
+    }
+    groups.push([0, 'ENDTAB'], [0, 'ENDSEC'], [0, 'SECTION'], [2, 'BLOCKS']);
+
+    for (const block of blocks) {
+        const [x, y] = block.base || [0, 0];
+        groups.push([0, 'BLOCK'], [8, '0'], [2, block.name], [70, 0], [10, x], [20, y], [30, 0], [3, block.name]);
+        for (const entity of block.entities) {
+            groups.push(...entity);
+        }
+        groups.push([0, 'ENDBLK'], [8, '0']);
+    }
+    groups.push([0, 'ENDSEC'], [0, 'SECTION'], [2, 'ENTITIES']);
+
+    for (const entity of entities) {
+        groups.push(...entity);
+    }
+    groups.push([0, 'ENDSEC'], [0, 'EOF']);
+
+    return groups.map(([code, value]) => `${code}\n${value}`).join('\n');
+}
+
+/**
+ * LINE entity
+ * @param {string} layer - Layer name
+ * @param {Array} start - [x, y]
+ * @param {Array} end - [x, y]
+ * @param {Array} extra - Additional groups (e.g. [[62, 1]])
+ * @returns {Array} Groups
+ */
+function line(layer, start, end, extra = []) {
+    return [
+        [0, 'LINE'], [8, layer], ...extra,
+        [10, start[0]], [20, start[1]], [30, 0],
+        [11, end[0]], [21, end[1]], [31, 0]
+    ];
+}
+
+/**
+ * Closed LWPOLYLINE entity
+ * @param {string} layer - Layer name
+ * @param {Array} points - [[x, y], ...]
+ * @param {Array} extra - Additional groups (e.g. [[62, 1]])
+ * @returns {Array} Groups
+ */
+function polygon(layer, points, extra = []) {
+    return [
+        [0, 'LWPOLYLINE'], [8, layer], ...extra, [90, points.length], [70, 1],
+        ...points.flatMap(([x, y]) => [[10, x], [20, y]])
+    ];
+}
+
+/**
+ * INSERT entity (block reference)
+ * @param {string} layer - Layer name
+ * @param {string} name - Block name
+ * @param {Array} position - [x, y]
+ * @param {Object} transform - { scale, rotation } (rotation in degrees)
+ * @returns {Array} Groups
+ */
+function insert(layer, name, position, { scale = 1, rotation = 0 } = {}) {
+    return [
+        [0, 'INSERT'], [8, layer], [2, name],
+        [10, position[0]], [20, position[1]], [30, 0],
+        [41, scale], [42, scale], [43, 1], [50, rotation]
+    ];
+}
+
+/**
+ * Axis-aligned rectangle of wall lines
+ * @param {string} layer - Layer name
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Array} LINE entities
+ */
+function rectangleWalls(layer, width, height) {
+    const corners = [[0, 0], [width, 0], [width, height], [0, height]];
+    return corners.map((corner, index) => line(layer, corner, corners[(index + 1) % 4]));
+}
+
+module.exports = { buildDxf, line, polygon, insert, rectangleWalls };
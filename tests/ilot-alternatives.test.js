@@ -0,0 +1,41 @@
+const { expect } = require('chai');
+const IlotPlacementEngine = require('../src/ilot-placement-engine');
+
+describe('Alternative îlot layouts', () => {
+    // A 20×15 room with one corner cut off by a diagonal wall
+    const walls = [[[0, 0], [20, 0]], [[20, 0], [20, 15]], [[20, 15], [0, 15]], [[0, 15], [0, 0]], [[0, 9], [9, 0]]]
+        .map(([start, end]) => ({ start, end }));
+    const floorPlan = {
+        walls,
+        bounds: { minX: 0, minY: 0, maxX: 20, maxY: 15 },
+        entrances: [],
+        restrictedAreas: [],
+        forbiddenZones: []
+    };
+    const sizeDistribution = { '1-3': 50, '3-5': 50 };
+    const byName = result => Object.fromEntries(result.layouts.map(layout => [layout.name, layout]));
+
+    it('ranks distinct variants best first', async () => {
+        const engine = new IlotPlacementEngine({ seed: 3 });
+        const { layouts } = await engine.generateAlternativeLayouts(floorPlan, { sizeDistribution });
+
+        expect(layouts.map(layout => layout.name)).to.have.members(['dense', 'balanced', 'comfortable', 'grid', 'wallAligned']);
+        expect(layouts.map(layout => layout.rank)).to.deep.equal([1, 2, 3, 4, 5]);
+        layouts.slice(1).forEach((layout, index) =>
+            expect(layout.score.overall).to.be.at.most(layouts[index].score.overall));
+        layouts.forEach((layout, index) => layouts.slice(index + 1).forEach(other =>
+            expect(engine.calculateLayoutSimilarity(layout.ilots, other.ilots)).to.be.below(0.9)));
+    });
+
+    it('keeps the variant settings over the same request options', async () => {
+        const engine = new IlotPlacementEngine({ seed: 3 });
+        const layouts = byName(await engine.generateAlternativeLayouts(floorPlan, {
+            sizeDistribution,
+            allowRotation: true,
+            alignToWalls: false
+        }));
+
+        expect(layouts.grid.ilots.every(ilot => ilot.rotation === 0)).to.equal(true);
+        expect(layouts.wallAligned.ilots.some(ilot => ilot.rotation % 90 !== 0)).to.equal(true);
+    });
+});
@@ -0,0 +1,37 @@
+const { expect } = require('chai');
+const GeometryEngine = require('../src/geometry-engine');
+const IlotPlacementEngine = require('../src/ilot-placement-engine');
+
+describe('Îlot placement in polygonal regions', () => {
+    const geometry = new GeometryEngine({ tolerance: 0.001 });
+    const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size]];
+
+    // L-shaped floor: 24×18 without its 12×8 top-right corner, around a 4×4 courtyard
+    const floorPlan = {
+        walls: [],
+        bounds: { minX: 0, minY: 0, maxX: 24, maxY: 18 },
+        boundary: [[0, 0], [24, 0], [24, 10], [12, 10], [12, 18], [0, 18]],
+        boundaryHoles: [square(3, 3, 4)],
+        blueZones: [{ polygon: square(16, 2, 4) }]
+    };
+
+    it('subtracts clipped polygons from a region and keeps the holes', () => {
+        const region = geometry.differencePolygons([[square(0, 0, 10)]], [square(3, 3, 4)]);
+
+        expect(region).to.have.length(1);
+        expect(region[0]).to.have.length(2);
+        expect(geometry.calculateRegionArea(region)).to.be.closeTo(84, 1e-6);
+        expect(geometry.pointInRegion([5, 5], region)).to.equal(false);
+        expect(geometry.regionContainsPolygon(region, square(0.5, 0.5, 2))).to.equal(true);
+        expect(geometry.regionContainsPolygon(region, square(2, 2, 2))).to.equal(false);
+    });
+
+    it('places îlots only inside the boundary, outside its holes and blue zones', async () => {
+        const engine = new IlotPlacementEngine({ seed: 5 });
+        const ilots = await engine.generateOptimizedPlacement(floorPlan, { sizeDistribution: { '1-3': 50, '3-5': 50 } });
+
+        expect(geometry.calculateRegionArea(engine.allowedRegion)).to.be.closeTo(24 * 18 - 12 * 8 - 16 - 16, 1e-6);
+        expect(ilots.length).to.be.above(4);
+        ilots.forEach(ilot => expect(geometry.regionContainsPolygon(engine.allowedRegion, ilot.polygon)).to.equal(true));
+    });
+});
@@ -0,0 +1,58 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../server');
+const IlotPlacementEngine = require('../src/ilot-placement-engine');
+
+describe('Placement diagnostics', () => {
+    const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size]];
+    const walls = [[[0, 0], [20, 0]], [[20, 0], [20, 15]], [[20, 15], [0, 15]], [[0, 15], [0, 0]]]
+        .map(([start, end]) => ({ start, end }));
+    // A walled 20×15 room with a 4×4 blue zone in the middle
+    const floorPlan = { walls, bounds: { minX: 0, minY: 0, maxX: 20, maxY: 15 }, blueZones: [{ polygon: square(8, 5, 4) }] };
+    const sizeDistribution = { '1-3': 50, '3-5': 50 };
+
+    const place = async options => {
+        const engine = new IlotPlacementEngine({ seed: 5 });
+        const ilots = await engine.generateOptimizedPlacement(floorPlan, { sizeDistribution, ...options });
+        return { engine, ilots };
+    };
+
+    it('is off unless requested', async () => {
+        const { engine } = await place({});
+
+        expect(engine.getStatistics().diagnostics).to.equal(null);
+    });
+
+    it('counts rejections per grid cell by reason', async () => {
+        const { engine } = await place({ diagnostics: true });
+        const diagnostics = engine.getStatistics().diagnostics;
+        const inBlueZone = diagnostics.cells.filter(({ center: [x, y] }) => x > 8 && x < 12 && y > 5 && y < 9);
+
+        expect(diagnostics.grid).to.include({ resolution: 0.5, width: 40, height: 30 });
+        expect(diagnostics.totals).to.include.keys('wall_clearance', 'blue_zone', 'collision');
+        expect(inBlueZone).to.not.be.empty;
+        inBlueZone.forEach(cell => expect(cell).to.include({ reason: 'blue_zone', excluded: true }));
+        diagnostics.cells.forEach(cell =>
+            expect(Object.values(cell.reasons).reduce((sum, count) => sum + count, 0)).to.equal(cell.rejections));
+    });
+
+    it('names the constraint that rules out a footprint', async () => {
+        const { engine, ilots } = await place({ diagnostics: true });
+        const shifted = ilots[0].polygon.map(([x, y]) => [x + 0.1, y]);
+
+        expect(engine.explainRejection(square(9, 6, 1))).to.equal('blue_zone');
+        expect(engine.explainRejection(square(-2, 6, 1))).to.equal('out_of_boundary');
+        expect(engine.explainRejection(square(0.1, 7, 1))).to.equal('wall_clearance');
+        expect(engine.explainRejection(shifted)).to.equal('collision');
+    });
+
+    it('returns the heatmap from the placement API', async () => {
+        const response = await request(app)
+            .post('/api/advanced-placement')
+            .send({ floorPlan, options: { seed: 5, sizeDistribution, diagnostics: true } })
+            .expect(200);
+
+        expect(response.body.diagnostics.cells).to.not.be.empty;
+        expect(response.body.diagnostics.totals).to.have.property('blue_zone');
+    });
+});
@@ -0,0 +1,30 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../server');
+
+describe('Locked îlots', () => {
+    const place = options => request(app)
+        .post('/api/advanced-placement')
+        .send({ options: { seed: 4, sizeDistribution: { '1-3': 50, '3-5': 50 }, ...options } });
+
+    const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width &&
+        a.y < b.y + b.height && b.y < a.y + a.height;
+
+    it('keeps îlots locked in the previous result and re-places the others around them', async () => {
+        const first = await place({});
+        expect(first.status).to.equal(200);
+        expect(first.body.ilots.length).to.be.above(2);
+
+        // What the lock toggle in the îlot list sends back
+        const kept = { ...first.body.ilots[1], locked: true };
+        const unlocked = first.body.ilots[0];
+        const second = await place({ seed: 5, existingIlots: [kept, unlocked] });
+        const ilots = second.body.ilots;
+        const locked = ilots.filter(ilot => ilot.locked);
+
+        expect(locked).to.have.length(1);
+        expect(locked[0]).to.include({ id: kept.id, x: kept.x, y: kept.y, width: kept.width, height: kept.height });
+        expect(locked[0].polygon).to.deep.equal(kept.polygon);
+        ilots.filter(ilot => !ilot.locked).forEach(ilot => expect(overlaps(ilot, kept)).to.equal(false));
+    });
+});
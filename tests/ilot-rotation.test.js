@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+const IlotPlacementEngine = require('../src/ilot-placement-engine');
+
+describe('Îlot rotation', () => {
+    const floorPlan = (width, height) => ({
+        walls: [],
+        bounds: { minX: 0, minY: 0, maxX: width, maxY: height },
+        entrances: [],
+        restrictedAreas: [],
+        forbiddenZones: []
+    });
+
+    const polygonBounds = polygon => ({
+        x: Math.min(...polygon.map(point => point[0])),
+        y: Math.min(...polygon.map(point => point[1])),
+        width: Math.max(...polygon.map(point => point[0])) - Math.min(...polygon.map(point => point[0])),
+        height: Math.max(...polygon.map(point => point[1])) - Math.min(...polygon.map(point => point[1]))
+    });
+
+    const expectBoundsOfPolygon = ilot => {
+        const bounds = polygonBounds(ilot.polygon);
+        expect(ilot.x).to.be.closeTo(bounds.x, 1e-9);
+        expect(ilot.y).to.be.closeTo(bounds.y, 1e-9);
+        expect(ilot.width).to.be.closeTo(bounds.width, 1e-9);
+        expect(ilot.height).to.be.closeTo(bounds.height, 1e-9);
+    };
+
+    it('reports the bounds of a quarter-turned footprint in x/y/width/height', () => {
+        const engine = new IlotPlacementEngine();
+        const ilot = engine.createIlotObject([5, 5], { width: 4, height: 2 }, 'workspace',
+            { capacity: 4, equipment: [] }, { clearance: 1, accessibility: 1, score: 1 }, 90);
+
+        expect(ilot.x).to.be.closeTo(4, 1e-9);
+        expect(ilot.y).to.be.closeTo(3, 1e-9);
+        expect(ilot.width).to.be.closeTo(2, 1e-9);
+        expect(ilot.height).to.be.closeTo(4, 1e-9);
+        expect(ilot.dimensions).to.deep.equal({ width: 4, height: 2 });
+        expect(ilot.area).to.equal(8);
+        expectBoundsOfPolygon(ilot);
+    });
+
+    it('keeps x/y/width/height on the footprint of îlots rotated during placement', async () => {
+        const engine = new IlotPlacementEngine({ seed: 3 });
+        const ilots = await engine.generateOptimizedPlacement(floorPlan(4, 20), {});
+
+        expect(ilots.some(ilot => ilot.rotation === 90)).to.equal(true);
+        ilots.forEach(ilot => {
+            expectBoundsOfPolygon(ilot);
+            expect(ilot.x).to.be.at.least(0);
+            expect(ilot.x + ilot.width).to.be.at.most(4);
+        });
+    });
+
+    it('restores the unrotated size of a locked frontend îlot', async () => {
+        const engine = new IlotPlacementEngine({ seed: 3 });
+        const frontendIlot = {
+            id: 'kept',
+            x: 1,
+            y: 2,
+            width: 2,
+            height: 4,
+            rotation: 90,
+            locked: true,
+            polygon: [[3, 2], [3, 6], [1, 6], [1, 2]]
+        };
+        const ilots = await engine.generateOptimizedPlacement(floorPlan(10, 10), { existingIlots: [frontendIlot] });
+        const kept = ilots.find(ilot => ilot.id === 'kept');
+
+        expect(kept.dimensions.width).to.be.closeTo(4, 1e-9);
+        expect(kept.dimensions.height).to.be.closeTo(2, 1e-9);
+        expect(kept.position.x).to.be.closeTo(2, 1e-9);
+        expect(kept.position.y).to.be.closeTo(4, 1e-9);
+        expect([kept.x, kept.y, kept.width, kept.height]).to.deep.equal([1, 2, 2, 4]);
+    });
+});
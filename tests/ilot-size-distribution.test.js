@@ -0,0 +1,53 @@
+const { expect } = require('chai');
+const IlotPlacementEngine = require('../src/ilot-placement-engine');
+
+describe('Îlot size distribution', () => {
+    const floorPlan = (width, height) => ({
+        walls: [],
+        bounds: { minX: 0, minY: 0, maxX: width, maxY: height },
+        entrances: [],
+        restrictedAreas: [],
+        forbiddenZones: []
+    });
+    const sizeDistribution = { '0-1': 10, '1-3': 25, '3-5': 30, '5-10': 35 };
+
+    it('splits the target over the bands by largest remainder', () => {
+        const engine = new IlotPlacementEngine();
+        const bands = [
+            { label: 'a', minArea: 0, maxArea: 1, share: 0.1 },
+            { label: 'b', minArea: 1, maxArea: 3, share: 0.25 },
+            { label: 'c', minArea: 3, maxArea: 5, share: 0.3 },
+            { label: 'd', minArea: 5, maxArea: 10, share: 0.35 }
+        ];
+        const plan = engine.createSizePlan(bands, 8, 1.5);
+
+        expect(engine.sizeTargets.map(band => band.targetCount)).to.deep.equal([1, 2, 2, 3]);
+        expect(plan.map(slot => slot.area)).to.deep.equal([...plan.map(slot => slot.area)].sort((a, b) => b - a));
+    });
+
+    it('places every band, the largest included, up to the target count', async () => {
+        const engine = new IlotPlacementEngine({ seed: 1 });
+        const ilots = await engine.generateOptimizedPlacement(floorPlan(20, 15), { sizeDistribution });
+        const report = engine.getStatistics().sizeDistribution;
+
+        expect(ilots).to.have.length(report.targetIlots);
+        expect(report.maxDeviation).to.be.below(0.1);
+        report.bands.forEach(band => expect(band.achievedCount).to.equal(band.targetCount));
+    });
+
+    it('keeps filling by share once the planned slots run out', () => {
+        const engine = new IlotPlacementEngine();
+        const bands = [
+            { label: 'small', minArea: 1, maxArea: 3, share: 0.5 },
+            { label: 'large', minArea: 5, maxArea: 10, share: 0.5 }
+        ];
+        const plan = engine.createSizePlan(bands, 2, 1.5);
+        plan.forEach(slot => { slot.placed = true; });
+        plan.push({ ...engine.createSizeSlot(bands[0], 0.5), placed: true });
+
+        // Both planned slots and one extra small îlot placed: the large band is behind
+        const slots = engine.getSlotsByDeficit(plan);
+        expect(slots.map(slot => slot.band)).to.deep.equal(['large', 'small']);
+        expect(slots.every(slot => !slot.placed && !plan.includes(slot))).to.equal(true);
+    });
+});
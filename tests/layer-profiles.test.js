@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { LayerProfileStore, BUILT_IN_PROFILES, compilePattern } = require('../src/layer-profiles');
+
+describe('Layer profiles', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'layer-profiles-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('patterns', () => {
+        it('accepts every built-in pattern', () => {
+            for (const profile of Object.values(BUILT_IN_PROFILES)) {
+                expect(() => LayerProfileStore.validateProfile(profile)).to.not.throw();
+            }
+        });
+
+        it('accepts simple anchored patterns with classes, groups and a few quantifiers', () => {
+            expect(compilePattern('^A-(WALL|COLS)-.*$').test('a-wall-full')).to.equal(true);
+            expect(compilePattern('^[AS]-WALL\\d{2,3}').test('S-WALL12')).to.equal(true);
+            expect(compilePattern('DOOR[*+?]').test('DOOR*')).to.equal(true);
+        });
+
+        it('rejects patterns that can backtrack catastrophically', () => {
+            expect(() => compilePattern('(a+)+$')).to.throw(/quantified groups/);
+            expect(() => compilePattern('(?:a|aa){2,}')).to.throw(/quantified groups/);
+            expect(() => compilePattern('.*.*.*x')).to.throw(/quantifiers/);
+            expect(() => compilePattern('(a)\\1')).to.throw(/backreferences/);
+            expect(() => compilePattern('(?=a)')).to.throw(/lookarounds/);
+            expect(() => compilePattern('A'.repeat(101))).to.throw(/100 characters/);
+        });
+
+        it('reports the offending rule', () => {
+            const profile = { name: 'bad', rules: [{ category: 'walls', layerPattern: '(x*)*' }] };
+            expect(() => LayerProfileStore.validateProfile(profile)).to.throw(/Rule 0: invalid layerPattern/);
+        });
+    });
+
+    describe('store', () => {
+        const profile = { name: 'firm', rules: [{ category: 'walls', layers: ['W'] }] };
+
+        it('persists custom profiles and the active profile', async () => {
+            const storagePath = path.join(directory, 'profiles.json');
+            const store = new LayerProfileStore({ storagePath });
+            await store.set(profile);
+            await store.setActive('firm');
+
+            const reloaded = new LayerProfileStore({ storagePath });
+            expect(reloaded.activeProfile).to.equal('firm');
+            expect(reloaded.get('firm').rules).to.deep.equal(profile.rules);
+        });
+
+        it('leaves memory unchanged when the write fails', async () => {
+            // A file where the storage directory should be makes mkdir fail
+            const blocker = path.join(directory, 'blocker');
+            fs.writeFileSync(blocker, '');
+            const store = new LayerProfileStore({ storagePath: path.join(blocker, 'profiles.json') });
+
+            let failed = false;
+            await store.set(profile).catch(() => { failed = true; });
+            expect(failed).to.equal(true);
+            expect(store.get('firm')).to.equal(null);
+
+            failed = false;
+            await store.setActive('aia').catch(() => { failed = true; });
+            expect(failed).to.equal(true);
+            expect(store.activeProfile).to.equal('default');
+        });
+
+        it('restores a deleted profile when the write fails', async () => {
+            const storagePath = path.join(directory, 'profiles.json');
+            const store = new LayerProfileStore({ storagePath });
+            await store.set(profile);
+            store.storagePath = path.join(storagePath, 'nested.json');
+
+            let failed = false;
+            await store.delete('firm').catch(() => { failed = true; });
+            expect(failed).to.equal(true);
+            expect(store.get('firm')).to.not.equal(null);
+        });
+    });
+});
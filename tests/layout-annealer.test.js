@@ -0,0 +1,96 @@
+const { expect } = require('chai');
+const LayoutAnnealer = require('../src/layout-annealer');
+const SeededRandom = require('../src/seeded-random');
+const IlotPlacementEngine = require('../src/ilot-placement-engine');
+
+describe('Layout annealer', () => {
+    // One integer to move towards 7; propose() can be slowed down to test the cutoff
+    const lineProblem = (random, delayMs = 0) => {
+        const state = { x: 0, visited: [] };
+        return {
+            state,
+            evaluate: () => -((state.x - 7) ** 2) / 100,
+            propose: () => {
+                const until = Date.now() + delayMs;
+                while (Date.now() < until) { /* simulate an expensive move */ }
+
+                const previous = state.x;
+                state.x += random() < 0.5 ? -1 : 1;
+                state.visited.push(state.x);
+                return { undo: () => { state.x = previous; } };
+            },
+            snapshot: () => state.x,
+            restore: x => { state.x = x; }
+        };
+    };
+
+    const runWithSeed = async (seed, delayMs = 0) => {
+        const random = new SeededRandom(seed);
+        const next = () => random.next();
+        const problem = lineProblem(next, delayMs);
+        const result = await new LayoutAnnealer({ maxIterations: 120, random: next }).run(problem);
+        return { result, problem };
+    };
+
+    it('replays the same moves for the same seed, however long the moves take', async () => {
+        const fast = await runWithSeed(42);
+        const slow = await runWithSeed(42, 1);
+
+        expect(slow.problem.state.visited).to.deep.equal(fast.problem.state.visited);
+        expect(slow.result.finalObjective).to.equal(fast.result.finalObjective);
+        expect(fast.result.stopReason).to.equal('iterations');
+        expect(fast.result.iterations).to.equal(120);
+    });
+
+    it('stops at the time limit and reports it', async () => {
+        const random = new SeededRandom(1);
+        const next = () => random.next();
+        const problem = lineProblem(next, 5);
+        const result = await new LayoutAnnealer({ maxIterations: 1000, timeLimitMs: 30, random: next }).run(problem);
+
+        expect(result.stopReason).to.equal('time_limit');
+        expect(result.iterations).to.be.below(1000);
+        expect(problem.evaluate()).to.equal(result.finalObjective);
+    });
+
+    const floorPlan = {
+        walls: [],
+        bounds: { minX: 0, minY: 0, maxX: 20, maxY: 15 },
+        entrances: [],
+        restrictedAreas: [],
+        forbiddenZones: []
+    };
+
+    it('gives placement the same layout for the same seed within a small iteration budget', async () => {
+        const place = async () => {
+            const engine = new IlotPlacementEngine({ seed: 9 });
+            const ilots = await engine.generateOptimizedPlacement(floorPlan, {
+                sizeDistribution: { '1-3': 50, '3-5': 50 }
+            });
+            return { ilots, optimization: engine.getStatistics().optimization };
+        };
+
+        const first = await place();
+        const second = await place();
+
+        expect(first.optimization.iterations).to.equal(150);
+        expect(first.optimization.timeLimitReached).to.equal(false);
+        expect(second.ilots.map(ilot => ilot.polygon)).to.deep.equal(first.ilots.map(ilot => ilot.polygon));
+    });
+
+    it('cuts placement optimization off at the engine timeoutMs', async () => {
+        const engine = new IlotPlacementEngine({ seed: 9, timeoutMs: 250 });
+        const evaluate = engine.evaluateLayoutObjective.bind(engine);
+        engine.evaluateLayoutObjective = config => {
+            const until = Date.now() + 5;
+            while (Date.now() < until);
+            return evaluate(config);
+        };
+
+        await engine.generateOptimizedPlacement(floorPlan, { sizeDistribution: { '1-3': 50, '3-5': 50 } });
+        const optimization = engine.getStatistics().optimization;
+
+        expect(optimization.timeLimitReached).to.equal(true);
+        expect(optimization.iterations).to.be.below(150);
+    });
+});
@@ -0,0 +1,35 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../server');
+const SeededRandom = require('../src/seeded-random');
+
+describe('Seeded random', () => {
+    const draw = (random, count) => Array.from({ length: count }, () => random.next());
+
+    it('repeats the sequence of a seed and differs between seeds', () => {
+        const sequence = draw(new SeededRandom(123), 5);
+
+        expect(draw(new SeededRandom(123), 5)).to.deep.equal(sequence);
+        expect(draw(new SeededRandom(124), 5)).to.not.deep.equal(sequence);
+        sequence.forEach(value => expect(value).to.be.within(0, 1).and.not.equal(1));
+    });
+
+    it('hashes string seeds and draws a seed when none is given', () => {
+        expect(draw(new SeededRandom('layout-a'), 3)).to.deep.equal(draw(new SeededRandom('layout-a'), 3));
+        expect(SeededRandom.hashSeed('layout-a')).to.not.equal(SeededRandom.hashSeed('layout-b'));
+
+        const unseeded = new SeededRandom();
+        expect(unseeded.seed).to.be.a('number');
+        expect(draw(new SeededRandom(unseeded.seed), 3)).to.deep.equal(draw(unseeded, 3));
+    });
+
+    it('replays the simulated corridor and îlot routes for a seed', async () => {
+        for (const [route, body] of [['/api/corridors', { urn: 'urn:test' }], ['/api/ilots', { density: 0.3 }]]) {
+            const first = await request(app).post(route).send({ ...body, seed: 42 }).expect(200);
+            const second = await request(app).post(route).send({ ...body, seed: 42 }).expect(200);
+
+            expect(first.body.metadata.seed).to.equal(42);
+            expect(second.body).to.deep.equal(first.body);
+        }
+    });
+});